@@ -4,67 +4,95 @@ import fs from "node:fs/promises";
 const YEARS = [2024, 2025, 2026];
 const BASE = "https://www.hebcal.com/hebcal?cfg=json&s=on&leyning=on";
 
-// canonical order, but now with book info
+// canonical order, with book info and the Torah verses each parasha covers
 const CANONICAL = [
   // Bereshit
-  { name: "Bereshit", book: "bereshit" },
-  { name: "Noach", book: "bereshit" },
-  { name: "Lech-Lecha", book: "bereshit" },
-  { name: "Vayera", book: "bereshit" },
-  { name: "Chayei Sara", book: "bereshit" },
-  { name: "Toldot", book: "bereshit" },
-  { name: "Vayetzei", book: "bereshit" },
-  { name: "Vayishlach", book: "bereshit" },
-  { name: "Vayeshev", book: "bereshit" },
-  { name: "Miketz", book: "bereshit" },
-  { name: "Vayigash", book: "bereshit" },
-  { name: "Vayechi", book: "bereshit" },
+  { name: "Bereshit", book: "bereshit", torah: "Genesis 1:1-6:8" },
+  { name: "Noach", book: "bereshit", torah: "Genesis 6:9-11:32" },
+  { name: "Lech-Lecha", book: "bereshit", torah: "Genesis 12:1-17:27" },
+  { name: "Vayera", book: "bereshit", torah: "Genesis 18:1-22:24" },
+  { name: "Chayei Sara", book: "bereshit", torah: "Genesis 23:1-25:18" },
+  { name: "Toldot", book: "bereshit", torah: "Genesis 25:19-28:9" },
+  { name: "Vayetzei", book: "bereshit", torah: "Genesis 28:10-32:3" },
+  { name: "Vayishlach", book: "bereshit", torah: "Genesis 32:4-36:43" },
+  { name: "Vayeshev", book: "bereshit", torah: "Genesis 37:1-40:23" },
+  { name: "Miketz", book: "bereshit", torah: "Genesis 41:1-44:17" },
+  { name: "Vayigash", book: "bereshit", torah: "Genesis 44:18-47:27" },
+  { name: "Vayechi", book: "bereshit", torah: "Genesis 47:28-50:26" },
   // Shemot
-  { name: "Shemot", book: "shemot" },
-  { name: "Vaera", book: "shemot" },
-  { name: "Bo", book: "shemot" },
-  { name: "Beshalach", book: "shemot" },
-  { name: "Yitro", book: "shemot" },
-  { name: "Mishpatim", book: "shemot" },
-  { name: "Terumah", book: "shemot" },
-  { name: "Tetzaveh", book: "shemot" },
-  { name: "Ki Tisa", book: "shemot" },
-  { name: "Vayakhel", book: "shemot" },
-  { name: "Pekudei", book: "shemot" },
+  { name: "Shemot", book: "shemot", torah: "Exodus 1:1-6:1" },
+  { name: "Vaera", book: "shemot", torah: "Exodus 6:2-9:35" },
+  { name: "Bo", book: "shemot", torah: "Exodus 10:1-13:16" },
+  { name: "Beshalach", book: "shemot", torah: "Exodus 13:17-17:16" },
+  { name: "Yitro", book: "shemot", torah: "Exodus 18:1-20:23" },
+  { name: "Mishpatim", book: "shemot", torah: "Exodus 21:1-24:18" },
+  { name: "Terumah", book: "shemot", torah: "Exodus 25:1-27:19" },
+  { name: "Tetzaveh", book: "shemot", torah: "Exodus 27:20-30:10" },
+  { name: "Ki Tisa", book: "shemot", torah: "Exodus 30:11-34:35" },
+  { name: "Vayakhel", book: "shemot", torah: "Exodus 35:1-38:20" },
+  { name: "Pekudei", book: "shemot", torah: "Exodus 38:21-40:38" },
   // Vayikra
-  { name: "Vayikra", book: "vayikra" },
-  { name: "Tzav", book: "vayikra" },
-  { name: "Shemini", book: "vayikra" },
-  { name: "Tazria", book: "vayikra" },
-  { name: "Metzora", book: "vayikra" },
-  { name: "Acharei Mot", book: "vayikra" },
-  { name: "Kedoshim", book: "vayikra" },
-  { name: "Emor", book: "vayikra" },
-  { name: "Behar", book: "vayikra" },
-  { name: "Bechukotai", book: "vayikra" },
+  { name: "Vayikra", book: "vayikra", torah: "Leviticus 1:1-5:26" },
+  { name: "Tzav", book: "vayikra", torah: "Leviticus 6:1-8:36" },
+  { name: "Shemini", book: "vayikra", torah: "Leviticus 9:1-11:47" },
+  { name: "Tazria", book: "vayikra", torah: "Leviticus 12:1-13:59" },
+  { name: "Metzora", book: "vayikra", torah: "Leviticus 14:1-15:33" },
+  { name: "Acharei Mot", book: "vayikra", torah: "Leviticus 16:1-18:30" },
+  { name: "Kedoshim", book: "vayikra", torah: "Leviticus 19:1-20:27" },
+  { name: "Emor", book: "vayikra", torah: "Leviticus 21:1-24:23" },
+  { name: "Behar", book: "vayikra", torah: "Leviticus 25:1-26:2" },
+  { name: "Bechukotai", book: "vayikra", torah: "Leviticus 26:3-27:34" },
   // Bamidbar
-  { name: "Bamidbar", book: "bamidbar" },
-  { name: "Naso", book: "bamidbar" },
-  { name: "Behaalotecha", book: "bamidbar" },
-  { name: "Shelach", book: "bamidbar" },
-  { name: "Korach", book: "bamidbar" },
-  { name: "Chukat", book: "bamidbar" },
-  { name: "Balak", book: "bamidbar" },
-  { name: "Pinchas", book: "bamidbar" },
-  { name: "Matot", book: "bamidbar" },
-  { name: "Masei", book: "bamidbar" },
+  { name: "Bamidbar", book: "bamidbar", torah: "Numbers 1:1-4:20" },
+  { name: "Naso", book: "bamidbar", torah: "Numbers 4:21-7:89" },
+  { name: "Behaalotecha", book: "bamidbar", torah: "Numbers 8:1-12:16" },
+  { name: "Shelach", book: "bamidbar", torah: "Numbers 13:1-15:41" },
+  { name: "Korach", book: "bamidbar", torah: "Numbers 16:1-18:32" },
+  { name: "Chukat", book: "bamidbar", torah: "Numbers 19:1-22:1" },
+  { name: "Balak", book: "bamidbar", torah: "Numbers 22:2-25:9" },
+  { name: "Pinchas", book: "bamidbar", torah: "Numbers 25:10-30:1" },
+  { name: "Matot", book: "bamidbar", torah: "Numbers 30:2-32:42" },
+  { name: "Masei", book: "bamidbar", torah: "Numbers 33:1-36:13" },
   // Devarim
-  { name: "Devarim", book: "devarim" },
-  { name: "Vaetchanan", book: "devarim" },
-  { name: "Eikev", book: "devarim" },
-  { name: "Reeh", book: "devarim" },
-  { name: "Shoftim", book: "devarim" },
-  { name: "Ki Tetze", book: "devarim" },
-  { name: "Ki Tavo", book: "devarim" },
-  { name: "Nitzavim", book: "devarim" },
-  { name: "Vayelech", book: "devarim" },
-  { name: "Haazinu", book: "devarim" },
-  { name: "Vezot Haberachah", book: "devarim" }
+  { name: "Devarim", book: "devarim", torah: "Deuteronomy 1:1-3:22" },
+  { name: "Vaetchanan", book: "devarim", torah: "Deuteronomy 3:23-7:11" },
+  { name: "Eikev", book: "devarim", torah: "Deuteronomy 7:12-11:25" },
+  { name: "Reeh", book: "devarim", torah: "Deuteronomy 11:26-16:17" },
+  { name: "Shoftim", book: "devarim", torah: "Deuteronomy 16:18-21:9" },
+  { name: "Ki Tetze", book: "devarim", torah: "Deuteronomy 21:10-25:19" },
+  { name: "Ki Tavo", book: "devarim", torah: "Deuteronomy 26:1-29:8" },
+  { name: "Nitzavim", book: "devarim", torah: "Deuteronomy 29:9-30:20" },
+  { name: "Vayelech", book: "devarim", torah: "Deuteronomy 31:1-31:30" },
+  { name: "Haazinu", book: "devarim", torah: "Deuteronomy 32:1-32:52" },
+  { name: "Vezot Haberachah", book: "devarim", torah: "Deuteronomy 33:1-34:12" }
+];
+
+// portions that are read together in some years; "parts" are CANONICAL names,
+// "haftarahOf" the half whose haftarah is read with the combined portion
+const COMBINED = [
+  { parts: ["Vayakhel", "Pekudei"], name_he: "ויקהל-פקודי", haftarahOf: "Pekudei" },
+  { parts: ["Tazria", "Metzora"], name_he: "תזריע-מצורע", haftarahOf: "Metzora" },
+  { parts: ["Acharei Mot", "Kedoshim"], name_he: "אחרי מות-קדושים", haftarahOf: "Acharei Mot" },
+  { parts: ["Behar", "Bechukotai"], name_he: "בהר-בחוקותי", haftarahOf: "Bechukotai" },
+  { parts: ["Chukat", "Balak"], name_he: "חוקת-בלק", haftarahOf: "Balak" },
+  { parts: ["Matot", "Masei"], name_he: "מטות-מסעי", haftarahOf: "Masei" },
+  { parts: ["Nitzavim", "Vayelech"], name_he: "נצבים-וילך", haftarahOf: "Nitzavim" }
+];
+
+// haftarot that replace the regular one on special Shabbatot; "occasion" keys
+// are produced by src/calendar/haftarah.js
+const SPECIAL_HAFTAROT = [
+  { occasion: "shuva", name: "Hosea 14:2-10, Micah 7:18-20 | Shabbat Shuva" },
+  { occasion: "chanukah", name: "Zechariah 2:14-4:7 | Shabbat Chanukah" },
+  { occasion: "chanukah-2", name: "I Kings 7:40-50 | Second Shabbat Chanukah" },
+  { occasion: "shekalim", name: "II Kings 12:1-17 | Shabbat Shekalim" },
+  { occasion: "zachor", name: "I Samuel 15:2-34 | Shabbat Zachor" },
+  { occasion: "parah", name: "Ezekiel 36:16-38 | Shabbat Parah" },
+  { occasion: "hachodesh", name: "Ezekiel 45:16-46:18 | Shabbat HaChodesh" },
+  { occasion: "hagadol", name: "Malachi 3:4-24 | Shabbat HaGadol" },
+  { occasion: "pinchas-after-tammuz-17", name: "Jeremiah 1:1-2:3 | Pinchas occurring after 17 Tammuz" },
+  { occasion: "rosh-chodesh", name: "Isaiah 66:1-24 | Shabbat Rosh Chodesh" },
+  { occasion: "machar-chodesh", name: "I Samuel 20:18-42 | Shabbat Machar Chodesh" }
 ];
 
 const BOOK_LABELS = {
@@ -91,14 +119,28 @@ async function fetchYear(year, { israel = false } = {}) {
   return res.json();
 }
 
+// hebcal labels special haftarot ("... | Shabbat Shekalim"); prefer an occurrence without one
+function haftarahFromItem(item) {
+  return item?.leyning?.haftara || item?.leyning?.haftarah || null;
+}
+
+function findItem(raw, nameEn) {
+  const plain = (it) => (it.title ? it.title.replace("Parashat ", "").trim() : "");
+  const exact = raw.filter((it) => plain(it) === nameEn);
+  const regular = exact.find((it) => !String(haftarahFromItem(it) || "").includes("|"));
+  return regular || exact[0] || null;
+}
+
 async function main() {
-  const raw = [];
+  const raw = { diaspora: [], israel: [] };
   for (const y of YEARS) {
-    const data = await fetchYear(y, { israel: false });
-    const items = (data.items || []).filter(
-      (it) => it.category === "parashat"
-    );
-    raw.push(...items);
+    for (const loc of Object.keys(raw)) {
+      const data = await fetchYear(y, { israel: loc === "israel" });
+      const items = (data.items || []).filter(
+        (it) => it.category === "parashat"
+      );
+      raw[loc].push(...items);
+    }
   }
 
   const finalParshiot = [];
@@ -108,24 +150,28 @@ async function main() {
   for (const entry of CANONICAL) {
     const nameEn = entry.name;
     const book = entry.book;
+    const torah = entry.torah;
 
     // 1) exact
-    let item = raw.find(
-      (it) => it.title && it.title.replace("Parashat ", "").trim() === nameEn
-    );
-    // 2) or combined
+    let item = findItem(raw.diaspora, nameEn);
+    // 2) or combined (only borrow the haftarah; the Hebrew name covers both halves)
+    let fromCombined = false;
     if (!item) {
-      item = raw.find((it) => {
+      item = raw.diaspora.find((it) => {
         if (!it.title) return false;
         const plain = it.title.replace("Parashat ", "").trim();
-        return plain.includes(nameEn);
+        return plain.split("-").includes(nameEn);
       });
+      fromCombined = !!item;
     }
 
     const id = makeId(nameEn);
-    const name_he = stripParashat(item?.hebrew);
-    const haftFromHebcal =
-      item?.leyning?.haftara || item?.leyning?.haftarah || null;
+    const name_he = fromCombined ? null : stripParashat(item?.hebrew);
+    const haftarot = {};
+    for (const loc of Object.keys(raw)) {
+      const haft = haftarahFromItem(loc === "diaspora" ? item : findItem(raw[loc], nameEn) || item);
+      haftarot[loc] = haft ? [{ id: `${id}-haftarah`, name: haft }] : [];
+    }
 
     finalParshiot.push({
       id,
@@ -135,23 +181,38 @@ async function main() {
       book_en: BOOK_LABELS[book].en,
       book_he: BOOK_LABELS[book].he,
       order_index: index++,
-      haftarot: {
-        diaspora: haftFromHebcal
-          ? [
-              {
-                id: `${id}-haftarah`,
-                name: haftFromHebcal
-              }
-            ]
-          : []
-      }
+      torah,
+      haftarot
     });
   }
 
+  const combined = COMBINED.map(({ parts, name_he, haftarahOf }) => {
+    const [first, second] = parts.map((name) => finalParshiot.find((p) => p.name_en === name));
+    // "Exodus 35:1-38:20" + "Exodus 38:21-40:38" -> "Exodus 35:1-40:38"
+    const torah = `${first.torah.split("-")[0]}-${second.torah.split("-")[1]}`;
+    return {
+      id: `${first.id}-${second.id}`,
+      name_en: parts.join("-"),
+      name_he,
+      book: first.book,
+      book_en: first.book_en,
+      book_he: first.book_he,
+      parts: [first.id, second.id],
+      torah,
+      haftarah_of: makeId(haftarahOf)
+    };
+  });
+
+  const special_haftarot = SPECIAL_HAFTAROT.map((h) => ({
+    id: `${h.occasion}-haftarah`,
+    occasion: h.occasion,
+    name: h.name
+  }));
+
   await fs.mkdir("data", { recursive: true });
   await fs.writeFile(
     "data/parshiot.json",
-    JSON.stringify({ parshiot: finalParshiot }, null, 2),
+    JSON.stringify({ parshiot: finalParshiot, combined, special_haftarot }, null, 2),
     "utf8"
   );
   console.log("saved", finalParshiot.length, "parshiot to data/parshiot.json");
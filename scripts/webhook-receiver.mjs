@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// scripts/webhook-receiver.mjs
+// A local endpoint for testing notification webhooks. Prints every delivery
+// and checks its signature against NOTIFY_WEBHOOK_SECRET (when set).
+//
+//   NOTIFY_WEBHOOK_SECRET=test node scripts/webhook-receiver.mjs [--port 4010] [--fail 2]
+//
+// then start the server with NOTIFY_WEBHOOK=http://localhost:4010/ and the
+// same secret. --fail N answers the first N requests with 503, to watch the
+// outbox retry them.
+
+import http from "node:http";
+import crypto from "node:crypto";
+import { webhookSignature } from "../src/notify/webhook.js";
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? Number(args[i + 1]) : fallback;
+};
+const port = option("port", 4010);
+let failuresLeft = option("fail", 0);
+const secret = process.env.NOTIFY_WEBHOOK_SECRET;
+const MAX_AGE_SECONDS = 5 * 60;
+
+function signatureProblem(req, body) {
+  if (!secret) return null;
+  const timestamp = req.headers["x-parsha-songs-timestamp"] || "";
+  const given = Buffer.from(String(req.headers["x-parsha-songs-signature"] || ""));
+  const expected = Buffer.from(webhookSignature(secret, timestamp, body));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return "bad signature";
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_AGE_SECONDS) return "stale timestamp";
+  return null;
+}
+
+http
+  .createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const delivery = `${req.headers["x-parsha-songs-event"]} #${req.headers["x-parsha-songs-delivery"]}`;
+      const problem = signatureProblem(req, body);
+      if (problem) {
+        console.log(`${delivery}: rejected (${problem})`);
+        res.writeHead(401).end();
+        return;
+      }
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        console.log(`${delivery}: answering 503 (${failuresLeft} more failures to go)`);
+        res.writeHead(503).end();
+        return;
+      }
+      console.log(`${delivery}: ${secret ? "signature ok" : "unsigned"}\n${body}`);
+      res.writeHead(204).end();
+    });
+  })
+  .listen(port, () => console.log(`webhook receiver on http://localhost:${port}/`));
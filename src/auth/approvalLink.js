@@ -0,0 +1,47 @@
+// src/auth/approvalLink.js
+// Emailed approve / decline links for pending submissions. A token reads
+// "<link id>.<action>.<expiry, unix seconds>.<signature>"; the signature is an
+// HMAC (keyed with SESSION_SECRET) over those fields and the link's
+// approval_token, a random value only the database knows. Moderating,
+// withdrawing or editing the submission clears or replaces approval_token,
+// which ends every link sent for it.
+
+import crypto from "node:crypto";
+import { safeEqual } from "./password.js";
+
+export const APPROVAL_ACTIONS = ["approve", "reject"];
+
+const TOKEN_PATTERN = /^(\d{1,12})\.(approve|reject)\.(\d{1,12})\.([A-Za-z0-9_-]{43})$/;
+
+function signature(linkId, action, expires, nonce) {
+  return crypto
+    .createHmac("sha256", process.env.SESSION_SECRET || "dev-insecure")
+    .update(`${linkId}.${action}.${expires}.${nonce}`)
+    .digest("base64url");
+}
+
+// a token for `action` on link `linkId` that works for `ttlMs`
+export function signApprovalToken({ linkId, action, nonce, ttlMs }) {
+  const expires = Math.floor((Date.now() + ttlMs) / 1000);
+  return `${linkId}.${action}.${expires}.${signature(linkId, action, expires, nonce)}`;
+}
+
+/**
+ * The fields of a well-formed token: `{ linkId, action, expiresAt }`
+ * (`expiresAt` a Date), or null. Says nothing about whether it is genuine;
+ * see approvalTokenValid.
+ */
+export function readApprovalToken(token) {
+  const match = TOKEN_PATTERN.exec(String(token || ""));
+  if (!match) return null;
+  return { linkId: Number(match[1]), action: match[2], expiresAt: new Date(Number(match[3]) * 1000) };
+}
+
+// true when `token` was signed for the link's current approval_token (`nonce`) and has not expired
+export function approvalTokenValid(token, nonce) {
+  const match = TOKEN_PATTERN.exec(String(token || ""));
+  if (!match || !nonce) return false;
+  const [, linkId, action, expires, sig] = match;
+  if (Number(expires) * 1000 <= Date.now()) return false;
+  return safeEqual(sig, signature(linkId, action, expires, nonce));
+}
@@ -0,0 +1,37 @@
+// src/auth/password.js
+// Moderator passwords, stored as "scrypt$<salt hex>$<key hex>", and the
+// constant-time comparisons used for them and for ADMIN_TOKEN.
+
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+// a hash of nothing in particular, so a login with an unknown username takes as long as one with a wrong password
+const DUMMY_HASH = `scrypt$${"00".repeat(16)}$${"00".repeat(KEY_LENGTH)}`;
+
+/**
+ * True when `password` matches `stored` (from hashPassword). A missing
+ * `stored` is checked against a dummy hash and is never a match.
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || DUMMY_HASH).split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, "hex");
+  if (!expected.length) return false;
+  const key = await scrypt(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(key, expected) && !!stored;
+}
+
+// compare two secrets without leaking where they differ (lengths are hashed away)
+export function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
@@ -0,0 +1,94 @@
+// src/calendar/haftarah.js
+// Special Shabbatot whose haftarah replaces the regular one of the parasha.
+// Returns "occasion" keys matching `special_haftarot[].occasion` in data/parshiot.json.
+
+import {
+  NISAN,
+  TAMMUZ,
+  AV,
+  ELUL,
+  TISHREI,
+  KISLEV,
+  TEVET,
+  lastMonthOfYear,
+  fixedFromHebrew,
+  hebrewFromFixed,
+} from "./hebrewDate.js";
+import { getSedraYear } from "./sedra.js";
+
+const PINCHAS = 40;
+
+// months whose Rosh Chodesh haftarah is displaced (the three weeks, Rosh Hashana, Chanukah);
+// Machar Chodesh additionally yields to the weeks of consolation before Elul
+const NO_ROSH_CHODESH_HAFTARAH = new Set([AV, TISHREI, TEVET]);
+const NO_MACHAR_CHODESH_HAFTARAH = new Set([AV, ELUL, TISHREI, TEVET]);
+
+function roshChodeshMonth(fixed) {
+  const { month, day } = hebrewFromFixed(fixed);
+  if (day === 1) return month;
+  if (day === 30) return hebrewFromFixed(fixed + 1).month;
+  return null;
+}
+
+/**
+ * Occasion key for a Shabbat entry from getSedraYear(), or null for the regular haftarah.
+ * Listed in order of precedence (e.g. Shekalim wins over Rosh Chodesh).
+ */
+export function specialHaftarahOccasion(entry) {
+  if (entry.holiday) return null;
+  const { date } = entry;
+  const { year, month, day } = entry.hdate;
+
+  if (month === TISHREI && day >= 3 && day <= 9) return "shuva";
+
+  const chanukah = fixedFromHebrew(year, KISLEV, 25);
+  if (date >= chanukah && date < chanukah + 8) return date >= chanukah + 7 ? "chanukah-2" : "chanukah";
+
+  const adar = lastMonthOfYear(year);
+  const roshChodeshAdar = fixedFromHebrew(year, adar, 1);
+  if (date <= roshChodeshAdar && date > roshChodeshAdar - 7) return "shekalim";
+  const purim = fixedFromHebrew(year, adar, 14);
+  if (date < purim && date >= purim - 7) return "zachor";
+  const roshChodeshNisan = fixedFromHebrew(year, NISAN, 1);
+  if (date <= roshChodeshNisan && date > roshChodeshNisan - 7) return "hachodesh";
+  if (date <= roshChodeshNisan - 7 && date > roshChodeshNisan - 14) return "parah";
+  const pesach = fixedFromHebrew(year, NISAN, 15);
+  if (date < pesach && date >= pesach - 7) return "hagadol";
+
+  if (entry.parshiot.includes(PINCHAS) && date > fixedFromHebrew(year, TAMMUZ, 17)) {
+    return "pinchas-after-tammuz-17";
+  }
+
+  const today = roshChodeshMonth(date);
+  if (today && !NO_ROSH_CHODESH_HAFTARAH.has(today)) return "rosh-chodesh";
+  const tomorrow = roshChodeshMonth(date + 1);
+  if (day === 29 && tomorrow && !NO_MACHAR_CHODESH_HAFTARAH.has(tomorrow)) return "machar-chodesh";
+
+  return null;
+}
+
+// scan enough years to see every kind of year in both locations
+const SCAN_FROM = 5700;
+const SCAN_TO = 5999;
+let occasionsByParasha = null;
+
+/**
+ * Map of parasha index -> Set of occasions that can ever fall on it.
+ */
+export function specialOccasionsByParasha() {
+  if (occasionsByParasha) return occasionsByParasha;
+  occasionsByParasha = new Map();
+  for (let y = SCAN_FROM; y <= SCAN_TO; y++) {
+    for (const israel of [false, true]) {
+      for (const entry of getSedraYear(y, { israel })) {
+        const occasion = specialHaftarahOccasion(entry);
+        if (!occasion) continue;
+        for (const idx of entry.parshiot) {
+          if (!occasionsByParasha.has(idx)) occasionsByParasha.set(idx, new Set());
+          occasionsByParasha.get(idx).add(occasion);
+        }
+      }
+    }
+  }
+  return occasionsByParasha;
+}
@@ -0,0 +1,192 @@
+// src/calendar/hebrewDate.js
+// Hebrew <-> Gregorian date arithmetic on "fixed" day numbers (R.D., day 1 = 0001-01-01 Gregorian).
+// Follows the arithmetic calendar from Dershowitz & Reingold, Calendrical Calculations.
+
+// Hebrew months use the Nisan = 1 numbering; the civil year starts at Tishrei (7)
+export const NISAN = 1;
+export const IYYAR = 2;
+export const SIVAN = 3;
+export const TAMMUZ = 4;
+export const AV = 5;
+export const ELUL = 6;
+export const TISHREI = 7;
+export const CHESHVAN = 8;
+export const KISLEV = 9;
+export const TEVET = 10;
+export const SHEVAT = 11;
+export const ADAR = 12; // Adar I in leap years
+export const ADAR_II = 13;
+
+export const SATURDAY = 6;
+
+const HEBREW_EPOCH = -1373427; // fixed date of 1 Tishrei AM 1
+const UNIX_EPOCH_FIXED = 719163; // fixed date of 1970-01-01
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = {
+  [NISAN]: "Nisan",
+  [IYYAR]: "Iyyar",
+  [SIVAN]: "Sivan",
+  [TAMMUZ]: "Tamuz",
+  [AV]: "Av",
+  [ELUL]: "Elul",
+  [TISHREI]: "Tishrei",
+  [CHESHVAN]: "Cheshvan",
+  [KISLEV]: "Kislev",
+  [TEVET]: "Tevet",
+  [SHEVAT]: "Sh'vat",
+  [ADAR]: "Adar",
+  [ADAR_II]: "Adar II",
+};
+
+const newYearCache = new Map();
+
+function mod(x, y) {
+  return x - y * Math.floor(x / y);
+}
+
+export function isLeapYear(year) {
+  return mod(7 * year + 1, 19) < 7;
+}
+
+export function lastMonthOfYear(year) {
+  return isLeapYear(year) ? ADAR_II : ADAR;
+}
+
+// days from the epoch to the molad of Tishrei, with the "lo ADU rosh" postponement
+function elapsedDays(year) {
+  const monthsElapsed = Math.floor((235 * year - 234) / 19);
+  const partsElapsed = 12084 + 13753 * monthsElapsed;
+  const days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+  return mod(3 * (days + 1), 7) < 3 ? days + 1 : days;
+}
+
+// remaining postponements that keep year lengths within the allowed set
+function yearLengthCorrection(year) {
+  const ny0 = elapsedDays(year - 1);
+  const ny1 = elapsedDays(year);
+  const ny2 = elapsedDays(year + 1);
+  if (ny2 - ny1 === 356) return 2;
+  if (ny1 - ny0 === 382) return 1;
+  return 0;
+}
+
+// fixed date of 1 Tishrei of the given year
+export function newYear(year) {
+  let fixed = newYearCache.get(year);
+  if (fixed === undefined) {
+    fixed = HEBREW_EPOCH + elapsedDays(year) + yearLengthCorrection(year);
+    newYearCache.set(year, fixed);
+  }
+  return fixed;
+}
+
+export function daysInYear(year) {
+  return newYear(year + 1) - newYear(year);
+}
+
+export function daysInMonth(year, month) {
+  switch (month) {
+    case IYYAR:
+    case TAMMUZ:
+    case ELUL:
+    case TEVET:
+    case ADAR_II:
+      return 29;
+    case ADAR:
+      return isLeapYear(year) ? 30 : 29;
+    case CHESHVAN:
+      return daysInYear(year) % 10 === 5 ? 30 : 29;
+    case KISLEV:
+      return daysInYear(year) % 10 === 3 ? 29 : 30;
+    default:
+      return 30;
+  }
+}
+
+export function fixedFromHebrew(year, month, day) {
+  let fixed = newYear(year) + day - 1;
+  if (month < TISHREI) {
+    for (let m = TISHREI; m <= lastMonthOfYear(year); m++) fixed += daysInMonth(year, m);
+    for (let m = NISAN; m < month; m++) fixed += daysInMonth(year, m);
+  } else {
+    for (let m = TISHREI; m < month; m++) fixed += daysInMonth(year, m);
+  }
+  return fixed;
+}
+
+export function hebrewFromFixed(fixed) {
+  let year = Math.floor((fixed - HEBREW_EPOCH) / 365.25) + 1;
+  while (newYear(year + 1) <= fixed) year++;
+  while (newYear(year) > fixed) year--;
+
+  let month = fixed < fixedFromHebrew(year, NISAN, 1) ? TISHREI : NISAN;
+  while (fixed > fixedFromHebrew(year, month, daysInMonth(year, month))) month++;
+  const day = fixed - fixedFromHebrew(year, month, 1) + 1;
+  return { year, month, day };
+}
+
+// 0 = Sunday ... 6 = Saturday
+export function dayOfWeek(fixed) {
+  return mod(fixed, 7);
+}
+
+// first fixed date on or after `fixed` that falls on the given weekday
+export function onOrAfter(weekday, fixed) {
+  return fixed + mod(weekday - dayOfWeek(fixed), 7);
+}
+
+export function fixedFromGregorian(year, month, day) {
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS) + UNIX_EPOCH_FIXED;
+}
+
+export function gregorianFromFixed(fixed) {
+  const d = new Date((fixed - UNIX_EPOCH_FIXED) * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+// "YYYY-MM-DD" <-> fixed date
+export function fixedFromIsoDate(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || "");
+  if (!m) return null;
+  return fixedFromGregorian(Number(m[1]), Number(m[2]), Number(m[3]));
+}
+
+export function isoDateFromFixed(fixed) {
+  return new Date((fixed - UNIX_EPOCH_FIXED) * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function monthName(year, month) {
+  if (month === ADAR && isLeapYear(year)) return "Adar I";
+  return MONTH_NAMES[month];
+}
+
+export function formatHebrewDate({ year, month, day }) {
+  return `${day} ${monthName(year, month)} ${year}`;
+}
+
+// fixed date and local hour of an instant in an IANA time zone (throws RangeError on unknown zones)
+export function zonedDay(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  return {
+    fixed: fixedFromGregorian(get("year"), get("month"), get("day")),
+    hour: get("hour"),
+  };
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,61 @@
+// src/calendar/holidays.js
+// Dates of the festivals listed in data/holidays.json. Each entry carries
+// `hebrew_date: { month, day, days }` with the month by name, plus optional
+// `israel` overrides for the one-day-shorter (or earlier) Israeli observance.
+
+import {
+  NISAN,
+  SIVAN,
+  AV,
+  TISHREI,
+  KISLEV,
+  SATURDAY,
+  lastMonthOfYear,
+  fixedFromHebrew,
+  hebrewFromFixed,
+  dayOfWeek,
+} from "./hebrewDate.js";
+
+const MONTHS = {
+  Nisan: NISAN,
+  Sivan: SIVAN,
+  Av: AV,
+  Tishrei: TISHREI,
+  Kislev: KISLEV,
+};
+
+function monthNumber(name, year) {
+  // Purim and the other Adar dates move to Adar II in leap years
+  if (name === "Adar") return lastMonthOfYear(year);
+  return MONTHS[name];
+}
+
+/**
+ * First and last fixed day of a holiday in Hebrew year `year`, or null for
+ * entries without a date of their own (the Megillot).
+ */
+export function holidayDays(holiday, year, { israel = false } = {}) {
+  if (!holiday.hebrew_date) return null;
+  const { month, day, days } = { ...holiday.hebrew_date, ...(israel ? holiday.israel : {}) };
+  let start = fixedFromHebrew(year, monthNumber(month, year), day);
+  // fasts that fall on Shabbat are postponed to Sunday (Tisha B'Av)
+  if (holiday.kind === "fast" && dayOfWeek(start) === SATURDAY) start += 1;
+  return { start, end: start + (days || 1) - 1 };
+}
+
+/**
+ * Holidays overlapping `from <= date <= to` (fixed dates), each as
+ * `{ holiday, start, end }`, in date order.
+ */
+export function holidaysBetween(holidays, from, to, { israel = false } = {}) {
+  const first = hebrewFromFixed(from).year;
+  const last = hebrewFromFixed(to).year;
+  const found = [];
+  for (let y = first; y <= last; y++) {
+    for (const holiday of holidays) {
+      const span = holidayDays(holiday, y, { israel });
+      if (span && span.start <= to && span.end >= from) found.push({ holiday, ...span });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,150 @@
+// src/calendar/sedra.js
+// Weekly Torah reading schedule computed from the Hebrew calendar (no network).
+// Parshiot are referred to by index: 0 = Bereshit ... 53 = Vezot Haberachah,
+// which is `order_index - 1` in data/parshiot.json.
+
+import {
+  NISAN,
+  SIVAN,
+  AV,
+  TISHREI,
+  SATURDAY,
+  newYear,
+  isLeapYear,
+  fixedFromHebrew,
+  hebrewFromFixed,
+  dayOfWeek,
+  onOrAfter,
+  zonedDay,
+} from "./hebrewDate.js";
+
+export const PARSHA_COUNT = 54;
+
+const TZAV = 24;
+const BAMIDBAR = 33;
+const DEVARIM = 43;
+const NITZAVIM = 50;
+const VAYELECH = 51;
+const HAAZINU = 52;
+
+// pairs that may be read together, by the index of their first half
+export const COMBINABLE = [21, 26, 28, 31, 38, 41, NITZAVIM];
+
+// festivals that displace the weekly reading when they fall on Shabbat
+function shabbatHoliday({ month, day }, israel) {
+  if (month === TISHREI) {
+    if (day === 1 || day === 2) return { id: "rosh-hashana", name: "Rosh Hashana" };
+    if (day === 10) return { id: "yom-kippur", name: "Yom Kippur" };
+    if (day >= 15 && day <= 21) return { id: "sukkot", name: "Sukkot" };
+    if (day === 22) return { id: "shmini-atzeret", name: "Shmini Atzeret" };
+    if (day === 23 && !israel) return { id: "simchat-torah", name: "Simchat Torah" };
+  }
+  if (month === NISAN && day >= 15 && day <= (israel ? 21 : 22)) {
+    return { id: "pesach", name: "Pesach" };
+  }
+  if (month === SIVAN && day >= 6 && day <= (israel ? 6 : 7)) {
+    return { id: "shavuot", name: "Shavuot" };
+  }
+  return null;
+}
+
+const yearCache = new Map();
+
+/**
+ * Every Shabbat of Hebrew year `year` (1 Tishrei .. 29 Elul) with its reading.
+ * Each entry is `{ date, hdate, parshiot, holiday }` where `date` is a fixed
+ * day number, `parshiot` holds one index (or two for a combined reading) and
+ * `holiday` is set instead when a festival replaces the weekly portion.
+ */
+export function getSedraYear(year, { israel = false } = {}) {
+  const key = `${year}:${israel ? "il" : "d"}`;
+  if (yearCache.has(key)) return yearCache.get(key);
+
+  const start = newYear(year);
+  const end = newYear(year + 1);
+  const entries = [];
+  for (let d = onOrAfter(SATURDAY, start); d < end; d += 7) {
+    const hdate = hebrewFromFixed(d);
+    entries.push({ date: d, hdate, parshiot: [], holiday: shabbatHoliday(hdate, israel) });
+  }
+
+  // Vayelech and/or Haazinu between Rosh Hashana and Sukkot
+  const sukkot = fixedFromHebrew(year, TISHREI, 15);
+  const early = entries.filter((e) => e.date < sukkot && !e.holiday);
+  if (early.length === 2) {
+    early[0].parshiot = [VAYELECH];
+    early[1].parshiot = [HAAZINU];
+  } else if (early.length === 1) {
+    early[0].parshiot = [HAAZINU];
+  }
+
+  // Bereshit starts after Simchat Torah, then the cycle is split at fixed anchors:
+  // Tzav before Pesach (regular years), Bamidbar before Shavuot, Devarim before
+  // Tisha B'Av and Nitzavim before Rosh Hashana. Within a segment, the surplus
+  // parshiot are doubled up in the order listed.
+  const nextRoshHashanaDay = dayOfWeek(end);
+  const lastOfYear = nextRoshHashanaDay === 4 || nextRoshHashanaDay === 6 ? VAYELECH : NITZAVIM;
+  const segments = [];
+  if (!isLeapYear(year)) {
+    segments.push({ until: fixedFromHebrew(year, NISAN, 15), last: TZAV, pairs: [21] });
+    segments.push({ until: fixedFromHebrew(year, SIVAN, 6), last: BAMIDBAR, pairs: [26, 28, 31] });
+  } else {
+    segments.push({ until: fixedFromHebrew(year, SIVAN, 6), last: BAMIDBAR, pairs: [31, 28, 26, 21] });
+  }
+  segments.push({ until: fixedFromHebrew(year, AV, 10), last: DEVARIM, pairs: [41, 38] });
+  segments.push({ until: end, last: lastOfYear, pairs: [NITZAVIM] });
+
+  const bereshitFrom = fixedFromHebrew(year, TISHREI, 23);
+  let next = 0;
+  let from = bereshitFrom;
+  for (const seg of segments) {
+    const slots = entries.filter((e) => e.date > from && e.date < seg.until && !e.holiday);
+    const surplus = seg.last - next + 1 - slots.length;
+    const doubled = new Set(seg.pairs.filter((p) => p >= next).slice(0, Math.max(0, surplus)));
+    for (const slot of slots) {
+      slot.parshiot = doubled.has(next) ? [next, next + 1] : [next];
+      next += slot.parshiot.length;
+    }
+    from = seg.until - 1;
+  }
+
+  yearCache.set(key, entries);
+  return entries;
+}
+
+/**
+ * Reading for the first Shabbat on or after the given fixed date.
+ */
+export function getShabbatReading(fixed, { israel = false } = {}) {
+  const shabbat = onOrAfter(SATURDAY, fixed);
+  const { year } = hebrewFromFixed(shabbat);
+  const entry = getSedraYear(year, { israel }).find((e) => e.date === shabbat);
+  return entry || null;
+}
+
+/**
+ * All Shabbat readings with `from <= date <= to` (fixed dates), across Hebrew years.
+ */
+export function getSedraRange(from, to, { israel = false } = {}) {
+  const first = hebrewFromFixed(from).year;
+  const last = hebrewFromFixed(to).year;
+  const entries = [];
+  for (let y = first; y <= last; y++) {
+    entries.push(...getSedraYear(y, { israel }).filter((e) => e.date >= from && e.date <= to));
+  }
+  return entries;
+}
+
+// Shabbat ends at nightfall; without coordinates we use a fixed local hour
+// after which Saturday counts as the start of the next week.
+const SHABBAT_ROLLOVER_HOUR = 20;
+
+/**
+ * Reading for "this week" as seen from the given time zone: the coming Shabbat,
+ * or the following one once Saturday night has begun.
+ */
+export function getUpcomingReading({ now = new Date(), timeZone = "UTC", israel = false } = {}) {
+  const { fixed, hour } = zonedDay(now, timeZone);
+  const from = dayOfWeek(fixed) === SATURDAY && hour >= SHABBAT_ROLLOVER_HOUR ? fixed + 1 : fixed;
+  return getShabbatReading(from, { israel });
+}
@@ -1,5 +1,11 @@
 // Canonical Tanach chapter counts (from Sefaria Index API: schema.lengths[0])
 export default [
+  // Torah
+  { id: "genesis", title_en: "Genesis", title_he: "בראשית", chapters: 50 },
+  { id: "exodus", title_en: "Exodus", title_he: "שמות", chapters: 40 },
+  { id: "leviticus", title_en: "Leviticus", title_he: "ויקרא", chapters: 27 },
+  { id: "numbers", title_en: "Numbers", title_he: "במדבר", chapters: 36 },
+  { id: "deuteronomy", title_en: "Deuteronomy", title_he: "דברים", chapters: 34 },
 
   { id: "psalms", title_en: "Psalms", title_he: "תהילים", chapters: 150 },
   // Nevi'im
@@ -0,0 +1,92 @@
+// Verses per chapter of the Tanach books (Masoretic numbering, as in
+// tanachFallback.js), from the numverses table of @hebcal/leyning
+// (BSD-2-Clause). Books that table leaves out only have the length of their
+// longest chapter.
+export default {
+  genesis: [
+    31, 25, 24, 26, 32, 22, 24, 22, 29, 32, 32, 20, 18, 24, 21, 16, 27, 33, 38, 18,
+    34, 24, 20, 67, 34, 35, 46, 22, 35, 43, 54, 33, 20, 31, 29, 43, 36, 30, 23, 23,
+    57, 38, 34, 34, 28, 34, 31, 22, 33, 26,
+  ],
+  exodus: [
+    22, 25, 22, 31, 23, 30, 29, 28, 35, 29, 10, 51, 22, 31, 27, 36, 16, 27, 25, 23,
+    37, 30, 33, 18, 40, 37, 21, 43, 46, 38, 18, 35, 23, 35, 35, 38, 29, 31, 43, 38,
+  ],
+  leviticus: [
+    17, 16, 17, 35, 26, 23, 38, 36, 24, 20, 47, 8, 59, 57, 33, 34, 16, 30, 37, 27,
+    24, 33, 44, 23, 55, 46, 34,
+  ],
+  numbers: [
+    54, 34, 51, 49, 31, 27, 89, 26, 23, 36, 35, 16, 33, 45, 41, 35, 28, 32, 22, 29,
+    35, 41, 30, 25, 19, 65, 23, 31, 39, 17, 54, 42, 56, 29, 34, 13,
+  ],
+  deuteronomy: [
+    46, 37, 29, 49, 30, 25, 26, 20, 29, 22, 32, 31, 19, 29, 23, 22, 20, 22, 21, 20,
+    23, 29, 26, 22, 19, 19, 26, 69, 28, 20, 30, 52, 29, 12,
+  ],
+  psalms: 176,
+  joshua: [
+    18, 24, 17, 24, 15, 27, 26, 35, 27, 43, 23, 24, 33, 15, 63, 10, 18, 28, 51, 9,
+    45, 34, 16, 33,
+  ],
+  judges: [
+    36, 23, 31, 24, 31, 40, 25, 35, 57, 18, 40, 15, 25, 20, 20, 31, 13, 31, 30, 48,
+    25,
+  ],
+  "i-samuel": [
+    28, 36, 21, 22, 12, 21, 17, 22, 27, 27, 15, 25, 23, 52, 35, 23, 58, 30, 24, 42,
+    16, 23, 28, 23, 43, 25, 12, 25, 11, 31, 13,
+  ],
+  "ii-samuel": [
+    27, 32, 39, 12, 25, 23, 29, 18, 13, 19, 27, 31, 39, 33, 37, 23, 29, 32, 44, 26,
+    22, 51, 39, 25,
+  ],
+  "i-kings": [
+    53, 46, 28, 20, 32, 38, 51, 66, 28, 29, 43, 33, 34, 31, 34, 34, 24, 46, 21, 43,
+    29, 54,
+  ],
+  "ii-kings": [
+    18, 25, 27, 44, 27, 33, 20, 29, 37, 36, 20, 22, 25, 29, 38, 20, 41, 37, 37, 21,
+    26, 20, 37, 20, 30,
+  ],
+  isaiah: [
+    31, 22, 26, 6, 30, 13, 25, 23, 20, 34, 16, 6, 22, 32, 9, 14, 14, 7, 25, 6,
+    17, 25, 18, 23, 12, 21, 13, 29, 24, 33, 9, 20, 24, 17, 10, 22, 38, 22, 8, 31,
+    29, 25, 28, 28, 25, 13, 15, 22, 26, 11, 23, 15, 12, 17, 13, 12, 21, 14, 21, 22,
+    11, 12, 19, 11, 25, 24,
+  ],
+  jeremiah: [
+    19, 37, 25, 31, 31, 30, 34, 23, 25, 25, 23, 17, 27, 22, 21, 21, 27, 23, 15, 18,
+    14, 30, 40, 10, 38, 24, 22, 17, 32, 24, 40, 44, 26, 22, 19, 32, 21, 28, 18, 16,
+    18, 22, 13, 30, 5, 28, 7, 47, 39, 46, 64, 34,
+  ],
+  ezekiel: [
+    28, 10, 27, 17, 17, 14, 27, 18, 11, 22, 25, 28, 23, 23, 8, 63, 24, 32, 14, 44,
+    37, 31, 49, 27, 17, 21, 36, 26, 21, 26, 18, 32, 33, 31, 15, 38, 28, 23, 29, 49,
+    26, 20, 27, 31, 25, 24, 23, 35,
+  ],
+  hosea: [9, 25, 5, 19, 15, 11, 16, 14, 17, 15, 11, 15, 15, 10],
+  joel: [20, 27, 5, 21],
+  amos: [15, 16, 15, 13, 27, 14, 17, 14, 15],
+  obadiah: [21],
+  jonah: [16, 11, 10, 11],
+  micah: [16, 13, 12, 14, 14, 16, 20],
+  nahum: [14, 14, 19],
+  habakkuk: [17, 20, 19],
+  zephaniah: [18, 15, 20],
+  haggai: [15, 23],
+  zechariah: [17, 17, 10, 14, 11, 15, 14, 23, 17, 12, 17, 14, 9, 21],
+  malachi: [14, 17, 24],
+  proverbs: 36,
+  job: 41,
+  "song-of-songs": [17, 17, 11, 16, 16, 12, 14, 14],
+  ruth: [22, 23, 18, 22],
+  lamentations: [22, 22, 66, 22, 22],
+  ecclesiastes: [18, 26, 22, 17, 19, 12, 29, 17, 18, 20, 10, 14],
+  esther: [22, 23, 15, 17, 14, 14, 10, 17, 32, 3],
+  daniel: 49,
+  ezra: 70,
+  nehemiah: 72,
+  "i-chronicles": 66,
+  "ii-chronicles": 42,
+};
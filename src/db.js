@@ -3,11 +3,14 @@
 // Use SQLite locally (when DATABASE_URL is NOT set)
 
 import process from "node:process";
+import { searchTerms, songSearchDocument } from "./songs/searchText.js";
+import { CHAPTER_SPAN } from "./tanach/verseRef.js";
 
 const usePg = !!process.env.DATABASE_URL;
 
 let pgPool = null;
 let sqliteDb = null;
+let pgTrigram = false; // pg_trgm available for fuzzy title/artist matches
 
 if (usePg) {
   // ---------- POSTGRES MODE ----------
@@ -24,7 +27,10 @@ if (usePg) {
       id UUID PRIMARY KEY,
       title TEXT NOT NULL,
       version TEXT,
-      external_url TEXT
+      external_url TEXT,
+      artist TEXT,
+      language TEXT,
+      year INTEGER
     );
   `);
 
@@ -36,6 +42,9 @@ if (usePg) {
       target_id TEXT,
       song_id UUID NOT NULL REFERENCES songs(id) ON DELETE CASCADE,
       verse_ref TEXT,
+      ref_book TEXT,
+      ref_start INTEGER,
+      ref_end INTEGER,
       added_by TEXT,
       status TEXT NOT NULL DEFAULT 'pending',
       approval_token TEXT,
@@ -44,6 +53,185 @@ if (usePg) {
     );
   `);
 
+  // free tags of a song ("niggun", "children", "shabbat table"), stored lowercase
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS song_tags (
+      song_id UUID NOT NULL REFERENCES songs(id) ON DELETE CASCADE,
+      tag TEXT NOT NULL,
+      PRIMARY KEY (song_id, tag)
+    );
+    CREATE INDEX IF NOT EXISTS idx_song_tags_tag ON song_tags(tag);
+  `);
+
+  // every recording / platform URL of a song (YouTube, Spotify, lyrics page, ...)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS song_links (
+      id SERIAL PRIMARY KEY,
+      song_id UUID NOT NULL REFERENCES songs(id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      platform TEXT NOT NULL DEFAULT 'other',
+      performer TEXT,
+      added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (song_id, url)
+    );
+  `);
+
+  // contributor accounts (passwordless: login_tokens holds hashed one-time email links)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS contributors (
+      id UUID PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      display_name TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_login_at TIMESTAMPTZ
+    );
+    CREATE TABLE IF NOT EXISTS login_tokens (
+      token_hash TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      display_name TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS idx_login_tokens_email ON login_tokens(email);
+  `);
+
+  // public upvotes: one per link per session (voter_id) and per device (device_hash)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS link_votes (
+      id SERIAL PRIMARY KEY,
+      link_id INTEGER NOT NULL REFERENCES links(id) ON DELETE CASCADE,
+      voter_id TEXT NOT NULL,
+      device_hash TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (link_id, voter_id),
+      UNIQUE (link_id, device_hash)
+    );
+  `);
+
+  // visitor reports on approved links, one per link per session and per device
+  // (device_hash; the link checker's own reports have none); status 'open' | 'dismissed' | 'resolved'
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS link_reports (
+      id SERIAL PRIMARY KEY,
+      link_id INTEGER NOT NULL REFERENCES links(id) ON DELETE CASCADE,
+      reason TEXT NOT NULL,
+      note TEXT,
+      voter_id TEXT NOT NULL,
+      device_hash TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      resolved_at TIMESTAMPTZ,
+      UNIQUE (link_id, voter_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_link_reports_status ON link_reports(status);
+    -- one report per link and device: drop later duplicates, then enforce it
+    DELETE FROM link_reports
+     WHERE device_hash IS NOT NULL
+       AND id NOT IN (SELECT MIN(id) FROM link_reports WHERE device_hash IS NOT NULL GROUP BY link_id, device_hash);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_link_reports_device ON link_reports(link_id, device_hash);
+  `);
+
+  // named moderator accounts (see src/auth/password.js for password_hash)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS moderators (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      display_name TEXT,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'moderator',
+      disabled BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_login_at TIMESTAMPTZ
+    );
+  `);
+
+  // append-only moderation log; link_id / song_id are no foreign keys so entries outlive deletes
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS moderation_log (
+      id SERIAL PRIMARY KEY,
+      action TEXT NOT NULL,
+      link_id INTEGER,
+      song_id TEXT,
+      moderator TEXT NOT NULL,
+      reason TEXT,
+      before JSONB,
+      after JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_moderation_log_link ON moderation_log(link_id);
+    CREATE INDEX IF NOT EXISTS idx_moderation_log_song ON moderation_log(song_id);
+    CREATE OR REPLACE FUNCTION moderation_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'moderation_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'moderation_log_append_only') THEN
+        CREATE TRIGGER moderation_log_append_only
+          BEFORE UPDATE OR DELETE ON moderation_log
+          FOR EACH ROW EXECUTE FUNCTION moderation_log_append_only();
+      END IF;
+    END
+    $$;
+  `);
+
+  // notification outbox: one row per notification and channel, retried until delivered
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS notification_outbox (
+      id SERIAL PRIMARY KEY,
+      kind TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      delivered_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+    CREATE TABLE IF NOT EXISTS notification_attempts (
+      id SERIAL PRIMARY KEY,
+      outbox_id INTEGER NOT NULL REFERENCES notification_outbox(id) ON DELETE CASCADE,
+      ok BOOLEAN NOT NULL,
+      http_status INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_attempts_outbox ON notification_attempts(outbox_id);
+  `);
+  // email recipient of an outbox row (NOTIFY_EMAIL or a moderator's address)
+  await pgPool.query(`ALTER TABLE notification_outbox ADD COLUMN IF NOT EXISTS recipient TEXT;`);
+  // moderators' own notification email; notify_mode 'immediate' | 'digest' | 'none'
+  await pgPool.query(`ALTER TABLE moderators ADD COLUMN IF NOT EXISTS email TEXT;`);
+  await pgPool.query(`ALTER TABLE moderators ADD COLUMN IF NOT EXISTS notify_mode TEXT NOT NULL DEFAULT 'immediate';`);
+
+  // search index, one row per song (see src/songs/searchText.js)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS song_search (
+      song_id UUID PRIMARY KEY REFERENCES songs(id) ON DELETE CASCADE,
+      title TEXT NOT NULL DEFAULT '',
+      artist TEXT NOT NULL DEFAULT '',
+      tags TEXT NOT NULL DEFAULT '',
+      verses TEXT NOT NULL DEFAULT '',
+      skeleton TEXT NOT NULL DEFAULT '',
+      tsv TSVECTOR
+    );
+    CREATE INDEX IF NOT EXISTS idx_song_search_tsv ON song_search USING GIN (tsv);
+  `);
+  try {
+    await pgPool.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+    await pgPool.query(
+      `CREATE INDEX IF NOT EXISTS idx_song_search_trgm ON song_search USING GIN ((title || ' ' || artist) gin_trgm_ops);`
+    );
+    pgTrigram = true;
+  } catch (err) {
+    console.warn("pg_trgm unavailable, song search without fuzzy matching:", err.message);
+  }
+
   await pgPool.query(`
     CREATE TABLE IF NOT EXISTS visits (
       id SERIAL PRIMARY KEY,
@@ -56,9 +244,38 @@ if (usePg) {
   `);
 
   // ensure new columns exist on older deployments
+  await pgPool.query(`ALTER TABLE songs ADD COLUMN IF NOT EXISTS artist TEXT;`);
+  await pgPool.query(`ALTER TABLE songs ADD COLUMN IF NOT EXISTS language TEXT;`);
+  await pgPool.query(`ALTER TABLE songs ADD COLUMN IF NOT EXISTS year INTEGER;`);
   await pgPool.query(`ALTER TABLE links ADD COLUMN IF NOT EXISTS approval_token TEXT;`);
+  // link health checker (see src/songs/linkHealth.js); health_status 'ok' | 'failing' | 'broken', null until checked
+  await pgPool.query(`
+    ALTER TABLE song_links
+      ADD COLUMN IF NOT EXISTS health_status TEXT,
+      ADD COLUMN IF NOT EXISTS http_status INTEGER,
+      ADD COLUMN IF NOT EXISTS check_error TEXT,
+      ADD COLUMN IF NOT EXISTS failure_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS checked_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS next_check_at TIMESTAMPTZ;
+  `);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_song_links_next_check ON song_links(next_check_at);`);
   await pgPool.query(`ALTER TABLE links ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ;`);
+  // submitter receipts: only the sha256 of the receipt token is stored
+  await pgPool.query(`ALTER TABLE links ADD COLUMN IF NOT EXISTS receipt_hash TEXT;`);
+  await pgPool.query(`ALTER TABLE links ADD COLUMN IF NOT EXISTS moderation_reason TEXT;`);
+  // what a pending submission adds to an existing song (URL, metadata, tags), applied on approval
+  await pgPool.query(`ALTER TABLE links ADD COLUMN IF NOT EXISTS proposed_song JSONB;`);
+  await pgPool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_links_receipt ON links(receipt_hash) WHERE receipt_hash IS NOT NULL;`);
   await pgPool.query(`ALTER TABLE links ALTER COLUMN status SET DEFAULT 'pending';`);
+  // normalized verse range next to the free-text verse_ref (see src/tanach/verseRef.js)
+  await pgPool.query(
+    `ALTER TABLE links ADD COLUMN IF NOT EXISTS contributor_id UUID REFERENCES contributors(id) ON DELETE SET NULL;`
+  );
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_links_contributor ON links(contributor_id);`);
+  await pgPool.query(`ALTER TABLE links ADD COLUMN IF NOT EXISTS ref_book TEXT;`);
+  await pgPool.query(`ALTER TABLE links ADD COLUMN IF NOT EXISTS ref_start INTEGER;`);
+  await pgPool.query(`ALTER TABLE links ADD COLUMN IF NOT EXISTS ref_end INTEGER;`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_links_ref ON links(ref_book, ref_start, ref_end);`);
   await pgPool.query(`
     CREATE UNIQUE INDEX IF NOT EXISTS idx_links_approval_token
       ON links(approval_token)
@@ -67,8 +284,13 @@ if (usePg) {
   await pgPool.query(`
     UPDATE links
        SET status = 'approved'
-     WHERE (status IS NULL OR status = '' OR status NOT IN ('approved','pending','rejected'))
-        OR (status = 'pending' AND approval_token IS NULL);
+     WHERE status IS NULL OR status = '' OR status NOT IN ('approved','pending','rejected','withdrawn','hidden');
+  `);
+  // a pending link without an approval token stays pending and gets one (its emailed links need it)
+  await pgPool.query(`
+    UPDATE links
+       SET approval_token = replace(gen_random_uuid()::text, '-', '')
+     WHERE status = 'pending' AND (approval_token IS NULL OR approval_token = '');
   `);
 } else {
   // ---------- SQLITE MODE ----------
@@ -80,7 +302,10 @@ if (usePg) {
       id TEXT PRIMARY KEY,
       title TEXT NOT NULL,
       version TEXT,
-      external_url TEXT
+      external_url TEXT,
+      artist TEXT,
+      language TEXT,
+      year INTEGER
     );
     CREATE TABLE IF NOT EXISTS links (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -89,12 +314,136 @@ if (usePg) {
       target_id TEXT,
       song_id TEXT NOT NULL,
       verse_ref TEXT,
+      ref_book TEXT,
+      ref_start INTEGER,
+      ref_end INTEGER,
       added_by TEXT,
       status TEXT NOT NULL DEFAULT 'pending',
       approval_token TEXT,
       approved_at TEXT,
       added_at TEXT NOT NULL DEFAULT (datetime('now'))
     );
+    CREATE TABLE IF NOT EXISTS contributors (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      display_name TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_login_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS login_tokens (
+      token_hash TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      display_name TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT NOT NULL,
+      used_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_login_tokens_email ON login_tokens(email);
+    CREATE TABLE IF NOT EXISTS link_votes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      link_id INTEGER NOT NULL,
+      voter_id TEXT NOT NULL,
+      device_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (link_id, voter_id),
+      UNIQUE (link_id, device_hash)
+    );
+    CREATE TABLE IF NOT EXISTS link_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      link_id INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      note TEXT,
+      voter_id TEXT NOT NULL,
+      device_hash TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      resolved_at TEXT,
+      UNIQUE (link_id, voter_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_link_reports_status ON link_reports(status);
+    -- one report per link and device: drop later duplicates, then enforce it
+    DELETE FROM link_reports
+     WHERE device_hash IS NOT NULL
+       AND id NOT IN (SELECT MIN(id) FROM link_reports WHERE device_hash IS NOT NULL GROUP BY link_id, device_hash);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_link_reports_device ON link_reports(link_id, device_hash);
+    CREATE TABLE IF NOT EXISTS moderators (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      display_name TEXT,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'moderator',
+      disabled INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_login_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS moderation_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      link_id INTEGER,
+      song_id TEXT,
+      moderator TEXT NOT NULL,
+      reason TEXT,
+      before TEXT,
+      after TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_moderation_log_link ON moderation_log(link_id);
+    CREATE INDEX IF NOT EXISTS idx_moderation_log_song ON moderation_log(song_id);
+    CREATE TRIGGER IF NOT EXISTS moderation_log_no_update BEFORE UPDATE ON moderation_log
+    BEGIN
+      SELECT RAISE(ABORT, 'moderation_log is append-only');
+    END;
+    CREATE TRIGGER IF NOT EXISTS moderation_log_no_delete BEFORE DELETE ON moderation_log
+    BEGIN
+      SELECT RAISE(ABORT, 'moderation_log is append-only');
+    END;
+    CREATE TABLE IF NOT EXISTS notification_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      delivered_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+    CREATE TABLE IF NOT EXISTS notification_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      outbox_id INTEGER NOT NULL,
+      ok INTEGER NOT NULL,
+      http_status INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      attempted_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_attempts_outbox ON notification_attempts(outbox_id);
+    CREATE VIRTUAL TABLE IF NOT EXISTS song_search USING fts5(
+      song_id UNINDEXED,
+      title,
+      artist,
+      tags,
+      verses,
+      skeleton,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+    CREATE TABLE IF NOT EXISTS song_tags (
+      song_id TEXT NOT NULL,
+      tag TEXT NOT NULL,
+      PRIMARY KEY (song_id, tag)
+    );
+    CREATE INDEX IF NOT EXISTS idx_song_tags_tag ON song_tags(tag);
+    CREATE TABLE IF NOT EXISTS song_links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      song_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      platform TEXT NOT NULL DEFAULT 'other',
+      performer TEXT,
+      added_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (song_id, url)
+    );
     CREATE TABLE IF NOT EXISTS visits (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       ip TEXT NOT NULL,
@@ -106,6 +455,45 @@ if (usePg) {
   `);
 
   // Add missing columns for existing SQLite DBs
+  const songColumns = sqliteDb
+    .prepare("PRAGMA table_info(songs)")
+    .all()
+    .map((col) => col.name);
+  for (const [col, type] of [["artist", "TEXT"], ["language", "TEXT"], ["year", "INTEGER"]]) {
+    if (!songColumns.includes(col)) sqliteDb.exec(`ALTER TABLE songs ADD COLUMN ${col} ${type};`);
+  }
+
+  const songLinkColumns = sqliteDb
+    .prepare("PRAGMA table_info(song_links)")
+    .all()
+    .map((col) => col.name);
+  for (const [col, type] of [
+    ["health_status", "TEXT"],
+    ["http_status", "INTEGER"],
+    ["check_error", "TEXT"],
+    ["failure_count", "INTEGER NOT NULL DEFAULT 0"],
+    ["checked_at", "TEXT"],
+    ["next_check_at", "TEXT"],
+  ]) {
+    if (!songLinkColumns.includes(col)) sqliteDb.exec(`ALTER TABLE song_links ADD COLUMN ${col} ${type};`);
+  }
+  sqliteDb.exec(`CREATE INDEX IF NOT EXISTS idx_song_links_next_check ON song_links(next_check_at);`);
+
+  const moderatorColumns = sqliteDb
+    .prepare("PRAGMA table_info(moderators)")
+    .all()
+    .map((col) => col.name);
+  for (const [col, type] of [["email", "TEXT"], ["notify_mode", "TEXT NOT NULL DEFAULT 'immediate'"]]) {
+    if (!moderatorColumns.includes(col)) sqliteDb.exec(`ALTER TABLE moderators ADD COLUMN ${col} ${type};`);
+  }
+  const outboxColumns = sqliteDb
+    .prepare("PRAGMA table_info(notification_outbox)")
+    .all()
+    .map((col) => col.name);
+  if (!outboxColumns.includes("recipient")) {
+    sqliteDb.exec(`ALTER TABLE notification_outbox ADD COLUMN recipient TEXT;`);
+  }
+
   const linkColumns = sqliteDb
     .prepare("PRAGMA table_info(links)")
     .all()
@@ -117,12 +505,23 @@ if (usePg) {
   if (!linkColumns.includes("approved_at")) {
     sqliteDb.exec(`ALTER TABLE links ADD COLUMN approved_at TEXT;`);
   }
+  for (const [col, type] of [["ref_book", "TEXT"], ["ref_start", "INTEGER"], ["ref_end", "INTEGER"], ["contributor_id", "TEXT"], ["receipt_hash", "TEXT"], ["moderation_reason", "TEXT"], ["proposed_song", "TEXT"]]) {
+    if (!linkColumns.includes(col)) sqliteDb.exec(`ALTER TABLE links ADD COLUMN ${col} ${type};`);
+  }
+  sqliteDb.exec(`CREATE INDEX IF NOT EXISTS idx_links_contributor ON links(contributor_id);`);
+  sqliteDb.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_links_receipt ON links(receipt_hash) WHERE receipt_hash IS NOT NULL;`);
+  sqliteDb.exec(`CREATE INDEX IF NOT EXISTS idx_links_ref ON links(ref_book, ref_start, ref_end);`);
 
   sqliteDb.exec(`
     UPDATE links
        SET status = 'approved'
-     WHERE (status IS NULL OR status = '' OR status NOT IN ('approved','pending','rejected'))
-        OR (status = 'pending' AND (approval_token IS NULL OR approval_token = ''));
+     WHERE status IS NULL OR status = '' OR status NOT IN ('approved','pending','rejected','withdrawn','hidden');
+  `);
+  // a pending link without an approval token stays pending and gets one (its emailed links need it)
+  sqliteDb.exec(`
+    UPDATE links
+       SET approval_token = lower(hex(randomblob(24)))
+     WHERE status = 'pending' AND (approval_token IS NULL OR approval_token = '');
   `);
 }
 
@@ -145,36 +544,126 @@ async function findSongByTitleVersion(title, version) {
   }
 }
 
-// find song by (title, external_url)
+// find song by (title, external_url); the URL may also be any of the song's song_links
 async function findSongByTitleUrl(title, external_url) {
   if (usePg) {
     const { rows } = await pgPool.query(
-      `SELECT * FROM songs WHERE title = $1 AND COALESCE(external_url,'') = COALESCE($2,'') LIMIT 1`,
+      `SELECT * FROM songs s
+        WHERE s.title = $1
+          AND (COALESCE(s.external_url,'') = COALESCE($2,'')
+               OR EXISTS (SELECT 1 FROM song_links sl WHERE sl.song_id = s.id AND sl.url = $2))
+        ORDER BY (COALESCE(s.external_url,'') = COALESCE($2,'')) DESC
+        LIMIT 1`,
       [title, external_url || null]
     );
     return rows[0] || null;
   } else {
     return sqliteDb
       .prepare(
-        "SELECT * FROM songs WHERE title = ? AND ifnull(external_url,'') = ifnull(?, '') LIMIT 1"
+        `SELECT * FROM songs s
+          WHERE s.title = ?
+            AND (ifnull(s.external_url,'') = ifnull(?, '')
+                 OR EXISTS (SELECT 1 FROM song_links sl WHERE sl.song_id = s.id AND sl.url = ?))
+          ORDER BY (ifnull(s.external_url,'') = ifnull(?, '')) DESC
+          LIMIT 1`
       )
-      .get(title, external_url || null);
+      .get(title, external_url || null, external_url || null, external_url || null);
+  }
+}
+
+async function getSongById(id) {
+  if (usePg) {
+    const { rows } = await pgPool.query(`SELECT * FROM songs WHERE id = $1`, [id]);
+    return rows[0] || null;
+  } else {
+    return sqliteDb.prepare(`SELECT * FROM songs WHERE id = ?`).get(id) || null;
   }
 }
 
 // insert song
-async function insertSong(id, title, version, external_url) {
+async function insertSong(id, title, version, external_url, { artist = null, language = null, year = null } = {}) {
   if (usePg) {
     await pgPool.query(
-      `INSERT INTO songs (id, title, version, external_url) VALUES ($1, $2, $3, $4)`,
-      [id, title, version || null, external_url || null]
+      `INSERT INTO songs (id, title, version, external_url, artist, language, year) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [id, title, version || null, external_url || null, artist || null, language || null, year || null]
     );
   } else {
     sqliteDb
       .prepare(
-        "INSERT INTO songs (id, title, version, external_url) VALUES (?, ?, ?, ?)"
+        "INSERT INTO songs (id, title, version, external_url, artist, language, year) VALUES (?, ?, ?, ?, ?, ?, ?)"
       )
-      .run(id, title, version || null, external_url || null);
+      .run(id, title, version || null, external_url || null, artist || null, language || null, year || null);
+  }
+}
+
+// set the given metadata fields ({ artist, language, year }); undefined ones are left alone
+async function updateSongMeta(id, meta) {
+  const fields = ["artist", "language", "year"].filter((f) => meta[f] !== undefined);
+  if (!fields.length) return 0;
+  const values = fields.map((f) => meta[f] || null);
+  if (usePg) {
+    const { rowCount } = await pgPool.query(
+      `UPDATE songs SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(", ")} WHERE id = $1`,
+      [id, ...values]
+    );
+    return rowCount;
+  } else {
+    const info = sqliteDb
+      .prepare(`UPDATE songs SET ${fields.map((f) => `${f} = ?`).join(", ")} WHERE id = ?`)
+      .run(...values, id);
+    return info.changes;
+  }
+}
+
+// ---- song_tags ----
+
+// tags of several songs as [{ song_id, tag }], alphabetical per song
+async function getSongTags(songIds) {
+  if (!songIds.length) return [];
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT song_id, tag FROM song_tags WHERE song_id = ANY($1) ORDER BY song_id, tag`,
+      [songIds]
+    );
+    return rows;
+  } else {
+    const placeholders = songIds.map(() => "?").join(",");
+    return sqliteDb
+      .prepare(`SELECT song_id, tag FROM song_tags WHERE song_id IN (${placeholders}) ORDER BY song_id, tag`)
+      .all(...songIds);
+  }
+}
+
+// add tags to a song (existing ones are kept)
+async function addSongTags(song_id, tags) {
+  if (!tags.length) return;
+  if (usePg) {
+    await pgPool.query(
+      `INSERT INTO song_tags (song_id, tag) SELECT $1, UNNEST($2::text[]) ON CONFLICT DO NOTHING`,
+      [song_id, tags]
+    );
+  } else {
+    const insert = sqliteDb.prepare(`INSERT OR IGNORE INTO song_tags (song_id, tag) VALUES (?, ?)`);
+    sqliteDb.transaction(() => tags.forEach((tag) => insert.run(song_id, tag)))();
+  }
+}
+
+// replace all tags of a song
+async function setSongTags(song_id, tags) {
+  if (usePg) {
+    await withPgTransaction(async (client) => {
+      await client.query(`DELETE FROM song_tags WHERE song_id = $1`, [song_id]);
+      await client.query(
+        `INSERT INTO song_tags (song_id, tag) SELECT $1, UNNEST($2::text[]) ON CONFLICT DO NOTHING`,
+        [song_id, tags]
+      );
+    });
+  } else {
+    const insert = sqliteDb.prepare(`INSERT OR IGNORE INTO song_tags (song_id, tag) VALUES (?, ?)`);
+    sqliteDb.transaction(() => {
+      sqliteDb.prepare(`DELETE FROM song_tags WHERE song_id = ?`).run(song_id);
+      tags.forEach((tag) => insert.run(song_id, tag));
+    })();
   }
 }
 
@@ -192,319 +681,1981 @@ async function updateSongExternalUrl(id, external_url) {
   }
 }
 
-// insert link
-async function insertLink({
-  parasha_id,
-  target_kind,
-  target_id,
-  song_id,
-  verse_ref,
-  added_by,
-  status = "pending",
-  approval_token = null,
-  approved_at = null,
-}) {
+// ---- song_links (platform URLs of a song) ----
+
+// add a URL to a song unless it is already there; returns { row, created }
+async function insertSongLink(song_id, { url, platform, performer = null }) {
   if (usePg) {
     const { rows } = await pgPool.query(
-      `INSERT INTO links
-        (parasha_id, target_kind, target_id, song_id, verse_ref, added_by, status, approval_token, approved_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-       RETURNING id`,
-      [
-        parasha_id,
-        target_kind,
-        target_id || null,
-        song_id,
-        verse_ref || null,
-        added_by || null,
-        status,
-        approval_token || null,
-        approved_at || null,
-      ]
+      `INSERT INTO song_links (song_id, url, platform, performer)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (song_id, url) DO NOTHING
+       RETURNING id, song_id, url, platform, performer, added_at`,
+      [song_id, url, platform, performer || null]
     );
-    return rows[0].id;
+    if (rows[0]) return { row: rows[0], created: true };
+    const existing = await pgPool.query(
+      `SELECT id, song_id, url, platform, performer, added_at FROM song_links WHERE song_id = $1 AND url = $2`,
+      [song_id, url]
+    );
+    return { row: existing.rows[0], created: false };
   } else {
     const info = sqliteDb
-      .prepare(
-        `INSERT INTO links
-          (parasha_id, target_kind, target_id, song_id, verse_ref, added_by, status, approval_token, approved_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
-      )
-      .run(
-        parasha_id,
-        target_kind,
-        target_id || null,
-        song_id,
-        verse_ref || null,
-        added_by || null,
-        status,
-        approval_token || null,
-        approved_at || null
-      );
-    return info.lastInsertRowid;
+      .prepare(`INSERT OR IGNORE INTO song_links (song_id, url, platform, performer) VALUES (?, ?, ?, ?)`)
+      .run(song_id, url, platform, performer || null);
+    const row = sqliteDb
+      .prepare(`SELECT id, song_id, url, platform, performer, added_at FROM song_links WHERE song_id = ? AND url = ?`)
+      .get(song_id, url);
+    return { row, created: info.changes > 0 };
   }
 }
 
-// get all links for a parasha (optionally filter by kind)
-async function getLinksByParasha(parasha_id, target_kind = null, options = {}) {
-  const { statuses = ["approved"] } = options;
+// song_links of several songs, oldest first per song
+async function getSongLinks(songIds) {
+  if (!songIds.length) return [];
   if (usePg) {
-    const params = [parasha_id];
-    let sql = `
-      SELECT l.id,
-             l.parasha_id,
-             l.target_kind,
-             l.target_id,
-             l.verse_ref,
-             l.status,
-             l.approved_at,
-             l.added_at,
-             s.title AS song_title,
-             s.external_url AS song_url
-      FROM links l
-      JOIN songs s ON l.song_id = s.id
-      WHERE l.parasha_id = $1
-    `;
-    if (target_kind) {
-      sql += " AND l.target_kind = $2";
-      params.push(target_kind);
-    }
-    if (Array.isArray(statuses) && statuses.length > 0) {
-      params.push(statuses);
-      sql += ` AND l.status = ANY($${params.length})`;
-    }
-    sql += " ORDER BY l.added_at DESC";
-    const { rows } = await pgPool.query(sql, params);
+    const { rows } = await pgPool.query(
+      `SELECT id, song_id, url, platform, performer, health_status, added_at
+         FROM song_links
+        WHERE song_id = ANY($1)
+        ORDER BY song_id, id`,
+      [songIds]
+    );
     return rows;
   } else {
-    const params = [parasha_id];
-    let sql = `
-      SELECT l.id,
-             l.parasha_id,
-             l.target_kind,
-             l.target_id,
-             l.verse_ref,
-             l.status,
-             l.approved_at,
-             l.added_at,
-             s.title AS song_title,
-             s.external_url AS song_url
-      FROM links l
-      JOIN songs s ON l.song_id = s.id
-      WHERE l.parasha_id = ?
-    `;
-    if (target_kind) {
-      sql += " AND l.target_kind = ?";
-      params.push(target_kind);
-    }
-    if (Array.isArray(statuses) && statuses.length > 0) {
-      const placeholders = statuses.map(() => "?").join(",");
-      sql += ` AND l.status IN (${placeholders})`;
-      params.push(...statuses);
-    }
-    sql += " ORDER BY l.added_at DESC";
-    return sqliteDb.prepare(sql).all(...params);
+    const placeholders = songIds.map(() => "?").join(",");
+    return sqliteDb
+      .prepare(
+        `SELECT id, song_id, url, platform, performer, health_status, added_at
+           FROM song_links
+          WHERE song_id IN (${placeholders})
+          ORDER BY song_id, id`
+      )
+      .all(...songIds);
   }
 }
 
-// NEW: get all links for a Tanach book chapter
-async function getLinksByTanach(book_id, chapter, options = {}) {
-  const { statuses = ["approved"] } = options;
-  const targetKey = `${book_id}:${chapter}`;
+// pending and approved links on one target (parasha_id, target_kind and target_id
+// as stored on links) with their songs, for duplicate checks at submission
+async function getLinksOnTarget({ parasha_id, target_kind, target_id = null }) {
   if (usePg) {
-    const params = [targetKey];
-    let sql =
-      `
-      SELECT l.id,
-             l.parasha_id,
-             l.target_kind,
-             l.target_id,
-             l.verse_ref,
-             l.status,
-             l.approved_at,
-             l.added_at,
-             s.title AS song_title,
-             s.external_url AS song_url
-      FROM links l
-      JOIN songs s ON l.song_id = s.id
-      WHERE l.target_kind = 'tanach'
-        AND l.target_id = $1
-      `;
-    if (Array.isArray(statuses) && statuses.length > 0) {
-      params.push(statuses);
-      sql += ` AND l.status = ANY($${params.length})`;
-    }
-    sql += " ORDER BY l.added_at DESC";
-    const { rows } = await pgPool.query(sql, params);
+    const { rows } = await pgPool.query(
+      `SELECT l.id, l.status, l.song_id, s.title AS song_title, s.artist AS song_artist, s.external_url AS song_url
+         FROM links l
+         JOIN songs s ON l.song_id = s.id
+        WHERE l.parasha_id = $1
+          AND l.target_kind = $2
+          AND COALESCE(l.target_id, '') = $3
+          AND l.status IN ('pending', 'approved')
+        ORDER BY l.id`,
+      [parasha_id, target_kind, target_id || ""]
+    );
     return rows;
   } else {
-    let sql =
-      `
-      SELECT l.id,
-             l.parasha_id,
-             l.target_kind,
-             l.target_id,
-             l.verse_ref,
-             l.status,
-             l.approved_at,
-             l.added_at,
-             s.title AS song_title,
-             s.external_url AS song_url
-      FROM links l
-      JOIN songs s ON l.song_id = s.id
-      WHERE l.target_kind = 'tanach'
-        AND l.target_id = ?
-      `;
-    const params = [targetKey];
-    if (Array.isArray(statuses) && statuses.length > 0) {
-      const placeholders = statuses.map(() => "?").join(",");
-      sql += ` AND l.status IN (${placeholders})`;
-      params.push(...statuses);
-    }
-    sql += " ORDER BY l.added_at DESC";
-    const stmt = sqliteDb.prepare(sql);
-    return stmt.all(...params);
+    return sqliteDb
+      .prepare(
+        `SELECT l.id, l.status, l.song_id, s.title AS song_title, s.artist AS song_artist, s.external_url AS song_url
+           FROM links l
+           JOIN songs s ON l.song_id = s.id
+          WHERE l.parasha_id = ?
+            AND l.target_kind = ?
+            AND COALESCE(l.target_id, '') = ?
+            AND l.status IN ('pending', 'approved')
+          ORDER BY l.id`
+      )
+      .all(parasha_id, target_kind, target_id || "");
   }
 }
 
-// Approve a link by approval token (used from email confirmation)
-async function approveLinkByToken(token) {
-  if (!token) return null;
+// ---- link health ----
+
+// song_links whose next check is due (never-checked first), with the song title;
+// only songs with a published (or hidden) link, so unmoderated URLs are never fetched
+async function getSongLinksDueForCheck(limit) {
   if (usePg) {
     const { rows } = await pgPool.query(
-      `
-      WITH updated AS (
-        UPDATE links
-           SET status = 'approved',
-               approval_token = NULL,
-               approved_at = COALESCE(approved_at, NOW())
-         WHERE approval_token = $1
-         RETURNING *
-      )
-      SELECT u.*, s.title AS song_title, s.external_url AS song_url
-        FROM updated u
-        JOIN songs s ON s.id = u.song_id
-      `,
-      [token]
+      `SELECT sl.id, sl.song_id, sl.url, sl.failure_count, s.title AS song_title
+         FROM song_links sl
+         JOIN songs s ON sl.song_id = s.id
+        WHERE (sl.next_check_at IS NULL OR sl.next_check_at <= NOW())
+          AND EXISTS (SELECT 1 FROM links l WHERE l.song_id = sl.song_id AND l.status IN ('approved', 'hidden'))
+        ORDER BY sl.next_check_at ASC NULLS FIRST, sl.id ASC
+        LIMIT $1`,
+      [limit]
     );
-    return rows[0] || null;
+    return rows;
   } else {
-    const updateStmt = sqliteDb.prepare(
-      `UPDATE links
-          SET status = 'approved',
+    return sqliteDb
+      .prepare(
+        `SELECT sl.id, sl.song_id, sl.url, sl.failure_count, s.title AS song_title
+           FROM song_links sl
+           JOIN songs s ON sl.song_id = s.id
+          WHERE (sl.next_check_at IS NULL OR sl.next_check_at <= datetime('now'))
+            AND EXISTS (SELECT 1 FROM links l WHERE l.song_id = sl.song_id AND l.status IN ('approved', 'hidden'))
+          ORDER BY sl.next_check_at ASC, sl.id ASC
+          LIMIT ?`
+      )
+      .all(limit);
+  }
+}
+
+// store the outcome of one check; the next one is due in `next_check_seconds`
+async function recordSongLinkCheck(id, { health_status, http_status, check_error, failure_count, next_check_seconds }) {
+  if (usePg) {
+    await pgPool.query(
+      `UPDATE song_links
+          SET health_status = $2,
+              http_status = $3,
+              check_error = $4,
+              failure_count = $5,
+              checked_at = NOW(),
+              next_check_at = NOW() + make_interval(secs => $6)
+        WHERE id = $1`,
+      [id, health_status, http_status, check_error, failure_count, next_check_seconds]
+    );
+  } else {
+    sqliteDb
+      .prepare(
+        `UPDATE song_links
+            SET health_status = ?,
+                http_status = ?,
+                check_error = ?,
+                failure_count = ?,
+                checked_at = datetime('now'),
+                next_check_at = datetime('now', ?)
+          WHERE id = ?`
+      )
+      .run(health_status, http_status, check_error, failure_count, `+${Math.round(next_check_seconds)} seconds`, id);
+  }
+}
+
+// number of song_links per health status ('unchecked' for never checked)
+async function getSongLinkHealthCounts() {
+  const sql = `
+    SELECT COALESCE(health_status, 'unchecked') AS health_status, COUNT(*) AS count
+      FROM song_links
+     GROUP BY COALESCE(health_status, 'unchecked')
+  `;
+  if (usePg) {
+    const { rows } = await pgPool.query(sql);
+    return rows;
+  } else {
+    return sqliteDb.prepare(sql).all();
+  }
+}
+
+// song_links whose last check failed, most failures first
+async function getFailingSongLinks() {
+  const sql = `
+    SELECT sl.id, sl.song_id, sl.url, sl.platform, sl.health_status, sl.http_status, sl.check_error,
+           sl.failure_count, sl.checked_at, sl.next_check_at, s.title AS song_title
+      FROM song_links sl
+      JOIN songs s ON sl.song_id = s.id
+     WHERE sl.health_status IN ('failing', 'broken')
+     ORDER BY sl.failure_count DESC, sl.checked_at DESC
+  `;
+  if (usePg) {
+    const { rows } = await pgPool.query(sql);
+    return rows;
+  } else {
+    return sqliteDb.prepare(sql).all();
+  }
+}
+
+// ids of a song's approved links
+async function getApprovedLinkIdsBySong(song_id) {
+  if (usePg) {
+    const { rows } = await pgPool.query(`SELECT id FROM links WHERE song_id = $1 AND status = 'approved'`, [song_id]);
+    return rows.map((row) => row.id);
+  } else {
+    return sqliteDb
+      .prepare(`SELECT id FROM links WHERE song_id = ? AND status = 'approved'`)
+      .all(song_id)
+      .map((row) => row.id);
+  }
+}
+
+// songs whose external_url has no song_links row yet (data from before song_links)
+async function getSongsWithoutSongLink() {
+  const sql = `
+    SELECT s.id, s.external_url
+      FROM songs s
+     WHERE s.external_url IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM song_links sl WHERE sl.song_id = s.id AND sl.url = s.external_url)
+  `;
+  if (usePg) {
+    const { rows } = await pgPool.query(sql);
+    return rows;
+  } else {
+    return sqliteDb.prepare(sql).all();
+  }
+}
+
+// point the song_links row for `oldUrl` at `url` (or add / drop one) after the song URL was edited
+async function replaceSongLinkUrl(song_id, oldUrl, { url, platform }) {
+  if (usePg) {
+    if (oldUrl) {
+      await pgPool.query(`DELETE FROM song_links WHERE song_id = $1 AND url = $2`, [song_id, oldUrl]);
+    }
+    if (url) {
+      await pgPool.query(
+        `INSERT INTO song_links (song_id, url, platform) VALUES ($1, $2, $3)
+         ON CONFLICT (song_id, url) DO NOTHING`,
+        [song_id, url, platform]
+      );
+    }
+  } else {
+    const replace = sqliteDb.transaction(() => {
+      if (oldUrl) {
+        sqliteDb.prepare(`DELETE FROM song_links WHERE song_id = ? AND url = ?`).run(song_id, oldUrl);
+      }
+      if (url) {
+        sqliteDb
+          .prepare(`INSERT OR IGNORE INTO song_links (song_id, url, platform) VALUES (?, ?, ?)`)
+          .run(song_id, url, platform);
+      }
+    });
+    replace();
+  }
+}
+
+// delete one song link; returns the deleted row (or null)
+async function deleteSongLink(id) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `DELETE FROM song_links WHERE id = $1 RETURNING id, song_id, url`,
+      [id]
+    );
+    return rows[0] || null;
+  } else {
+    const row = sqliteDb.prepare(`SELECT id, song_id, url FROM song_links WHERE id = ?`).get(id);
+    if (!row) return null;
+    sqliteDb.prepare(`DELETE FROM song_links WHERE id = ?`).run(id);
+    return row;
+  }
+}
+
+// ---- proposed song changes ----
+// A submission for an existing song (picked by song.id, or the same title and URL) may
+// bring a new URL, metadata or tags for it. The song is shared with published links, so
+// they wait in links.proposed_song: `{ [url, platform, performer], [artist, language, year], [tags] }`.
+
+function parseJson(value) {
+  return typeof value === "string" ? JSON.parse(value) : value ?? null;
+}
+
+// a links row with proposed_song parsed (SQLite keeps it as text)
+function linkRow(row) {
+  if (!row || usePg) return row;
+  return { ...row, proposed_song: parseJson(row.proposed_song) };
+}
+
+// the URL joins the song's links (and becomes its main URL when it has none), metadata fills gaps, tags are added
+async function applyProposedSongPg(client, song_id, proposal) {
+  if (!proposal) return;
+  const { url, platform, performer = null, artist = null, language = null, year = null, tags = [] } = proposal;
+  if (url) {
+    await client.query(
+      `INSERT INTO song_links (song_id, url, platform, performer) VALUES ($1, $2, $3, $4) ON CONFLICT (song_id, url) DO NOTHING`,
+      [song_id, url, platform, performer]
+    );
+  }
+  await client.query(
+    `UPDATE songs
+        SET external_url = COALESCE(external_url, $2),
+            artist = COALESCE(artist, $3),
+            language = COALESCE(language, $4),
+            year = COALESCE(year, $5)
+      WHERE id = $1`,
+    [song_id, url || null, artist, language, year]
+  );
+  if (tags.length) {
+    await client.query(
+      `INSERT INTO song_tags (song_id, tag) SELECT $1, UNNEST($2::text[]) ON CONFLICT DO NOTHING`,
+      [song_id, tags]
+    );
+  }
+}
+
+// applyProposedSongPg for SQLite; synchronous, so it can run inside a transaction
+function applyProposedSongSqlite(song_id, proposal) {
+  if (!proposal) return;
+  const { url, platform, performer = null, artist = null, language = null, year = null, tags = [] } = proposal;
+  if (url) {
+    sqliteDb
+      .prepare(`INSERT OR IGNORE INTO song_links (song_id, url, platform, performer) VALUES (?, ?, ?, ?)`)
+      .run(song_id, url, platform, performer);
+  }
+  sqliteDb
+    .prepare(
+      `UPDATE songs
+          SET external_url = COALESCE(external_url, ?),
+              artist = COALESCE(artist, ?),
+              language = COALESCE(language, ?),
+              year = COALESCE(year, ?)
+        WHERE id = ?`
+    )
+    .run(url || null, artist, language, year, song_id);
+  const insertTag = sqliteDb.prepare(`INSERT OR IGNORE INTO song_tags (song_id, tag) VALUES (?, ?)`);
+  tags.forEach((tag) => insertTag.run(song_id, tag));
+}
+
+// apply a proposal right away (an admin's own submission is approved as it is made)
+async function applyProposedSong(song_id, proposal) {
+  if (usePg) {
+    await withPgTransaction((client) => applyProposedSongPg(client, song_id, proposal));
+  } else {
+    sqliteDb.transaction(() => applyProposedSongSqlite(song_id, proposal))();
+  }
+}
+
+// insert link
+async function insertLink({
+  parasha_id,
+  target_kind,
+  target_id,
+  song_id,
+  verse_ref,
+  verse_range = null,
+  added_by,
+  contributor_id = null,
+  status = "pending",
+  approval_token = null,
+  approved_at = null,
+  receipt_hash = null,
+  proposed_song = null,
+}) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO links
+        (parasha_id, target_kind, target_id, song_id, verse_ref, ref_book, ref_start, ref_end, added_by, contributor_id, status, approval_token, approved_at, receipt_hash, proposed_song)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING id`,
+      [
+        parasha_id,
+        target_kind,
+        target_id || null,
+        song_id,
+        verse_ref || null,
+        verse_range?.book || null,
+        verse_range?.start ?? null,
+        verse_range?.end ?? null,
+        added_by || null,
+        contributor_id || null,
+        status,
+        approval_token || null,
+        approved_at || null,
+        receipt_hash || null,
+        proposed_song ? JSON.stringify(proposed_song) : null,
+      ]
+    );
+    return rows[0].id;
+  } else {
+    const info = sqliteDb
+      .prepare(
+        `INSERT INTO links
+          (parasha_id, target_kind, target_id, song_id, verse_ref, ref_book, ref_start, ref_end, added_by, contributor_id, status, approval_token, approved_at, receipt_hash, proposed_song)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        parasha_id,
+        target_kind,
+        target_id || null,
+        song_id,
+        verse_ref || null,
+        verse_range?.book || null,
+        verse_range?.start ?? null,
+        verse_range?.end ?? null,
+        added_by || null,
+        contributor_id || null,
+        status,
+        approval_token || null,
+        approved_at || null,
+        receipt_hash || null,
+        proposed_song ? JSON.stringify(proposed_song) : null
+      );
+    return info.lastInsertRowid;
+  }
+}
+
+// ---- link listings ----
+// Every song link listing (/api/links, /api/links-tanach, /api/links-holiday,
+// /api/links-verse, /api/search/songs) is one query: the approved links of the
+// route's sources, narrowed by the query filters, in the order of its sort and
+// cut after the cursor (`WHERE (key) > (cursor key) ... LIMIT n`). Cursors are
+// encoded in src/songs/listing.js.
+
+// Torah, Prophets, Writings (the "verse" sort)
+const BOOK_ORDER = [
+  "genesis", "exodus", "leviticus", "numbers", "deuteronomy",
+  "joshua", "judges", "i-samuel", "ii-samuel", "i-kings", "ii-kings",
+  "isaiah", "jeremiah", "ezekiel", "hosea", "joel", "amos", "obadiah", "jonah",
+  "micah", "nahum", "habakkuk", "zephaniah", "haggai", "zechariah", "malachi",
+  "psalms", "proverbs", "job", "song-of-songs", "ruth", "lamentations", "ecclesiastes",
+  "esther", "daniel", "ezra", "nehemiah", "i-chronicles", "ii-chronicles",
+];
+
+// the book and chapter of a Tanach-chapter link ("<book_id>:<chapter>")
+const TANACH_BOOK_SQL = usePg
+  ? `split_part(l.target_id, ':', 1)`
+  : `substr(l.target_id, 1, instr(l.target_id, ':') - 1)`;
+const TANACH_CHAPTER_SQL = usePg
+  ? `CAST(NULLIF(split_part(l.target_id, ':', 2), '') AS INTEGER)`
+  : `CAST(substr(l.target_id, instr(l.target_id, ':') + 1) AS INTEGER)`;
+
+// sort key columns of the listing query, [column, "ASC" | "DESC"]; all end in the newest-first tie-breakers
+const NEWEST_FIRST = [["sort_added", "DESC"], ["id", "DESC"]];
+const LISTING_KEYS = {
+  newest: NEWEST_FIRST,
+  score: [["votes", "DESC"], ...NEWEST_FIRST],
+  relevance: [["search_rank", "DESC"], ...NEWEST_FIRST],
+  popular: [["popularity", "DESC"], ...NEWEST_FIRST],
+  alphabetical: [["sort_title", "ASC"], ...NEWEST_FIRST],
+  // links without a verse or chapter last
+  verse: [["sort_book", "ASC"], ["sort_start", "ASC"], ...NEWEST_FIRST],
+};
+
+// "?, ?, ?" for `values`, which join `params`; an empty list matches nothing
+function placeholders(values, params) {
+  if (!values.length) return "NULL";
+  params.push(...values);
+  return values.map(() => "?").join(", ");
+}
+
+// links without a verse range, or with one overlapping one of `ranges` ([{ book, start, end }])
+function inRangesSql(ranges, params) {
+  const overlaps = ranges.map((r) => {
+    params.push(r.book, r.end, r.start);
+    return "(l.ref_book = ? AND l.ref_start <= ? AND l.ref_end >= ?)";
+  });
+  return `(l.ref_book IS NULL${overlaps.map((o) => ` OR ${o}`).join("")})`;
+}
+
+/**
+ * SQL condition for the links of one listing source:
+ * - `{ parasha_ids, [target_kind], [haftarah_id] }` — links on these parshiot (haftarah_id narrows their haftarah links to one)
+ * - `{ tanach: { book, chapters }, [ranges] }` — links on these Tanach chapters
+ * - `{ haftarah_ids, [ranges] }` — links on these haftarot, under any parasha
+ * - `{ holiday_id }`
+ * - `{ verse: { book, start, end } }` — links whose verse range overlaps it
+ * With `ranges`, a link with a verse range must overlap one of them.
+ */
+function listingSourceSql(source, params) {
+  const conditions = [];
+  if (source.parasha_ids) {
+    conditions.push(`l.parasha_id IN (${placeholders(source.parasha_ids, params)})`);
+    if (source.target_kind) {
+      conditions.push("l.target_kind = ?");
+      params.push(source.target_kind);
+    }
+    if (source.haftarah_id) {
+      conditions.push("(l.target_kind <> 'haftarah' OR l.target_id = ?)");
+      params.push(source.haftarah_id);
+    }
+  } else if (source.tanach) {
+    const keys = source.tanach.chapters.map((c) => `${source.tanach.book}:${c}`);
+    conditions.push(`l.target_kind = 'tanach' AND l.target_id IN (${placeholders(keys, params)})`);
+  } else if (source.haftarah_ids) {
+    conditions.push(`l.target_kind = 'haftarah' AND l.target_id IN (${placeholders(source.haftarah_ids, params)})`);
+  } else if (source.holiday_id) {
+    conditions.push("l.target_kind = 'holiday' AND l.target_id = ?");
+    params.push(source.holiday_id);
+  } else if (source.verse) {
+    conditions.push("l.ref_book = ? AND l.ref_start <= ? AND l.ref_end >= ?");
+    params.push(source.verse.book, source.verse.end, source.verse.start);
+  }
+  if (source.ranges) conditions.push(inRangesSql(source.ranges, params));
+  return `(${conditions.join(" AND ")})`;
+}
+
+// the "YYYY-MM-DD" day `offsetDays` after `date`, at 00:00 UTC, as added_at compares it
+function listingDayStart(date, offsetDays = 0) {
+  const iso = new Date(Date.parse(`${date}T00:00:00Z`) + offsetDays * 24 * 60 * 60 * 1000).toISOString();
+  return usePg ? iso : iso.slice(0, 19).replace("T", " ");
+}
+
+/**
+ * One page of a link listing.
+ * `sources`: see listingSourceSql; a link matching any of them is listed.
+ * `query`: { sort, kind: [target kinds], book, book_parasha_ids (parshiot of `book`),
+ * added_from, added_to (YYYY-MM-DD, inclusive), language, tag: [tags], artist,
+ * limit, cursor: { key } (decoded) }; without `limit` every link is listed.
+ * `search`: a search text; only links of matching songs are listed, and the
+ * "relevance" sort puts the best matching songs first.
+ * Resolves to `{ rows, next_key }`, `next_key` being the sort key of the last
+ * row when more follow.
+ */
+async function listLinks(sources, query, { search = null } = {}) {
+  const { sort = "newest", kind, book, book_parasha_ids = [], added_from, added_to, language, tag, artist, limit, cursor } = query;
+  const keys = LISTING_KEYS[sort] || LISTING_KEYS.newest;
+  const params = [];
+
+  let rankJoin = "";
+  if (search !== null) {
+    const terms = searchTerms(search);
+    if (!terms.length) return { rows: [], next_key: null };
+    rankJoin = `JOIN (${songRankSql(terms, params)}) r ON r.song_id = l.song_id`;
+  }
+
+  const where = ["l.status = 'approved'"];
+  if (sources.length) where.push(`(${sources.map((source) => listingSourceSql(source, params)).join(" OR ")})`);
+  if (kind?.length) where.push(`l.target_kind IN (${placeholders(kind, params)})`);
+  if (book) {
+    // by verse range, Tanach chapter or the parasha's Torah book
+    where.push(
+      `(l.ref_book = ? OR (l.ref_book IS NULL AND ((l.target_kind = 'tanach' AND ${TANACH_BOOK_SQL} = ?)` +
+        ` OR (l.target_kind = 'parasha' AND l.parasha_id IN (${placeholders(book_parasha_ids, [])})))))`
+    );
+    params.push(book, book, ...book_parasha_ids);
+  }
+  if (added_from) {
+    where.push("l.added_at >= ?");
+    params.push(listingDayStart(added_from));
+  }
+  if (added_to) {
+    where.push("l.added_at < ?");
+    params.push(listingDayStart(added_to, 1));
+  }
+  if (language) {
+    where.push("s.language = ?");
+    params.push(language);
+  }
+  if (artist) {
+    where.push("LOWER(COALESCE(s.artist, '')) LIKE ? ESCAPE '\\'");
+    params.push(`%${artist.toLowerCase().replace(/%/g, "\\%").replace(/_/g, "\\_")}%`);
+  }
+  for (const t of tag || []) {
+    where.push("EXISTS (SELECT 1 FROM song_tags t WHERE t.song_id = s.id AND t.tag = ?)");
+    params.push(t);
+  }
+
+  const count = usePg ? "COUNT(*)::int" : "COUNT(*)";
+  const bookIndex = `CASE COALESCE(l.ref_book, CASE WHEN l.target_kind = 'tanach' THEN ${TANACH_BOOK_SQL} END) ${BOOK_ORDER.map((b, i) => `WHEN '${b}' THEN ${i}`).join(" ")} ELSE ${BOOK_ORDER.length} END`;
+  let sql = `
+    SELECT *
+      FROM (
+        SELECT l.id,
+               l.parasha_id,
+               l.target_kind,
+               l.target_id,
+               l.verse_ref,
+               l.ref_book,
+               l.ref_start,
+               l.ref_end,
+               l.status,
+               l.approved_at,
+               l.added_at,
+               l.song_id,
+               l.contributor_id,
+               s.title AS song_title,
+               s.external_url AS song_url,
+               s.artist AS song_artist,
+               s.language AS song_language,
+               s.year AS song_year,
+               (SELECT ${count} FROM link_votes v WHERE v.link_id = l.id) AS votes,
+               (SELECT ${count} FROM links p WHERE p.song_id = l.song_id AND p.status = 'approved') AS popularity,
+               ${search !== null ? "r.rank" : "0"} AS search_rank,
+               LOWER(s.title) AS sort_title,
+               CASE WHEN l.ref_book IS NOT NULL OR (l.target_kind = 'tanach' AND ${TANACH_CHAPTER_SQL} IS NOT NULL) THEN ${bookIndex} ELSE ${BOOK_ORDER.length} END AS sort_book,
+               CASE WHEN l.ref_book IS NOT NULL THEN l.ref_start
+                    WHEN l.target_kind = 'tanach' THEN COALESCE(${TANACH_CHAPTER_SQL} * ${CHAPTER_SPAN} + 1, 0)
+                    ELSE 0 END AS sort_start,
+               ${usePg ? "(EXTRACT(EPOCH FROM l.added_at) * 1000000)::bigint" : "l.added_at"} AS sort_added
+          FROM links l
+          JOIN songs s ON l.song_id = s.id
+          ${rankJoin}
+         WHERE ${where.join("\n           AND ")}
+      ) listing`;
+  if (cursor) {
+    // after the cursor: (k1 past c1) OR (k1 = c1 AND k2 past c2) OR ...
+    const after = keys.map(([column, dir], i) => {
+      const equal = keys.slice(0, i).map(([previous]) => `${previous} = ?`);
+      params.push(...cursor.key.slice(0, i), cursor.key[i]);
+      return `(${[...equal, `${column} ${dir === "DESC" ? "<" : ">"} ?`].join(" AND ")})`;
+    });
+    sql += `\n     WHERE ${after.join(" OR ")}`;
+  }
+  sql += `\n     ORDER BY ${keys.map(([column, dir]) => `${column} ${dir}`).join(", ")}`;
+  if (limit) {
+    sql += "\n     LIMIT ?";
+    params.push(limit + 1);
+  }
+
+  let rows;
+  if (usePg) {
+    let n = 0;
+    ({ rows } = await pgPool.query(sql.replace(/\?/g, () => `$${++n}`), params));
+  } else {
+    rows = sqliteDb.prepare(sql).all(...params);
+  }
+  const more = !!limit && rows.length > limit;
+  if (more) rows = rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  return {
+    rows: rows.map(({ popularity, search_rank, sort_title, sort_book, sort_start, sort_added, ...row }) => row),
+    next_key: more ? keys.map(([column]) => last[column]) : null,
+  };
+}
+
+// links with a verse_ref that has not been normalized yet (rows from before ref_* existed)
+async function getLinksWithoutVerseRange() {
+  const sql = `
+    SELECT id, parasha_id, target_kind, target_id, verse_ref
+      FROM links
+     WHERE verse_ref IS NOT NULL
+       AND verse_ref <> ''
+       AND ref_book IS NULL
+  `;
+  return usePg ? (await pgPool.query(sql)).rows : sqliteDb.prepare(sql).all();
+}
+
+async function setLinkVerseRange(id, { book, start, end }) {
+  if (usePg) {
+    await pgPool.query(
+      `UPDATE links SET ref_book = $1, ref_start = $2, ref_end = $3 WHERE id = $4`,
+      [book, start, end, id]
+    );
+  } else {
+    sqliteDb
+      .prepare(`UPDATE links SET ref_book = ?, ref_start = ?, ref_end = ? WHERE id = ?`)
+      .run(book, start, end, id);
+  }
+}
+
+// Approve a pending link by its approval_token (the emailed approve link, once its signature checked out)
+async function approveLinkByToken(token) {
+  if (!token) return null;
+  return approveLinkWhere("approval_token = ? AND status = 'pending'", token);
+}
+
+// Decline a pending link by its approval_token (the emailed decline link)
+async function rejectLinkByToken(token, reason = null) {
+  if (!token) return null;
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `
+      WITH updated AS (
+        UPDATE links
+           SET status = 'rejected',
+               approval_token = NULL,
+               approved_at = NULL,
+               moderation_reason = $2
+         WHERE approval_token = $1 AND status = 'pending'
+         RETURNING *
+      )
+      SELECT u.*, s.title AS song_title, s.external_url AS song_url
+        FROM updated u
+        JOIN songs s ON s.id = u.song_id
+      `,
+      [token, reason || null]
+    );
+    return rows[0] || null;
+  } else {
+    const row = sqliteDb
+      .prepare(
+        `UPDATE links
+            SET status = 'rejected',
+                approval_token = NULL,
+                approved_at = NULL,
+                moderation_reason = ?
+          WHERE approval_token = ? AND status = 'pending'
+          RETURNING *`
+      )
+      .get(reason || null, token);
+    if (!row) return null;
+    const song = sqliteDb.prepare(`SELECT title AS song_title, external_url AS song_url FROM songs WHERE id = ?`).get(row.song_id);
+    return { ...row, ...song };
+  }
+}
+
+// approve a pending link (admin panel); null when it is not pending
+async function approveLinkById(id) {
+  if (!id) return null;
+  return approveLinkWhere("id = ? AND status = 'pending'", id);
+}
+
+// approve the link matching `condition` (one `?` for `value`) and apply its proposed_song;
+// resolves to the link with song_title and song_url, or null
+async function approveLinkWhere(condition, value) {
+  const approve = `UPDATE links
+                      SET status = 'approved',
+                          approval_token = NULL,
+                          approved_at = COALESCE(approved_at, ${usePg ? "NOW()" : "datetime('now')"}),
+                          moderation_reason = NULL,
+                          proposed_song = NULL
+                    WHERE id = ?
+                    RETURNING id`;
+  const withSong = `SELECT l.*, s.title AS song_title, s.external_url AS song_url
+                      FROM links l
+                      JOIN songs s ON l.song_id = s.id
+                     WHERE l.id = ?`;
+  let row;
+  if (usePg) {
+    const numbered = (sql) => sql.replace(/\?/, "$1");
+    row = await withPgTransaction(async (client) => {
+      const { rows } = await client.query(
+        numbered(`SELECT id, song_id, proposed_song FROM links WHERE ${condition} FOR UPDATE`),
+        [value]
+      );
+      if (!rows[0]) return null;
+      await client.query(numbered(approve), [rows[0].id]);
+      await applyProposedSongPg(client, rows[0].song_id, rows[0].proposed_song);
+      return (await client.query(numbered(withSong), [rows[0].id])).rows[0];
+    });
+  } else {
+    row = sqliteDb.transaction(() => {
+      const found = sqliteDb.prepare(`SELECT id, song_id, proposed_song FROM links WHERE ${condition}`).get(value);
+      if (!found) return null;
+      sqliteDb.prepare(approve).get(found.id);
+      applyProposedSongSqlite(found.song_id, parseJson(found.proposed_song));
+      return sqliteDb.prepare(withSong).get(found.id);
+    })();
+  }
+  if (row) await refreshSongSearch([row.song_id]);
+  return linkRow(row);
+}
+
+// `reason` (optional) is shown to the submitter on their receipt
+async function rejectLinkById(id, reason = null) {
+  if (!id) return null;
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `
+      WITH updated AS (
+        UPDATE links
+           SET status = 'rejected',
+               approval_token = NULL,
+               approved_at = NULL,
+               moderation_reason = $2
+         WHERE id = $1 AND status <> 'withdrawn'
+         RETURNING *
+      )
+      SELECT u.*, s.title AS song_title, s.external_url AS song_url
+        FROM updated u
+        JOIN songs s ON s.id = u.song_id
+      `,
+      [id, reason || null]
+    );
+    return rows[0] || null;
+  } else {
+    const update = sqliteDb.prepare(
+      `UPDATE links
+          SET status = 'rejected',
               approval_token = NULL,
-              approved_at = COALESCE(approved_at, datetime('now'))
-        WHERE approval_token = ?
-        RETURNING *`
+              approved_at = NULL,
+              moderation_reason = ?
+        WHERE id = ? AND status <> 'withdrawn'`
+    );
+    const info = update.run(reason || null, id);
+    if (!info.changes) return null;
+    return sqliteDb
+      .prepare(
+        `SELECT l.*, s.title AS song_title, s.external_url AS song_url
+           FROM links l
+           JOIN songs s ON l.song_id = s.id
+          WHERE l.id = ?`
+      )
+      .get(id);
+  }
+}
+
+// Fetch the pending links with song data and their approval_token (admin panel, digest)
+async function getPendingLinks() {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `
+      SELECT l.id,
+             l.parasha_id,
+             l.target_kind,
+             l.target_id,
+             l.verse_ref,
+             l.ref_book,
+             l.ref_start,
+             l.ref_end,
+             l.status,
+             l.approved_at,
+             l.added_at,
+             l.song_id,
+             l.contributor_id,
+             l.added_by,
+             l.approval_token,
+             l.proposed_song,
+             s.title AS song_title,
+             s.external_url AS song_url,
+             s.artist AS song_artist,
+             s.language AS song_language,
+             s.year AS song_year
+        FROM links l
+        JOIN songs s ON l.song_id = s.id
+       WHERE l.status = 'pending'
+       ORDER BY l.added_at ASC
+      `
+    );
+    return rows;
+  } else {
+    return sqliteDb
+      .prepare(
+        `
+        SELECT l.id,
+               l.parasha_id,
+               l.target_kind,
+               l.target_id,
+               l.verse_ref,
+               l.ref_book,
+               l.ref_start,
+               l.ref_end,
+               l.status,
+               l.approved_at,
+               l.added_at,
+               l.song_id,
+               l.contributor_id,
+               l.added_by,
+               l.approval_token,
+               l.proposed_song,
+               s.title AS song_title,
+               s.external_url AS song_url,
+               s.artist AS song_artist,
+               s.language AS song_language,
+               s.year AS song_year
+          FROM links l
+          JOIN songs s ON l.song_id = s.id
+         WHERE l.status = 'pending'
+         ORDER BY l.added_at ASC
+        `
+      )
+      .all()
+      .map(linkRow);
+  }
+}
+
+/**
+ * Point a pending link somewhere else and/or change its verse (`verse_range`
+ * as parsed by the server), in one transaction with the pending check.
+ * Returns null when the link is not pending, otherwise `{ song_id }`.
+ */
+// `approval_token` replaces the old one, so links emailed for the submission as it was stop working;
+// `song` ({ title, external_url, platform, newId }) corrects the link's song: when other links share
+// it the link moves to a new song `newId`, otherwise the song itself is rewritten. Either way what the
+// submission would add to its song is discarded (it was offered for the song as it was)
+async function updatePendingLink(id, { parasha_id, target_kind, target_id, verse_ref, verse_range, approval_token, song = null }) {
+  const fields = [
+    parasha_id,
+    target_kind,
+    target_id || null,
+    verse_ref || null,
+    verse_range?.book || null,
+    verse_range?.start ?? null,
+    verse_range?.end ?? null,
+    approval_token,
+  ];
+  if (usePg) {
+    return withPgTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT song_id FROM links WHERE id = $1 AND status = 'pending' FOR UPDATE`,
+        [id]
+      );
+      if (!rows[0]) return null;
+      let songId = rows[0].song_id;
+      if (song) {
+        const { rows: songs } = await client.query(
+          `SELECT s.external_url, (SELECT COUNT(*) FROM links l WHERE l.song_id = s.id) AS links
+             FROM songs s WHERE s.id = $1 FOR UPDATE`,
+          [songId]
+        );
+        const current = songs[0];
+        if (Number(current.links) > 1) {
+          await client.query(
+            `INSERT INTO songs (id, title, version, external_url) VALUES ($1, $2, NULL, $3)`,
+            [song.newId, song.title, song.external_url || null]
+          );
+          songId = song.newId;
+        } else {
+          await client.query(
+            `UPDATE songs SET title = $2, external_url = $3 WHERE id = $1`,
+            [songId, song.title, song.external_url || null]
+          );
+          if (current.external_url && current.external_url !== song.external_url) {
+            await client.query(`DELETE FROM song_links WHERE song_id = $1 AND url = $2`, [songId, current.external_url]);
+          }
+        }
+        if (song.external_url) {
+          await client.query(
+            `INSERT INTO song_links (song_id, url, platform) VALUES ($1, $2, $3)
+             ON CONFLICT (song_id, url) DO NOTHING`,
+            [songId, song.external_url, song.platform]
+          );
+        }
+      }
+      await client.query(
+        `UPDATE links
+            SET parasha_id = $1, target_kind = $2, target_id = $3,
+                verse_ref = $4, ref_book = $5, ref_start = $6, ref_end = $7,
+                approval_token = $8, song_id = $9,
+                proposed_song = CASE WHEN $10 THEN NULL ELSE proposed_song END
+          WHERE id = $11`,
+        [...fields, songId, Boolean(song), id]
+      );
+      return { song_id: songId };
+    });
+  } else {
+    const update = sqliteDb.transaction(() => {
+      const link = sqliteDb.prepare(`SELECT song_id FROM links WHERE id = ? AND status = 'pending'`).get(id);
+      if (!link) return null;
+      let songId = link.song_id;
+      if (song) {
+        const current = sqliteDb
+          .prepare(
+            `SELECT s.external_url, (SELECT COUNT(*) FROM links l WHERE l.song_id = s.id) AS links
+               FROM songs s WHERE s.id = ?`
+          )
+          .get(songId);
+        if (current.links > 1) {
+          sqliteDb
+            .prepare(`INSERT INTO songs (id, title, version, external_url) VALUES (?, ?, NULL, ?)`)
+            .run(song.newId, song.title, song.external_url || null);
+          songId = song.newId;
+        } else {
+          sqliteDb
+            .prepare(`UPDATE songs SET title = ?, external_url = ? WHERE id = ?`)
+            .run(song.title, song.external_url || null, songId);
+          if (current.external_url && current.external_url !== song.external_url) {
+            sqliteDb.prepare(`DELETE FROM song_links WHERE song_id = ? AND url = ?`).run(songId, current.external_url);
+          }
+        }
+        if (song.external_url) {
+          sqliteDb
+            .prepare(`INSERT OR IGNORE INTO song_links (song_id, url, platform) VALUES (?, ?, ?)`)
+            .run(songId, song.external_url, song.platform);
+        }
+      }
+      sqliteDb
+        .prepare(
+          `UPDATE links
+              SET parasha_id = ?, target_kind = ?, target_id = ?,
+                  verse_ref = ?, ref_book = ?, ref_start = ?, ref_end = ?,
+                  approval_token = ?, song_id = ?,
+                  proposed_song = CASE WHEN ? THEN NULL ELSE proposed_song END
+            WHERE id = ?`
+        )
+        .run(...fields, songId, song ? 1 : 0, id);
+      return { song_id: songId };
+    });
+    return update();
+  }
+}
+
+/**
+ * Approve, reject or delete several links in one transaction, all or none:
+ * when one of `ids` does not exist nothing changes and `{ missing: [ids] }`
+ * comes back, and when rejecting one that was withdrawn nothing changes and
+ * `{ missing: [], withdrawn: [ids] }` comes back; otherwise
+ * `{ missing: [], changed, skipped }`. Approving only publishes pending
+ * links; `skipped` lists the ids that were not pending (and did not change).
+ * `reason` is stored on rejected links.
+ */
+async function moderateLinks(ids, action, { reason = null } = {}) {
+  const withdrawnOf = (rows) =>
+    action === "reject" ? rows.filter((row) => row.status === "withdrawn").map((row) => row.id) : [];
+  const skippedOf = (rows) =>
+    action === "approve" ? rows.filter((row) => row.status !== "pending").map((row) => row.id) : [];
+  const changedSongs = []; // songs that took an approved link's proposed_song
+  let outcome;
+  if (usePg) {
+    outcome = await withPgTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT id, status FROM links WHERE id = ANY($1) FOR UPDATE`,
+        [ids]
+      );
+      const found = new Set(rows.map((row) => row.id));
+      const missing = ids.filter((id) => !found.has(id));
+      if (missing.length) return { missing };
+      const withdrawn = withdrawnOf(rows);
+      if (withdrawn.length) return { missing: [], withdrawn };
+      const skipped = skippedOf(rows);
+      let result;
+      if (action === "approve") {
+        const { rows: proposals } = await client.query(
+          `SELECT song_id, proposed_song FROM links WHERE id = ANY($1) AND status = 'pending' AND proposed_song IS NOT NULL`,
+          [ids]
+        );
+        result = await client.query(
+          `UPDATE links
+              SET status = 'approved',
+                  approval_token = NULL,
+                  approved_at = COALESCE(approved_at, NOW()),
+                  moderation_reason = NULL,
+                  proposed_song = NULL
+            WHERE id = ANY($1) AND status = 'pending'`,
+          [ids]
+        );
+        for (const row of proposals) {
+          await applyProposedSongPg(client, row.song_id, row.proposed_song);
+          changedSongs.push(row.song_id);
+        }
+      } else if (action === "reject") {
+        result = await client.query(
+          `UPDATE links
+              SET status = 'rejected',
+                  approval_token = NULL,
+                  approved_at = NULL,
+                  moderation_reason = $2
+            WHERE id = ANY($1)`,
+          [ids, reason || null]
+        );
+      } else {
+        // votes and reports cascade
+        result = await client.query(`DELETE FROM links WHERE id = ANY($1)`, [ids]);
+      }
+      return { missing: [], changed: result.rowCount, skipped };
+    });
+  } else {
+    const placeholders = ids.map(() => "?").join(",");
+    const moderate = sqliteDb.transaction(() => {
+      const rows = sqliteDb
+        .prepare(`SELECT id, status FROM links WHERE id IN (${placeholders})`)
+        .all(...ids);
+      const found = new Set(rows.map((row) => row.id));
+      const missing = ids.filter((id) => !found.has(id));
+      if (missing.length) return { missing };
+      const withdrawn = withdrawnOf(rows);
+      if (withdrawn.length) return { missing: [], withdrawn };
+      const skipped = skippedOf(rows);
+      let info;
+      if (action === "approve") {
+        const proposals = sqliteDb
+          .prepare(
+            `SELECT song_id, proposed_song FROM links WHERE id IN (${placeholders}) AND status = 'pending' AND proposed_song IS NOT NULL`
+          )
+          .all(...ids);
+        info = sqliteDb
+          .prepare(
+            `UPDATE links
+                SET status = 'approved',
+                    approval_token = NULL,
+                    approved_at = COALESCE(approved_at, datetime('now')),
+                    moderation_reason = NULL,
+                    proposed_song = NULL
+              WHERE id IN (${placeholders}) AND status = 'pending'`
+          )
+          .run(...ids);
+        for (const row of proposals) {
+          applyProposedSongSqlite(row.song_id, parseJson(row.proposed_song));
+          changedSongs.push(row.song_id);
+        }
+      } else if (action === "reject") {
+        info = sqliteDb
+          .prepare(
+            `UPDATE links
+                SET status = 'rejected',
+                    approval_token = NULL,
+                    approved_at = NULL,
+                    moderation_reason = ?
+              WHERE id IN (${placeholders})`
+          )
+          .run(reason || null, ...ids);
+      } else {
+        sqliteDb.prepare(`DELETE FROM link_votes WHERE link_id IN (${placeholders})`).run(...ids);
+        sqliteDb.prepare(`DELETE FROM link_reports WHERE link_id IN (${placeholders})`).run(...ids);
+        info = sqliteDb.prepare(`DELETE FROM links WHERE id IN (${placeholders})`).run(...ids);
+      }
+      return { missing: [], changed: info.changes, skipped };
+    });
+    outcome = moderate();
+  }
+  await refreshSongSearch(changedSongs);
+  return outcome;
+}
+
+// ---- song search index ----
+
+// rebuild the search rows of these songs from their title, artist, tags and
+// the verse references of their links; ids of deleted songs are dropped
+async function refreshSongSearch(songIds) {
+  const ids = [...new Set(songIds.filter(Boolean))];
+  if (!ids.length) return;
+  const tags = await getSongTags(ids);
+  const tagsOf = (id) => tags.filter((t) => t.song_id === id).map((t) => t.tag);
+  if (usePg) {
+    const { rows: songs } = await pgPool.query(
+      `SELECT id, title, artist FROM songs WHERE id = ANY($1)`,
+      [ids]
+    );
+    const { rows: refs } = await pgPool.query(
+      `SELECT DISTINCT song_id, verse_ref, ref_book, ref_start, ref_end
+         FROM links
+        WHERE song_id = ANY($1) AND verse_ref IS NOT NULL`,
+      [ids]
+    );
+    for (const song of songs) {
+      const doc = songSearchDocument({
+        title: song.title,
+        artist: song.artist,
+        tags: tagsOf(song.id),
+        verseRefs: refs.filter((r) => r.song_id === song.id),
+      });
+      await pgPool.query(
+        `
+        INSERT INTO song_search (song_id, title, artist, tags, verses, skeleton, tsv)
+        VALUES ($1, $2, $3, $4, $5, $6,
+                setweight(to_tsvector('simple', $2), 'A') ||
+                setweight(to_tsvector('simple', $3), 'B') ||
+                setweight(to_tsvector('simple', $4), 'B') ||
+                setweight(to_tsvector('simple', $5), 'C') ||
+                setweight(to_tsvector('simple', $6), 'D'))
+        ON CONFLICT (song_id) DO UPDATE
+          SET title = EXCLUDED.title,
+              artist = EXCLUDED.artist,
+              tags = EXCLUDED.tags,
+              verses = EXCLUDED.verses,
+              skeleton = EXCLUDED.skeleton,
+              tsv = EXCLUDED.tsv
+        `,
+        [song.id, doc.title, doc.artist, doc.tags, doc.verses, doc.skeleton]
+      );
+    }
+  } else {
+    const placeholders = ids.map(() => "?").join(",");
+    const songs = sqliteDb
+      .prepare(`SELECT id, title, artist FROM songs WHERE id IN (${placeholders})`)
+      .all(...ids);
+    const refs = sqliteDb
+      .prepare(
+        `SELECT DISTINCT song_id, verse_ref, ref_book, ref_start, ref_end
+           FROM links
+          WHERE song_id IN (${placeholders}) AND verse_ref IS NOT NULL`
+      )
+      .all(...ids);
+    const remove = sqliteDb.prepare("DELETE FROM song_search WHERE song_id = ?");
+    const insert = sqliteDb.prepare(
+      `INSERT INTO song_search (song_id, title, artist, tags, verses, skeleton)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    );
+    sqliteDb.transaction(() => {
+      ids.forEach((id) => remove.run(id));
+      for (const song of songs) {
+        const doc = songSearchDocument({
+          title: song.title,
+          artist: song.artist,
+          tags: tagsOf(song.id),
+          verseRefs: refs.filter((r) => r.song_id === song.id),
+        });
+        insert.run(song.id, doc.title, doc.artist, doc.tags, doc.verses, doc.skeleton);
+      }
+    })();
+  }
+}
+
+// ids of songs that have no search row yet (for the startup backfill)
+async function getSongsMissingFromSearch() {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT s.id FROM songs s
+        WHERE NOT EXISTS (SELECT 1 FROM song_search ss WHERE ss.song_id = s.id)`
+    );
+    return rows.map((r) => r.id);
+  } else {
+    return sqliteDb
+      .prepare(
+        `SELECT s.id FROM songs s
+          WHERE NOT EXISTS (SELECT 1 FROM song_search ss WHERE ss.song_id = s.id)`
+      )
+      .all()
+      .map((r) => r.id);
+  }
+}
+
+// SQL selecting `song_id, rank` (higher is better) of the songs matching every
+// query word; its "?" placeholders join `params` (the link listings join it)
+function songRankSql(terms, params) {
+  if (usePg) {
+    // each word matches as a prefix or through its skeleton
+    const tsquery = terms
+      .map((t) => (t.skeleton ? `(${t.word}:* | ${t.skeleton})` : `${t.word}:*`))
+      .join(" & ");
+    const text = terms.map((t) => t.word).join(" ");
+    // ts_rank weights are listed D, C, B, A
+    const rank = `ts_rank('{0.1, 0.3, 0.6, 1.0}', tsv, to_tsquery('simple', ?))`;
+    if (pgTrigram) {
+      params.push(tsquery, text, tsquery, text);
+      return `SELECT song_id, ${rank} + similarity(title || ' ' || artist, ?) AS rank
+                FROM song_search
+               WHERE tsv @@ to_tsquery('simple', ?) OR (title || ' ' || artist) % ?`;
+    }
+    params.push(tsquery, tsquery);
+    return `SELECT song_id, ${rank} AS rank
+              FROM song_search
+             WHERE tsv @@ to_tsquery('simple', ?)`;
+  }
+  const match = terms
+    .map((t) => {
+      const word = `{title artist tags verses} : "${t.word}"*`;
+      return t.skeleton ? `(${word} OR skeleton : "${t.skeleton}")` : `(${word})`;
+    })
+    .join(" AND ");
+  // bm25 is lower-is-better; weights follow the column order
+  params.push(match);
+  return `SELECT song_id, -bm25(song_search, 0, 10, 5, 4, 3, 1) AS rank
+            FROM song_search
+           WHERE song_search MATCH ?`;
+}
+
+// ---- contributors ----
+
+// store a hashed one-time login token for `email`
+async function createLoginToken({ token_hash, email, display_name = null, expires_at }) {
+  if (usePg) {
+    await pgPool.query(`DELETE FROM login_tokens WHERE expires_at < NOW()`);
+    await pgPool.query(
+      `INSERT INTO login_tokens (token_hash, email, display_name, expires_at) VALUES ($1, $2, $3, $4)`,
+      [token_hash, email, display_name, expires_at]
+    );
+  } else {
+    sqliteDb.prepare(`DELETE FROM login_tokens WHERE expires_at < ?`).run(new Date().toISOString());
+    sqliteDb
+      .prepare(`INSERT INTO login_tokens (token_hash, email, display_name, expires_at) VALUES (?, ?, ?, ?)`)
+      .run(token_hash, email, display_name, expires_at);
+  }
+}
+
+// login links sent to `email` that are still valid (a cap against mail flooding)
+async function countActiveLoginTokens(email) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT COUNT(*)::int AS count FROM login_tokens WHERE email = $1 AND used_at IS NULL AND expires_at > NOW()`,
+      [email]
+    );
+    return rows[0].count;
+  } else {
+    return sqliteDb
+      .prepare(`SELECT COUNT(*) AS count FROM login_tokens WHERE email = ? AND used_at IS NULL AND expires_at > ?`)
+      .get(email, new Date().toISOString()).count;
+  }
+}
+
+// mark a login token used; returns { email, display_name } once, or null
+// when it is unknown, expired or already used
+async function consumeLoginToken(token_hash) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `UPDATE login_tokens
+          SET used_at = NOW()
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING email, display_name`,
+      [token_hash]
+    );
+    return rows[0] || null;
+  } else {
+    const consume = sqliteDb.transaction(() => {
+      const now = new Date().toISOString();
+      const row = sqliteDb
+        .prepare(
+          `SELECT email, display_name FROM login_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?`
+        )
+        .get(token_hash, now);
+      if (!row) return null;
+      sqliteDb.prepare(`UPDATE login_tokens SET used_at = ? WHERE token_hash = ?`).run(now, token_hash);
+      return row;
+    });
+    return consume();
+  }
+}
+
+// contributor for a verified email, created on first login; a name given
+// at login only fills an empty display_name
+async function upsertContributor({ id, email, display_name = null }) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO contributors (id, email, display_name, last_login_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (email) DO UPDATE
+         SET last_login_at = NOW(),
+             display_name = COALESCE(contributors.display_name, EXCLUDED.display_name)
+       RETURNING id, email, display_name, created_at`,
+      [id, email, display_name]
+    );
+    return rows[0];
+  } else {
+    const now = new Date().toISOString();
+    sqliteDb
+      .prepare(
+        `INSERT INTO contributors (id, email, display_name, last_login_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (email) DO UPDATE
+           SET last_login_at = excluded.last_login_at,
+               display_name = COALESCE(contributors.display_name, excluded.display_name)`
+      )
+      .run(id, email, display_name, now);
+    return sqliteDb
+      .prepare(`SELECT id, email, display_name, created_at FROM contributors WHERE email = ?`)
+      .get(email);
+  }
+}
+
+async function getContributorById(id) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT id, email, display_name, created_at FROM contributors WHERE id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  } else {
+    return (
+      sqliteDb.prepare(`SELECT id, email, display_name, created_at FROM contributors WHERE id = ?`).get(id) || null
+    );
+  }
+}
+
+async function updateContributorName(id, display_name) {
+  if (usePg) {
+    await pgPool.query(`UPDATE contributors SET display_name = $2 WHERE id = $1`, [id, display_name]);
+  } else {
+    sqliteDb.prepare(`UPDATE contributors SET display_name = ? WHERE id = ?`).run(display_name, id);
+  }
+}
+
+// display names of several contributors as [{ id, display_name }]
+async function getContributorNames(ids) {
+  if (!ids.length) return [];
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT id, display_name FROM contributors WHERE id = ANY($1)`,
+      [ids]
+    );
+    return rows;
+  } else {
+    const placeholders = ids.map(() => "?").join(",");
+    return sqliteDb.prepare(`SELECT id, display_name FROM contributors WHERE id IN (${placeholders})`).all(...ids);
+  }
+}
+
+// every link a contributor submitted, whatever its status, newest first
+async function getLinksByContributor(contributor_id) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `
+      SELECT l.id,
+             l.parasha_id,
+             l.target_kind,
+             l.target_id,
+             l.verse_ref,
+             l.status,
+             l.approved_at,
+             l.added_at,
+             l.moderation_reason,
+             l.song_id,
+             s.title AS song_title,
+             s.external_url AS song_url
+        FROM links l
+        JOIN songs s ON l.song_id = s.id
+       WHERE l.contributor_id = $1
+       ORDER BY l.added_at DESC, l.id DESC
+      `,
+      [contributor_id]
+    );
+    return rows;
+  } else {
+    return sqliteDb
+      .prepare(
+        `
+        SELECT l.id,
+               l.parasha_id,
+               l.target_kind,
+               l.target_id,
+               l.verse_ref,
+               l.status,
+               l.approved_at,
+               l.added_at,
+               l.moderation_reason,
+               l.song_id,
+               s.title AS song_title,
+               s.external_url AS song_url
+          FROM links l
+          JOIN songs s ON l.song_id = s.id
+         WHERE l.contributor_id = ?
+         ORDER BY l.added_at DESC, l.id DESC
+        `
+      )
+      .all(contributor_id);
+  }
+}
+
+// ---- submission receipts ----
+
+// the link a receipt belongs to, with its song (null when no link has this receipt)
+async function getLinkByReceipt(receipt_hash) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `
+      SELECT l.id,
+             l.parasha_id,
+             l.target_kind,
+             l.target_id,
+             l.verse_ref,
+             l.status,
+             l.moderation_reason,
+             l.added_at,
+             l.approved_at,
+             s.title AS song_title,
+             s.external_url AS song_url
+        FROM links l
+        JOIN songs s ON l.song_id = s.id
+       WHERE l.receipt_hash = $1
+      `,
+      [receipt_hash]
+    );
+    return rows[0] || null;
+  } else {
+    return (
+      sqliteDb
+        .prepare(
+          `
+          SELECT l.id,
+                 l.parasha_id,
+                 l.target_kind,
+                 l.target_id,
+                 l.verse_ref,
+                 l.status,
+                 l.moderation_reason,
+                 l.added_at,
+                 l.approved_at,
+                 s.title AS song_title,
+                 s.external_url AS song_url
+            FROM links l
+            JOIN songs s ON l.song_id = s.id
+           WHERE l.receipt_hash = ?
+          `
+        )
+        .get(receipt_hash) || null
+    );
+  }
+}
+
+// withdraw a still-pending submission; false when it was already moderated or withdrawn
+async function withdrawLinkByReceipt(receipt_hash) {
+  if (usePg) {
+    const { rowCount } = await pgPool.query(
+      `UPDATE links
+          SET status = 'withdrawn',
+              approval_token = NULL
+        WHERE receipt_hash = $1 AND status = 'pending'`,
+      [receipt_hash]
+    );
+    return rowCount > 0;
+  } else {
+    const info = sqliteDb
+      .prepare(
+        `UPDATE links
+            SET status = 'withdrawn',
+                approval_token = NULL
+          WHERE receipt_hash = ? AND status = 'pending'`
+      )
+      .run(receipt_hash);
+    return info.changes > 0;
+  }
+}
+
+// ---- moderator accounts ----
+
+const MODERATOR_COLUMNS = "id, username, display_name, email, notify_mode, role, disabled, created_at, last_login_at";
+
+// SQLite keeps `disabled` as 0/1
+function moderatorRow(row) {
+  return row ? { ...row, disabled: !!row.disabled } : null;
+}
+
+// with password_hash, for the login check
+async function getModeratorByUsername(username) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT ${MODERATOR_COLUMNS}, password_hash FROM moderators WHERE username = $1`,
+      [username]
+    );
+    return moderatorRow(rows[0]);
+  } else {
+    return moderatorRow(
+      sqliteDb.prepare(`SELECT ${MODERATOR_COLUMNS}, password_hash FROM moderators WHERE username = ?`).get(username)
+    );
+  }
+}
+
+async function getModeratorById(id) {
+  if (usePg) {
+    const { rows } = await pgPool.query(`SELECT ${MODERATOR_COLUMNS} FROM moderators WHERE id = $1`, [id]);
+    return moderatorRow(rows[0]);
+  } else {
+    return moderatorRow(sqliteDb.prepare(`SELECT ${MODERATOR_COLUMNS} FROM moderators WHERE id = ?`).get(id));
+  }
+}
+
+async function listModerators() {
+  const sql = `SELECT ${MODERATOR_COLUMNS} FROM moderators ORDER BY username`;
+  const rows = usePg ? (await pgPool.query(sql)).rows : sqliteDb.prepare(sql).all();
+  return rows.map(moderatorRow);
+}
+
+// null when the username is taken
+async function insertModerator({ username, display_name = null, email = null, notify_mode = "immediate", password_hash, role }) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO moderators (username, display_name, email, notify_mode, password_hash, role)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (username) DO NOTHING
+       RETURNING ${MODERATOR_COLUMNS}`,
+      [username, display_name, email, notify_mode, password_hash, role]
+    );
+    return moderatorRow(rows[0]);
+  } else {
+    const info = sqliteDb
+      .prepare(
+        `INSERT OR IGNORE INTO moderators (username, display_name, email, notify_mode, password_hash, role)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(username, display_name, email, notify_mode, password_hash, role);
+    return info.changes ? getModeratorById(info.lastInsertRowid) : null;
+  }
+}
+
+/**
+ * Change `display_name`, `email`, `notify_mode`, `role`, `password_hash`
+ * and/or `disabled` (undefined fields stay). Returns the updated moderator,
+ * or null when there is none.
+ */
+async function updateModerator(id, fields) {
+  const columns = ["display_name", "email", "notify_mode", "role", "password_hash", "disabled"].filter((c) => fields[c] !== undefined);
+  if (!columns.length) return getModeratorById(id);
+  const values = columns.map((c) => (c === "disabled" && !usePg ? Number(fields[c]) : fields[c]));
+  let sql = `UPDATE moderators SET ${columns.map((c) => `${c} = ?`).join(", ")} WHERE id = ?`;
+  if (usePg) {
+    let n = 0;
+    sql = sql.replace(/\?/g, () => `$${++n}`);
+    const { rowCount } = await pgPool.query(sql, [...values, id]);
+    return rowCount ? getModeratorById(id) : null;
+  } else {
+    const info = sqliteDb.prepare(sql).run(...values, id);
+    return info.changes ? getModeratorById(id) : null;
+  }
+}
+
+async function deleteModerator(id) {
+  if (usePg) {
+    const { rowCount } = await pgPool.query(`DELETE FROM moderators WHERE id = $1`, [id]);
+    return rowCount;
+  } else {
+    return sqliteDb.prepare(`DELETE FROM moderators WHERE id = ?`).run(id).changes;
+  }
+}
+
+// owners that can still sign in, not counting `exceptId`
+async function countActiveOwners(exceptId = null) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT COUNT(*)::int AS total FROM moderators
+        WHERE role = 'owner' AND NOT disabled AND id IS DISTINCT FROM $1`,
+      [exceptId]
+    );
+    return rows[0].total;
+  } else {
+    return sqliteDb
+      .prepare(
+        `SELECT COUNT(*) AS total FROM moderators
+          WHERE role = 'owner' AND disabled = 0 AND id IS NOT ?`
+      )
+      .get(exceptId).total;
+  }
+}
+
+// active moderators with an email address who chose `notify_mode` ('immediate' or 'digest')
+async function getModeratorsToNotify(notify_mode) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT username, email FROM moderators
+        WHERE notify_mode = $1 AND email IS NOT NULL AND NOT disabled
+        ORDER BY username`,
+      [notify_mode]
+    );
+    return rows;
+  } else {
+    return sqliteDb
+      .prepare(
+        `SELECT username, email FROM moderators
+          WHERE notify_mode = ? AND email IS NOT NULL AND disabled = 0
+          ORDER BY username`
+      )
+      .all(notify_mode);
+  }
+}
+
+async function touchModeratorLogin(id) {
+  if (usePg) {
+    await pgPool.query(`UPDATE moderators SET last_login_at = NOW() WHERE id = $1`, [id]);
+  } else {
+    sqliteDb.prepare(`UPDATE moderators SET last_login_at = datetime('now') WHERE id = ?`).run(id);
+  }
+}
+
+// ---- moderation_log ----
+
+// a link as it is now, for the moderation log (null when missing); secrets are left out
+async function getLinkSnapshot(id) {
+  let row;
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT l.*, s.title AS song_title, s.external_url AS song_url
+         FROM links l
+         JOIN songs s ON l.song_id = s.id
+        WHERE l.id = $1`,
+      [id]
+    );
+    row = rows[0];
+  } else {
+    row = sqliteDb
+      .prepare(
+        `SELECT l.*, s.title AS song_title, s.external_url AS song_url
+           FROM links l
+           JOIN songs s ON l.song_id = s.id
+          WHERE l.id = ?`
+      )
+      .get(id);
+  }
+  if (!row) return null;
+  const { approval_token, receipt_hash, ...snapshot } = linkRow(row);
+  return snapshot;
+}
+
+// approval_token of a pending link, which emailed approve / decline links are signed with; null once moderated
+async function getLinkApprovalToken(id) {
+  if (usePg) {
+    const { rows } = await pgPool.query(`SELECT approval_token FROM links WHERE id = $1 AND status = 'pending'`, [id]);
+    return rows[0]?.approval_token || null;
+  } else {
+    return sqliteDb.prepare(`SELECT approval_token FROM links WHERE id = ? AND status = 'pending'`).get(id)?.approval_token || null;
+  }
+}
+
+// append one entry; `before` / `after` are snapshots (objects) or null
+async function insertModerationLog({ action, link_id = null, song_id = null, moderator, reason = null, before = null, after = null }) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO moderation_log (action, link_id, song_id, moderator, reason, before, after)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [action, link_id, song_id, moderator, reason || null, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null]
+    );
+    return rows[0].id;
+  } else {
+    const info = sqliteDb
+      .prepare(
+        `INSERT INTO moderation_log (action, link_id, song_id, moderator, reason, before, after)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(action, link_id, song_id, moderator, reason || null, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null);
+    return info.lastInsertRowid;
+  }
+}
+
+/**
+ * Log entries, newest first. Filters: action, link_id, song_id, moderator,
+ * from / to (YYYY-MM-DD, inclusive, UTC), before_id (entries older than that
+ * id, for paging); at most `limit` entries.
+ */
+async function getModerationLog({ action, link_id, song_id, moderator, from, to, before_id, limit = 50 } = {}) {
+  // conditions with "?" placeholders; numbered for Postgres below
+  const where = [];
+  const params = [];
+  for (const [column, value] of [["action", action], ["link_id", link_id], ["song_id", song_id], ["moderator", moderator]]) {
+    if (!value) continue;
+    where.push(`${column} = ?`);
+    params.push(value);
+  }
+  if (before_id) {
+    where.push("id < ?");
+    params.push(before_id);
+  }
+  if (from) {
+    where.push(usePg ? "created_at >= ?::date" : "created_at >= date(?)");
+    params.push(from);
+  }
+  if (to) {
+    where.push(usePg ? "created_at < ?::date + 1" : "created_at < date(?, '+1 day')");
+    params.push(to);
+  }
+  params.push(limit);
+
+  const sql = `
+    SELECT id, action, link_id, song_id, moderator, reason, before, after, created_at
+      FROM moderation_log
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT ?
+  `;
+  if (usePg) {
+    let n = 0;
+    const { rows } = await pgPool.query(sql.replace(/\?/g, () => `$${++n}`), params);
+    return rows;
+  } else {
+    return sqliteDb
+      .prepare(sql)
+      .all(...params)
+      .map((row) => ({
+        ...row,
+        before: row.before ? JSON.parse(row.before) : null,
+        after: row.after ? JSON.parse(row.after) : null,
+      }));
+  }
+}
+
+// ---- notification outbox ----
+
+function outboxRow(row) {
+  if (!row || usePg) return row;
+  return { ...row, payload: row.payload ? JSON.parse(row.payload) : null };
+}
+
+// queue a notification for one channel (and, for email, one recipient); resolves to its id
+async function insertNotification({ kind, channel, recipient = null, payload }) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO notification_outbox (kind, channel, recipient, payload) VALUES ($1, $2, $3, $4) RETURNING id`,
+      [kind, channel, recipient, JSON.stringify(payload)]
+    );
+    return rows[0].id;
+  } else {
+    const info = sqliteDb
+      .prepare(`INSERT INTO notification_outbox (kind, channel, recipient, payload) VALUES (?, ?, ?, ?)`)
+      .run(kind, channel, recipient, JSON.stringify(payload));
+    return Number(info.lastInsertRowid);
+  }
+}
+
+/**
+ * Take up to `limit` pending notifications that are due, oldest first. Their
+ * next attempt moves `leaseSeconds` ahead, so another worker skips them and a
+ * delivery cut short by a crash is tried again after the lease.
+ */
+async function claimDueNotifications(limit, leaseSeconds) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `UPDATE notification_outbox
+          SET next_attempt_at = NOW() + make_interval(secs => $2)
+        WHERE id IN (
+          SELECT id FROM notification_outbox
+           WHERE status = 'pending' AND next_attempt_at <= NOW()
+           ORDER BY next_attempt_at, id
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *`,
+      [limit, leaseSeconds]
+    );
+    return rows.sort((a, b) => a.id - b.id);
+  } else {
+    const claim = sqliteDb.transaction(() => {
+      const rows = sqliteDb
+        .prepare(
+          `SELECT * FROM notification_outbox
+            WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+            ORDER BY next_attempt_at, id
+            LIMIT ?`
+        )
+        .all(limit);
+      const lease = sqliteDb.prepare(`UPDATE notification_outbox SET next_attempt_at = datetime('now', ?) WHERE id = ?`);
+      for (const row of rows) lease.run(`+${Math.round(leaseSeconds)} seconds`, row.id);
+      return rows;
+    });
+    return claim().map(outboxRow);
+  }
+}
+
+/**
+ * Store the outcome of one delivery attempt. `status` is the notification's
+ * status afterwards ('pending' | 'delivered' | 'failed'); a pending one is
+ * tried again in `next_attempt_seconds`.
+ */
+async function recordNotificationAttempt(id, { ok, http_status = null, error = null, duration_ms = null, status, next_attempt_seconds = 0 }) {
+  if (usePg) {
+    await withPgTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO notification_attempts (outbox_id, ok, http_status, error, duration_ms) VALUES ($1, $2, $3, $4, $5)`,
+        [id, ok, http_status, error, duration_ms]
+      );
+      await client.query(
+        `UPDATE notification_outbox
+            SET attempts = attempts + 1,
+                status = $2,
+                last_error = $3,
+                delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE NULL END,
+                next_attempt_at = NOW() + make_interval(secs => $4)
+          WHERE id = $1`,
+        [id, status, ok ? null : error, next_attempt_seconds]
+      );
+    });
+  } else {
+    sqliteDb.transaction(() => {
+      sqliteDb
+        .prepare(`INSERT INTO notification_attempts (outbox_id, ok, http_status, error, duration_ms) VALUES (?, ?, ?, ?, ?)`)
+        .run(id, ok ? 1 : 0, http_status, error, duration_ms);
+      sqliteDb
+        .prepare(
+          `UPDATE notification_outbox
+              SET attempts = attempts + 1,
+                  status = ?,
+                  last_error = ?,
+                  delivered_at = CASE WHEN ? = 'delivered' THEN datetime('now') ELSE NULL END,
+                  next_attempt_at = datetime('now', ?)
+            WHERE id = ?`
+        )
+        .run(status, ok ? null : error, status, `+${Math.round(next_attempt_seconds)} seconds`, id);
+    })();
+  }
+}
+
+// true when the digest of `date` (YYYY-MM-DD in the digest's time zone) was already queued
+async function hasDigestFor(date) {
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `SELECT 1 FROM notification_outbox WHERE kind = 'digest' AND payload->>'date' = $1 LIMIT 1`,
+      [date]
+    );
+    return rows.length > 0;
+  } else {
+    return !!sqliteDb
+      .prepare(`SELECT 1 FROM notification_outbox WHERE kind = 'digest' AND json_extract(payload, '$.date') = ? LIMIT 1`)
+      .get(date);
+  }
+}
+
+// number of notifications per status
+async function getNotificationCounts() {
+  const sql = `SELECT status, COUNT(*) AS count FROM notification_outbox GROUP BY status`;
+  if (usePg) {
+    const { rows } = await pgPool.query(sql);
+    return rows;
+  } else {
+    return sqliteDb.prepare(sql).all();
+  }
+}
+
+/**
+ * Notifications, newest first. Filters: status, kind, channel, before_id
+ * (older than that id, for paging); at most `limit`.
+ */
+async function listNotifications({ status, kind, channel, before_id, limit = 50 } = {}) {
+  const where = [];
+  const params = [];
+  for (const [column, value] of [["status", status], ["kind", kind], ["channel", channel]]) {
+    if (!value) continue;
+    where.push(`${column} = ?`);
+    params.push(value);
+  }
+  if (before_id) {
+    where.push("id < ?");
+    params.push(before_id);
+  }
+  params.push(limit);
+  const sql = `
+    SELECT *
+      FROM notification_outbox
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT ?
+  `;
+  if (usePg) {
+    let n = 0;
+    const { rows } = await pgPool.query(sql.replace(/\?/g, () => `$${++n}`), params);
+    return rows;
+  } else {
+    return sqliteDb.prepare(sql).all(...params).map(outboxRow);
+  }
+}
+
+// one notification with its delivery attempts (oldest first); null when missing
+async function getNotification(id) {
+  if (usePg) {
+    const { rows } = await pgPool.query(`SELECT * FROM notification_outbox WHERE id = $1`, [id]);
+    if (!rows[0]) return null;
+    const attempts = await pgPool.query(
+      `SELECT ok, http_status, error, duration_ms, attempted_at FROM notification_attempts WHERE outbox_id = $1 ORDER BY id`,
+      [id]
     );
-    const row = updateStmt.get(token);
+    return { ...rows[0], delivery_attempts: attempts.rows };
+  } else {
+    const row = sqliteDb.prepare(`SELECT * FROM notification_outbox WHERE id = ?`).get(id);
     if (!row) return null;
-    const song = sqliteDb.prepare(`SELECT title AS song_title, external_url AS song_url FROM songs WHERE id = ?`).get(row.song_id);
-    return { ...row, ...song };
+    const attempts = sqliteDb
+      .prepare(`SELECT ok, http_status, error, duration_ms, attempted_at FROM notification_attempts WHERE outbox_id = ? ORDER BY id`)
+      .all(id)
+      .map((attempt) => ({ ...attempt, ok: !!attempt.ok }));
+    return { ...outboxRow(row), delivery_attempts: attempts };
   }
 }
 
-async function approveLinkById(id) {
-  if (!id) return null;
+// queue a failed notification again with a fresh set of attempts; false unless it had failed
+async function retryNotification(id) {
   if (usePg) {
-    const { rows } = await pgPool.query(
-      `
-      WITH updated AS (
-        UPDATE links
-           SET status = 'approved',
-               approval_token = NULL,
-               approved_at = COALESCE(approved_at, NOW())
-         WHERE id = $1
-         RETURNING *
-      )
-      SELECT u.*, s.title AS song_title, s.external_url AS song_url
-        FROM updated u
-        JOIN songs s ON s.id = u.song_id
-      `,
+    const { rowCount } = await pgPool.query(
+      `UPDATE notification_outbox
+          SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+        WHERE id = $1 AND status = 'failed'`,
       [id]
     );
-    return rows[0] || null;
+    return rowCount > 0;
   } else {
-    const update = sqliteDb.prepare(
-      `UPDATE links
-          SET status = 'approved',
-              approval_token = NULL,
-              approved_at = COALESCE(approved_at, datetime('now'))
-        WHERE id = ?`
-    );
-    const info = update.run(id);
-    if (!info.changes) return null;
-    return sqliteDb
+    const info = sqliteDb
       .prepare(
-        `SELECT l.*, s.title AS song_title, s.external_url AS song_url
-           FROM links l
-           JOIN songs s ON l.song_id = s.id
-          WHERE l.id = ?`
+        `UPDATE notification_outbox
+            SET status = 'pending', attempts = 0, next_attempt_at = datetime('now')
+          WHERE id = ? AND status = 'failed'`
       )
-      .get(id);
+      .run(id);
+    return info.changes > 0;
   }
 }
 
-async function rejectLinkById(id) {
-  if (!id) return null;
+// ---- link_reports ----
+
+// report an approved link; false when this session or device already reported it
+async function insertLinkReport({ link_id, reason, note = null, voter_id, device_hash = null }) {
   if (usePg) {
-    const { rows } = await pgPool.query(
-      `
-      WITH updated AS (
-        UPDATE links
-           SET status = 'rejected',
-               approval_token = NULL,
-               approved_at = NULL
-         WHERE id = $1
-         RETURNING *
-      )
-      SELECT u.*, s.title AS song_title, s.external_url AS song_url
-        FROM updated u
-        JOIN songs s ON s.id = u.song_id
-      `,
-      [id]
+    const { rowCount } = await pgPool.query(
+      `INSERT INTO link_reports (link_id, reason, note, voter_id, device_hash)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT DO NOTHING`,
+      [link_id, reason, note || null, voter_id, device_hash]
     );
-    return rows[0] || null;
+    return rowCount > 0;
   } else {
-    const update = sqliteDb.prepare(
-      `UPDATE links
-          SET status = 'rejected',
-              approval_token = NULL,
-              approved_at = NULL
-        WHERE id = ?`
-    );
-    const info = update.run(id);
-    if (!info.changes) return null;
-    return sqliteDb
+    const info = sqliteDb
       .prepare(
-        `SELECT l.*, s.title AS song_title, s.external_url AS song_url
-           FROM links l
-           JOIN songs s ON l.song_id = s.id
-          WHERE l.id = ?`
+        `INSERT OR IGNORE INTO link_reports (link_id, reason, note, voter_id, device_hash)
+         VALUES (?, ?, ?, ?, ?)`
       )
-      .get(id);
+      .run(link_id, reason, note || null, voter_id, device_hash);
+    return info.changes > 0;
   }
 }
 
-// Fetch a pending link with song data (admin)
-async function getPendingLinks() {
+// open reports with their link and song, oldest first (admin queue)
+async function getOpenLinkReports() {
   if (usePg) {
     const { rows } = await pgPool.query(
       `
-      SELECT l.id,
+      SELECT r.id,
+             r.link_id,
+             r.reason,
+             r.note,
+             r.created_at,
              l.parasha_id,
              l.target_kind,
              l.target_id,
              l.verse_ref,
-             l.status,
-             l.approved_at,
-             l.added_at,
+             l.status AS link_status,
              s.title AS song_title,
              s.external_url AS song_url
-        FROM links l
+        FROM link_reports r
+        JOIN links l ON r.link_id = l.id
         JOIN songs s ON l.song_id = s.id
-       WHERE l.status = 'pending'
-       ORDER BY l.added_at ASC
+       WHERE r.status = 'open'
+       ORDER BY r.created_at ASC, r.id ASC
       `
     );
     return rows;
@@ -512,77 +2663,154 @@ async function getPendingLinks() {
     return sqliteDb
       .prepare(
         `
-        SELECT l.id,
+        SELECT r.id,
+               r.link_id,
+               r.reason,
+               r.note,
+               r.created_at,
                l.parasha_id,
                l.target_kind,
                l.target_id,
                l.verse_ref,
-               l.status,
-               l.approved_at,
-               l.added_at,
+               l.status AS link_status,
                s.title AS song_title,
                s.external_url AS song_url
-          FROM links l
+          FROM link_reports r
+          JOIN links l ON r.link_id = l.id
           JOIN songs s ON l.song_id = s.id
-         WHERE l.status = 'pending'
-         ORDER BY l.added_at ASC
+         WHERE r.status = 'open'
+         ORDER BY r.created_at ASC, r.id ASC
         `
       )
       .all();
   }
 }
 
-async function searchLinksBySongTitle(query, limit = 25) {
-  const trimmed = query.trim();
-  if (!trimmed) return [];
-  const cappedLimit = Math.max(1, Math.min(50, limit));
+// close the open reports of a link as 'dismissed' or 'resolved'; returns how many were closed
+async function closeLinkReports(link_id, status) {
+  if (usePg) {
+    const { rowCount } = await pgPool.query(
+      `UPDATE link_reports
+          SET status = $2,
+              resolved_at = NOW()
+        WHERE link_id = $1 AND status = 'open'`,
+      [link_id, status]
+    );
+    return rowCount;
+  } else {
+    const info = sqliteDb
+      .prepare(
+        `UPDATE link_reports
+            SET status = ?,
+                resolved_at = datetime('now')
+          WHERE link_id = ? AND status = 'open'`
+      )
+      .run(status, link_id);
+    return info.changes;
+  }
+}
+
+// take an approved link off the listings without deleting it (restoreLinkById puts it back)
+async function hideLinkById(id) {
+  if (usePg) {
+    const { rowCount } = await pgPool.query(
+      `UPDATE links SET status = 'hidden' WHERE id = $1 AND status = 'approved'`,
+      [id]
+    );
+    return rowCount > 0;
+  } else {
+    const info = sqliteDb.prepare(`UPDATE links SET status = 'hidden' WHERE id = ? AND status = 'approved'`).run(id);
+    return info.changes > 0;
+  }
+}
+
+// publish a hidden link again; false when it is not hidden
+async function restoreLinkById(id) {
+  if (usePg) {
+    const { rowCount } = await pgPool.query(
+      `UPDATE links SET status = 'approved' WHERE id = $1 AND status = 'hidden'`,
+      [id]
+    );
+    return rowCount > 0;
+  } else {
+    const info = sqliteDb.prepare(`UPDATE links SET status = 'approved' WHERE id = ? AND status = 'hidden'`).run(id);
+    return info.changes > 0;
+  }
+}
+
+// ---- link_votes ----
+
+// approved link by id (null when missing or not approved), for voting
+async function getApprovedLink(id) {
+  if (usePg) {
+    const { rows } = await pgPool.query(`SELECT id, song_id FROM links WHERE id = $1 AND status = 'approved'`, [id]);
+    return rows[0] || null;
+  } else {
+    return sqliteDb.prepare(`SELECT id, song_id FROM links WHERE id = ? AND status = 'approved'`).get(id) || null;
+  }
+}
+
+// record an upvote; false when this session or device already voted for the link
+async function insertLinkVote(link_id, voter_id, device_hash) {
+  if (usePg) {
+    const { rowCount } = await pgPool.query(
+      `INSERT INTO link_votes (link_id, voter_id, device_hash)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING`,
+      [link_id, voter_id, device_hash]
+    );
+    return rowCount > 0;
+  } else {
+    const info = sqliteDb
+      .prepare(`INSERT OR IGNORE INTO link_votes (link_id, voter_id, device_hash) VALUES (?, ?, ?)`)
+      .run(link_id, voter_id, device_hash);
+    return info.changes > 0;
+  }
+}
+
+// take back the upvote this session or device gave a link
+async function deleteLinkVote(link_id, voter_id, device_hash) {
+  if (usePg) {
+    const { rowCount } = await pgPool.query(
+      `DELETE FROM link_votes WHERE link_id = $1 AND (voter_id = $2 OR device_hash = $3)`,
+      [link_id, voter_id, device_hash]
+    );
+    return rowCount;
+  } else {
+    const info = sqliteDb
+      .prepare(`DELETE FROM link_votes WHERE link_id = ? AND (voter_id = ? OR device_hash = ?)`)
+      .run(link_id, voter_id, device_hash);
+    return info.changes;
+  }
+}
+
+// vote counts of several links as [{ link_id, votes, voted }]; `voted` is 1
+// when the given session or device voted for the link (links without votes are left out)
+async function getLinkVotes(linkIds, voter_id, device_hash) {
+  if (!linkIds.length) return [];
   if (usePg) {
-    const like = `%${trimmed.replace(/%/g, "\\%").replace(/_/g, "\\_" )}%`;
     const { rows } = await pgPool.query(
-      `
-      SELECT l.id,
-             l.parasha_id,
-             l.target_kind,
-             l.target_id,
-             l.verse_ref,
-             l.status,
-             l.approved_at,
-             l.added_at,
-             s.title AS song_title,
-             s.external_url AS song_url
-        FROM links l
-        JOIN songs s ON l.song_id = s.id
-       WHERE l.status = 'approved'
-         AND s.title ILIKE $1 ESCAPE '\\'
-       ORDER BY l.added_at DESC
-       LIMIT $2
-      `,
-      [like, cappedLimit]
+      `SELECT link_id,
+              COUNT(*)::int AS votes,
+              MAX(CASE WHEN voter_id = $2 OR device_hash = $3 THEN 1 ELSE 0 END) AS voted
+         FROM link_votes
+        WHERE link_id = ANY($1)
+        GROUP BY link_id`,
+      [linkIds, voter_id || "", device_hash || ""]
     );
     return rows;
   } else {
-    const like = `%${trimmed.toLowerCase().replace(/%/g, "\\%").replace(/_/g, "\\_" )}%`;
-    const stmt = sqliteDb.prepare(
-      `
-      SELECT l.id,
-             l.parasha_id,
-             l.target_kind,
-             l.target_id,
-             l.verse_ref,
-             l.status,
-             l.approved_at,
-             l.added_at,
-             s.title AS song_title,
-             s.external_url AS song_url
-        FROM links l
-        JOIN songs s ON l.song_id = s.id
-       WHERE l.status = 'approved'
-         AND LOWER(s.title) LIKE ? ESCAPE '\\'
-       ORDER BY l.added_at DESC
-       LIMIT ?
-      `
-    );
-    return stmt.all(like, cappedLimit);
+    const placeholders = linkIds.map(() => "?").join(",");
+    return sqliteDb
+      .prepare(
+        `SELECT link_id,
+                COUNT(*) AS votes,
+                MAX(CASE WHEN voter_id = ? OR device_hash = ? THEN 1 ELSE 0 END) AS voted
+           FROM link_votes
+          WHERE link_id IN (${placeholders})
+          GROUP BY link_id`
+      )
+      .all(voter_id || "", device_hash || "", ...linkIds);
   }
 }
 
@@ -595,6 +2823,8 @@ async function deleteLink(id) {
     );
     return rowCount;
   } else {
+    sqliteDb.prepare(`DELETE FROM link_votes WHERE link_id = ?`).run(id);
+    sqliteDb.prepare(`DELETE FROM link_reports WHERE link_id = ?`).run(id);
     const info = sqliteDb.prepare(`DELETE FROM links WHERE id = ?`).run(id);
     return info.changes;
   }
@@ -610,12 +2840,395 @@ async function deleteSong(id) {
     );
     return rowCount;
   } else {
+    sqliteDb.prepare("DELETE FROM link_votes WHERE link_id IN (SELECT id FROM links WHERE song_id = ?)").run(id);
+    sqliteDb.prepare("DELETE FROM link_reports WHERE link_id IN (SELECT id FROM links WHERE song_id = ?)").run(id);
     sqliteDb.prepare("DELETE FROM links WHERE song_id = ?").run(id);
+    sqliteDb.prepare("DELETE FROM song_links WHERE song_id = ?").run(id);
+    sqliteDb.prepare("DELETE FROM song_tags WHERE song_id = ?").run(id);
+    sqliteDb.prepare("DELETE FROM song_search WHERE song_id = ?").run(id);
     const info = sqliteDb.prepare("DELETE FROM songs WHERE id = ?").run(id);
     return info.changes;
   }
 }
 
+// ---- song catalog (admin) ----
+
+// run `fn(client)` inside BEGIN/COMMIT on one pooled connection
+async function withPgTransaction(fn) {
+  const client = await pgPool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// songs with their link counts, optionally filtered by title/artist/URL substring
+async function listSongs({ q = "", limit = 50, offset = 0 } = {}) {
+  const trimmed = String(q || "").trim();
+  const like = trimmed
+    ? `%${trimmed.toLowerCase().replace(/%/g, "\\%").replace(/_/g, "\\_")}%`
+    : null;
+  if (usePg) {
+    const { rows } = await pgPool.query(
+      `
+      SELECT s.id,
+             s.title,
+             s.external_url,
+             s.artist,
+             s.language,
+             s.year,
+             COUNT(l.id)::int AS link_count,
+             COUNT(l.id) FILTER (WHERE l.status = 'approved')::int AS approved_count
+        FROM songs s
+        LEFT JOIN links l ON l.song_id = s.id
+       WHERE $1::text IS NULL
+          OR LOWER(s.title) LIKE $1 ESCAPE '\\'
+          OR LOWER(COALESCE(s.artist, '')) LIKE $1 ESCAPE '\\'
+          OR LOWER(COALESCE(s.external_url, '')) LIKE $1 ESCAPE '\\'
+       GROUP BY s.id
+       ORDER BY LOWER(s.title), s.id
+       LIMIT $2 OFFSET $3
+      `,
+      [like, limit, offset]
+    );
+    return rows;
+  } else {
+    return sqliteDb
+      .prepare(
+        `
+        SELECT s.id,
+               s.title,
+               s.external_url,
+               s.artist,
+               s.language,
+               s.year,
+               COUNT(l.id) AS link_count,
+               COALESCE(SUM(CASE WHEN l.status = 'approved' THEN 1 ELSE 0 END), 0) AS approved_count
+          FROM songs s
+          LEFT JOIN links l ON l.song_id = s.id
+         WHERE ? IS NULL
+            OR LOWER(s.title) LIKE ? ESCAPE '\\'
+            OR LOWER(COALESCE(s.artist, '')) LIKE ? ESCAPE '\\'
+            OR LOWER(COALESCE(s.external_url, '')) LIKE ? ESCAPE '\\'
+         GROUP BY s.id
+         ORDER BY LOWER(s.title), s.id
+         LIMIT ? OFFSET ?
+        `
+      )
+      .all(like, like, like, like, limit, offset);
+  }
+}
+
+// one song plus every link (any status) that points at it
+async function getSongWithLinks(id) {
+  if (usePg) {
+    const { rows: songs } = await pgPool.query(
+      `SELECT id, title, external_url, artist, language, year FROM songs WHERE id = $1`,
+      [id]
+    );
+    if (!songs[0]) return null;
+    const { rows: links } = await pgPool.query(
+      `
+      SELECT l.id,
+             l.parasha_id,
+             l.target_kind,
+             l.target_id,
+             l.verse_ref,
+             l.ref_book,
+             l.ref_start,
+             l.ref_end,
+             l.added_by,
+             l.status,
+             l.added_at
+        FROM links l
+       WHERE l.song_id = $1
+       ORDER BY l.added_at ASC, l.id ASC
+      `,
+      [id]
+    );
+    const tags = (await getSongTags([id])).map((t) => t.tag);
+    return { ...songs[0], tags, links, song_links: await getSongLinks([id]) };
+  } else {
+    const song = sqliteDb
+      .prepare(`SELECT id, title, external_url, artist, language, year FROM songs WHERE id = ?`)
+      .get(id);
+    if (!song) return null;
+    const links = sqliteDb
+      .prepare(
+        `
+        SELECT l.id,
+               l.parasha_id,
+               l.target_kind,
+               l.target_id,
+               l.verse_ref,
+               l.ref_book,
+               l.ref_start,
+               l.ref_end,
+               l.added_by,
+               l.status,
+               l.added_at
+          FROM links l
+         WHERE l.song_id = ?
+         ORDER BY l.added_at ASC, l.id ASC
+        `
+      )
+      .all(id);
+    const tags = (await getSongTags([id])).map((t) => t.tag);
+    return { ...song, tags, links, song_links: await getSongLinks([id]) };
+  }
+}
+
+async function updateSongTitle(id, title) {
+  if (usePg) {
+    const { rowCount } = await pgPool.query(
+      `UPDATE songs SET title = $2 WHERE id = $1`,
+      [id, title]
+    );
+    return rowCount;
+  } else {
+    const info = sqliteDb
+      .prepare(`UPDATE songs SET title = ? WHERE id = ?`)
+      .run(title, id);
+    return info.changes;
+  }
+}
+
+const MERGED_SONG_FIELDS = ["external_url", "artist", "language", "year"];
+
+// published links (approved or hidden) of merged songs that would show twice on
+// one target and verse, as [keep, drop] id pairs: the approved one stays, then
+// the target song's, then the oldest
+const MERGE_LINK_COLUMNS = `id, song_id, status, parasha_id, target_kind, target_id, verse_ref, ref_book, ref_start, ref_end`;
+
+function collidingLinks(links, targetId) {
+  const rank = (link) => [link.status === "approved" ? 0 : 1, link.song_id === targetId ? 0 : 1, link.id];
+  const byKey = new Map();
+  for (const link of links) {
+    const verse = link.ref_book ? [link.ref_book, link.ref_start, link.ref_end] : link.verse_ref || null;
+    const key = JSON.stringify([link.parasha_id, link.target_kind, link.target_id || null, verse]);
+    const kept = byKey.get(key);
+    if (!kept) {
+      byKey.set(key, { keep: link, drop: [] });
+      continue;
+    }
+    const [a, b] = [rank(link), rank(kept.keep)];
+    const better = a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+    if (better < 0) {
+      kept.drop.push(kept.keep.id);
+      kept.keep = link;
+    } else {
+      kept.drop.push(link.id);
+    }
+  }
+  return [...byKey.values()].flatMap(({ keep, drop }) => drop.map((id) => [keep.id, id]));
+}
+
+/**
+ * Fold `sourceIds` into `targetId`: their links move to the target, the target
+ * keeps its own URL and metadata (filling gaps from the first source that has
+ * them) and gains their song_links and tags, and the source songs are deleted.
+ * Published links that end up twice on the same target and verse are merged
+ * into one, which takes over their votes and reports. Returns null when the
+ * target does not exist, otherwise `{ moved_links, merged_links, removed_songs }`.
+ */
+async function mergeSongs(targetId, sourceIds) {
+  const sources = [...new Set(sourceIds)].filter((id) => id !== targetId);
+  if (usePg) {
+    return withPgTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT id FROM songs WHERE id = $1 FOR UPDATE`,
+        [targetId]
+      );
+      if (!rows[0]) return null;
+      const { rows: published } = await client.query(
+        `SELECT ${MERGE_LINK_COLUMNS} FROM links
+          WHERE (song_id = $1 OR song_id = ANY($2)) AND status IN ('approved', 'hidden')
+          FOR UPDATE`,
+        [targetId, sources]
+      );
+      const collisions = collidingLinks(published, targetId);
+      for (const [keep, drop] of collisions) {
+        // a visitor who voted for (or reported) both keeps one vote (or report); the rest cascade away
+        await client.query(
+          `UPDATE link_votes v SET link_id = $1
+            WHERE v.link_id = $2
+              AND NOT EXISTS (SELECT 1 FROM link_votes k
+                               WHERE k.link_id = $1 AND (k.voter_id = v.voter_id OR k.device_hash = v.device_hash))`,
+          [keep, drop]
+        );
+        await client.query(
+          `UPDATE link_reports r SET link_id = $1
+            WHERE r.link_id = $2
+              AND NOT EXISTS (SELECT 1 FROM link_reports k
+                               WHERE k.link_id = $1 AND (k.voter_id = r.voter_id OR k.device_hash = r.device_hash))`,
+          [keep, drop]
+        );
+        await client.query(`DELETE FROM links WHERE id = $1`, [drop]);
+      }
+      const moved = await client.query(
+        `UPDATE links SET song_id = $1 WHERE song_id = ANY($2)`,
+        [targetId, sources]
+      );
+      // URL and metadata the target lacks come from the first source that has them
+      for (const field of MERGED_SONG_FIELDS) {
+        await client.query(
+          `
+          UPDATE songs
+             SET ${field} = (
+                   SELECT ${field} FROM songs
+                    WHERE id = ANY($2) AND ${field} IS NOT NULL
+                    ORDER BY array_position($2, id)
+                    LIMIT 1
+                 )
+           WHERE id = $1 AND ${field} IS NULL
+          `,
+          [targetId, sources]
+        );
+      }
+      await client.query(
+        `INSERT INTO song_tags (song_id, tag)
+         SELECT $1, tag FROM song_tags WHERE song_id = ANY($2)
+         ON CONFLICT DO NOTHING`,
+        [targetId, sources]
+      );
+      // platform URLs move too, minus ones the target already has (the rest cascade away)
+      await client.query(
+        `
+        UPDATE song_links SET song_id = $1
+         WHERE id IN (SELECT DISTINCT ON (url) id FROM song_links WHERE song_id = ANY($2) ORDER BY url, id)
+           AND url NOT IN (SELECT url FROM song_links WHERE song_id = $1)
+        `,
+        [targetId, sources]
+      );
+      const removed = await client.query(
+        `DELETE FROM songs WHERE id = ANY($1)`,
+        [sources]
+      );
+      return { moved_links: moved.rowCount, merged_links: collisions.length, removed_songs: removed.rowCount };
+    });
+  } else {
+    const merge = sqliteDb.transaction(() => {
+      const columns = MERGED_SONG_FIELDS.join(", ");
+      const target = sqliteDb
+        .prepare(`SELECT id, ${columns} FROM songs WHERE id = ?`)
+        .get(targetId);
+      if (!target) return null;
+      const songs = [targetId, ...sources];
+      const published = sqliteDb
+        .prepare(
+          `SELECT ${MERGE_LINK_COLUMNS} FROM links
+            WHERE song_id IN (${songs.map(() => "?").join(",")}) AND status IN ('approved', 'hidden')`
+        )
+        .all(...songs);
+      const collisions = collidingLinks(published, targetId);
+      const moveVotes = sqliteDb.prepare(`UPDATE OR IGNORE link_votes SET link_id = ? WHERE link_id = ?`);
+      const moveReports = sqliteDb.prepare(`UPDATE OR IGNORE link_reports SET link_id = ? WHERE link_id = ?`);
+      const dropVotes = sqliteDb.prepare(`DELETE FROM link_votes WHERE link_id = ?`);
+      const dropReports = sqliteDb.prepare(`DELETE FROM link_reports WHERE link_id = ?`);
+      const dropLink = sqliteDb.prepare(`DELETE FROM links WHERE id = ?`);
+      for (const [keep, drop] of collisions) {
+        // a visitor who voted for (or reported) both keeps one vote (or report)
+        moveVotes.run(keep, drop);
+        moveReports.run(keep, drop);
+        dropVotes.run(drop);
+        dropReports.run(drop);
+        dropLink.run(drop);
+      }
+      const moveLinks = sqliteDb.prepare(`UPDATE links SET song_id = ? WHERE song_id = ?`);
+      const moveSongLinks = sqliteDb.prepare(`UPDATE OR IGNORE song_links SET song_id = ? WHERE song_id = ?`);
+      const dropSongLinks = sqliteDb.prepare(`DELETE FROM song_links WHERE song_id = ?`);
+      const moveTags = sqliteDb.prepare(`UPDATE OR IGNORE song_tags SET song_id = ? WHERE song_id = ?`);
+      const dropTags = sqliteDb.prepare(`DELETE FROM song_tags WHERE song_id = ?`);
+      const dropSearch = sqliteDb.prepare(`DELETE FROM song_search WHERE song_id = ?`);
+      const getSong = sqliteDb.prepare(`SELECT ${columns} FROM songs WHERE id = ?`);
+      const removeSong = sqliteDb.prepare(`DELETE FROM songs WHERE id = ?`);
+      // URL and metadata the target lacks come from the first source that has them
+      const filled = {};
+      let moved_links = 0;
+      let removed_songs = 0;
+      for (const id of sources) {
+        const source = getSong.get(id);
+        if (!source) continue;
+        for (const field of MERGED_SONG_FIELDS) {
+          if (target[field] == null && filled[field] == null && source[field] != null) filled[field] = source[field];
+        }
+        moved_links += moveLinks.run(targetId, id).changes;
+        moveSongLinks.run(targetId, id);
+        dropSongLinks.run(id);
+        moveTags.run(targetId, id);
+        dropTags.run(id);
+        dropSearch.run(id);
+        removed_songs += removeSong.run(id).changes;
+      }
+      const fields = Object.keys(filled);
+      if (fields.length) {
+        sqliteDb
+          .prepare(`UPDATE songs SET ${fields.map((f) => `${f} = ?`).join(", ")} WHERE id = ?`)
+          .run(...fields.map((f) => filled[f]), targetId);
+      }
+      return { moved_links, merged_links: collisions.length, removed_songs };
+    });
+    return merge();
+  }
+}
+
+/**
+ * Undo a wrong merge: create song `newId` with `title` / `external_url` and
+ * move the given links of song `id` onto it. Links that belong to another song
+ * are ignored. Returns null when `id` does not exist, `{ moved_links: 0 }`
+ * (and no new song) when none of the links belong to it.
+ */
+async function splitSong(id, linkIds, { newId, title, external_url }) {
+  if (usePg) {
+    return withPgTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT id FROM songs WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      if (!rows[0]) return null;
+      const { rows: owned } = await client.query(
+        `SELECT id FROM links WHERE song_id = $1 AND id = ANY($2)`,
+        [id, linkIds]
+      );
+      if (owned.length === 0) return { moved_links: 0 };
+      await client.query(
+        `INSERT INTO songs (id, title, version, external_url) VALUES ($1, $2, NULL, $3)`,
+        [newId, title, external_url || null]
+      );
+      const moved = await client.query(
+        `UPDATE links SET song_id = $1 WHERE song_id = $2 AND id = ANY($3)`,
+        [newId, id, linkIds]
+      );
+      return { song_id: newId, moved_links: moved.rowCount };
+    });
+  } else {
+    const split = sqliteDb.transaction(() => {
+      const song = sqliteDb.prepare(`SELECT id FROM songs WHERE id = ?`).get(id);
+      if (!song) return null;
+      const placeholders = linkIds.map(() => "?").join(",");
+      const owned = sqliteDb
+        .prepare(`SELECT id FROM links WHERE song_id = ? AND id IN (${placeholders})`)
+        .all(id, ...linkIds);
+      if (owned.length === 0) return { moved_links: 0 };
+      sqliteDb
+        .prepare(`INSERT INTO songs (id, title, version, external_url) VALUES (?, ?, NULL, ?)`)
+        .run(newId, title, external_url || null);
+      const info = sqliteDb
+        .prepare(`UPDATE links SET song_id = ? WHERE song_id = ? AND id IN (${placeholders})`)
+        .run(newId, id, ...linkIds);
+      return { song_id: newId, moved_links: info.changes };
+    });
+    return split();
+  }
+}
+
 // if your connection is `pool`:
 const db = usePg ? pgPool : sqliteDb;
 export default db;
@@ -635,6 +3248,24 @@ export async function getTotalSongs() {
   }
 }
 
+// approved distinct-song counts per parasha, split by target kind (parasha / haftarah)
+export async function getApprovedCountsByParasha() {
+  const sql = `
+    SELECT parasha_id, target_kind, COUNT(DISTINCT song_id) AS total
+      FROM links
+     WHERE status = 'approved'
+       AND target_kind IN ('parasha', 'haftarah')
+     GROUP BY parasha_id, target_kind
+  `;
+  const rows = usePg ? (await pgPool.query(sql)).rows : sqliteDb.prepare(sql).all();
+  const counts = {};
+  for (const row of rows) {
+    counts[row.parasha_id] ??= { parasha: 0, haftarah: 0 };
+    counts[row.parasha_id][row.target_kind] = Number(row.total) || 0;
+  }
+  return counts;
+}
+
 // helper to record a visit
 export async function recordVisit(ip, userAgent) {
   if (usePg) {
@@ -682,16 +3313,83 @@ export {
   usePg,
   findSongByTitleVersion,
   findSongByTitleUrl,
+  getSongById,
   insertSong,
   updateSongExternalUrl,
+  updateSongMeta,
+  getSongTags,
+  addSongTags,
+  setSongTags,
+  insertSongLink,
+  getSongLinks,
+  getSongsWithoutSongLink,
+  replaceSongLinkUrl,
+  deleteSongLink,
   insertLink,
-  getLinksByParasha,
   deleteLink,
   deleteSong,
-  getLinksByTanach, // ensure this is exported
+  listSongs,
+  getSongWithLinks,
+  updateSongTitle,
+  mergeSongs,
+  splitSong,
+  listLinks,
+  getLinksWithoutVerseRange,
+  setLinkVerseRange,
   approveLinkByToken,
+  rejectLinkByToken,
   approveLinkById,
+  applyProposedSong,
   rejectLinkById,
   getPendingLinks,
-  searchLinksBySongTitle,
+  updatePendingLink,
+  moderateLinks,
+  getApprovedLink,
+  createLoginToken,
+  countActiveLoginTokens,
+  consumeLoginToken,
+  upsertContributor,
+  getContributorById,
+  updateContributorName,
+  getContributorNames,
+  getLinksByContributor,
+  getLinkByReceipt,
+  withdrawLinkByReceipt,
+  getModeratorByUsername,
+  getModeratorById,
+  listModerators,
+  insertModerator,
+  updateModerator,
+  deleteModerator,
+  countActiveOwners,
+  getModeratorsToNotify,
+  touchModeratorLogin,
+  getLinkSnapshot,
+  getLinkApprovalToken,
+  insertModerationLog,
+  insertNotification,
+  hasDigestFor,
+  claimDueNotifications,
+  recordNotificationAttempt,
+  getNotificationCounts,
+  listNotifications,
+  getNotification,
+  retryNotification,
+  getModerationLog,
+  insertLinkReport,
+  getOpenLinkReports,
+  closeLinkReports,
+  hideLinkById,
+  restoreLinkById,
+  getLinksOnTarget,
+  getSongLinksDueForCheck,
+  recordSongLinkCheck,
+  getSongLinkHealthCounts,
+  getFailingSongLinks,
+  getApprovedLinkIdsBySong,
+  insertLinkVote,
+  deleteLinkVote,
+  getLinkVotes,
+  refreshSongSearch,
+  getSongsMissingFromSearch,
 };
@@ -0,0 +1,99 @@
+// src/mail/sendEmail.js
+// Outgoing email: the Brevo HTTP API when BREVO_API_KEY is set, otherwise SMTP
+// (SMTP_HOST / SMTP_USER / SMTP_PASS). With neither configured the message is
+// only logged, which doubles as the local stub in development.
+
+import nodemailer from "nodemailer";
+import process from "node:process";
+
+// a Brevo request that hangs longer fails over to SMTP
+const BREVO_TIMEOUT_MS = 10000;
+
+// create mail transporter if SMTP env provided
+let mailTransporter = null;
+if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
+  mailTransporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "1" || process.env.SMTP_SECURE === "true",
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  });
+
+  // verify and log result
+  mailTransporter.verify()
+    .then(() => {
+      console.log("SMTP transporter verified");
+    })
+    .catch((err) => {
+      console.error("SMTP transporter verify failed:", err && err.message ? err.message : err);
+    });
+}
+
+export function hasMailTransport() {
+  return !!(process.env.BREVO_API_KEY || mailTransporter);
+}
+
+/**
+ * Send one email; resolves to true when a transport accepted it.
+ */
+export async function sendEmail({ to, subject, text, html }) {
+  const brevoApiKey = process.env.BREVO_API_KEY;
+
+  // 1) Brevo API (no SMTP port needed)
+  if (brevoApiKey) {
+    try {
+      const response = await fetch("https://api.brevo.com/v3/smtp/email", {
+        method: "POST",
+        headers: {
+          accept: "application/json",
+          "api-key": brevoApiKey,
+          "content-type": "application/json",
+        },
+        body: JSON.stringify({
+          sender: {
+            email: process.env.NOTIFY_FROM || "noreply@example.com",
+            name: "Parsha Songs",
+          },
+          to: [{ email: to }],
+          subject,
+          textContent: text,
+          htmlContent: html,
+        }),
+        signal: AbortSignal.timeout(BREVO_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        const err = await response.text();
+        throw new Error(`Brevo API error: ${err}`);
+      }
+      return true;
+    } catch (err) {
+      console.error("Brevo API send failed:", err?.message || err);
+    }
+  }
+
+  // 2) fallback: SMTP (will timeout on Render free tier)
+  if (mailTransporter) {
+    try {
+      await mailTransporter.sendMail({
+        from: process.env.NOTIFY_FROM || process.env.SMTP_USER,
+        to,
+        subject,
+        text,
+        html,
+      });
+      return true;
+    } catch (err) {
+      console.error("email send failed:", err?.message || err);
+    }
+  }
+
+  // local stub
+  if (!hasMailTransport()) {
+    console.log(`[mail stub] to: ${to}\nsubject: ${subject}\n${text}`);
+  }
+  return false;
+}
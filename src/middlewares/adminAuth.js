@@ -1,9 +1,54 @@
-export function requireAdmin(req, res, next) {
-  if (req.session?.isAdmin) return next();
-  return res.status(401).json({ error: "admin-unauthorized" });
+import { getModeratorById } from "../db.js";
+import { MODERATOR_ROLES } from "../validation/schemas.js";
+
+// sessions from before moderator accounts (ADMIN_TOKEN logins) carry no role
+function roleOf(session) {
+  return session.adminRole || "owner";
+}
+
+/**
+ * True when the session is an admin session whose role is `role` or above
+ * (moderator < editor < owner).
+ */
+export function hasRole(session, role) {
+  if (!session?.isAdmin) return false;
+  return MODERATOR_ROLES.indexOf(roleOf(session)) >= MODERATOR_ROLES.indexOf(role);
+}
+
+/**
+ * Re-read the account behind an admin session, so a changed role or a
+ * disabled / deleted account applies to sessions already signed in.
+ * Resolves to false (and ends the admin part of the session) when it no
+ * longer may moderate.
+ */
+export async function refreshAdminSession(session) {
+  if (!session?.isAdmin) return false;
+  if (!session.moderatorId) return true; // ADMIN_TOKEN login
+  const moderator = await getModeratorById(session.moderatorId);
+  if (!moderator || moderator.disabled) {
+    for (const key of ["isAdmin", "adminRole", "moderatorId", "moderatorName", "moderatorDisplayName"]) delete session[key];
+    return false;
+  }
+  session.adminRole = moderator.role;
+  session.moderatorName = moderator.username;
+  session.moderatorDisplayName = moderator.display_name;
+  return true;
+}
+
+// middleware factory: the route needs an admin session with at least `role`
+export function requireAdmin(role = "moderator") {
+  return async (req, res, next) => {
+    if (!(await refreshAdminSession(req.session))) {
+      return res.status(401).json({ error: "admin-unauthorized" });
+    }
+    if (!hasRole(req.session, role)) {
+      return res.status(403).json({ error: "admin-forbidden", required_role: role });
+    }
+    next();
+  };
 }
 
 export function attachAdminFlag(req, res, next) {
   res.locals.isAdmin = !!req.session?.isAdmin;
   next();
-}
\ No newline at end of file
+}
@@ -0,0 +1,4 @@
+export function requireContributor(req, res, next) {
+  if (req.session?.contributorId) return next();
+  return res.status(401).json({ error: "login-required" });
+}
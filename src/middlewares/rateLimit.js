@@ -19,6 +19,18 @@ export const writeLimiter = rateLimit({
   ...commonOptions,
 });
 
+export const voteLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 30,                  // upvotes and taking them back
+  ...commonOptions,
+});
+
+export const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,                  // reports of approved links
+  ...commonOptions,
+});
+
 export const sensitiveLimiter = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
   max: 10,                  // deletes, test notify
@@ -0,0 +1,55 @@
+// src/notify/webhook.js
+// Webhook delivery for the notification outbox. The body is the notification
+// payload as JSON; with a secret, "X-Parsha-Songs-Signature: sha256=<hex>" is
+// the HMAC-SHA256 of "<X-Parsha-Songs-Timestamp>.<body>", so the receiver can
+// check the sender and refuse replays of old deliveries.
+// X-Parsha-Songs-Delivery is the outbox id, the same on every retry.
+
+import crypto from "node:crypto";
+
+const USER_AGENT = "ParshaSongsNotifier/1.0";
+
+export function webhookSignature(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * POST `payload` to `url`. Options: `id` (outbox id), `event` (notification
+ * kind), `secret`, `timeoutMs`, `fetchImpl`. Resolves to
+ * `{ ok, http_status, error }`; any 2xx answer counts as delivered.
+ */
+export async function postWebhook(url, payload, options = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": USER_AGENT,
+    "x-parsha-songs-event": options.event || "",
+    "x-parsha-songs-delivery": String(options.id ?? ""),
+    "x-parsha-songs-timestamp": timestamp,
+  };
+  if (options.secret) headers["x-parsha-songs-signature"] = webhookSignature(options.secret, timestamp, body);
+  try {
+    const res = await (options.fetchImpl || fetch)(url, {
+      method: "POST",
+      headers,
+      body,
+      redirect: "error",
+      signal: AbortSignal.timeout(options.timeoutMs || 10000),
+    });
+    await res.body?.cancel().catch(() => {});
+    if (res.ok) return { ok: true, http_status: res.status, error: null };
+    return { ok: false, http_status: res.status, error: `http-${res.status}` };
+  } catch (err) {
+    const error = err?.name === "TimeoutError" || err?.name === "AbortError" ? "timeout" : err?.cause?.code || err?.message || err;
+    return { ok: false, http_status: null, error: String(error).slice(0, 200) };
+  }
+}
+
+/**
+ * Seconds until the next attempt after `attempts` failed ones:
+ * `retrySeconds * 2^(attempts-1)`, at most `maxRetrySeconds`.
+ */
+export function retryDelay(attempts, { retrySeconds, maxRetrySeconds }) {
+  return Math.min(retrySeconds * 2 ** Math.min(Math.max(attempts - 1, 0), 20), maxRetrySeconds);
+}
@@ -6,26 +6,47 @@ import { fileURLToPath } from "node:url";
 import fs from "node:fs/promises";
 import crypto from "node:crypto";
 import * as dbModule from "./db.js";
-import nodemailer from "nodemailer";
-import { generalLimiter, writeLimiter, sensitiveLimiter, adminLimiter } from "./middlewares/rateLimit.js";
+import { generalLimiter, writeLimiter, voteLimiter, reportLimiter, sensitiveLimiter, adminLimiter } from "./middlewares/rateLimit.js";
 import { validateBody, validateQuery } from "./middlewares/validate.js";
-import { linkCreateSchema, linksListQuerySchema, currentReadingQuerySchema, tanachLinksQuerySchema, searchSongsQuerySchema } from "./validation/schemas.js";
+import { linkCreateSchema, linksListQuerySchema, currentReadingQuerySchema, calendarQuerySchema, tanachLinksQuerySchema, holidayLinksQuerySchema, verseRefQuerySchema, searchSongsQuerySchema, adminSongsQuerySchema, songIdParamSchema, songUpdateSchema, songMergeSchema, songSplitSchema, songLinkCreateSchema, loginRequestSchema, contributorUpdateSchema, moderationReasonSchema, moderationLogQuerySchema, linkBulkSchema, pendingLinkUpdateSchema, adminLoginSchema, moderatorCreateSchema, moderatorUpdateSchema, passwordChangeSchema, approvalFormSchema, notificationsQuerySchema, notificationSettingsSchema, linkReportSchema } from "./validation/schemas.js";
 import { buildSessionMiddleware } from "./auth/session.js";
-import { requireAdmin, attachAdminFlag } from "./middlewares/adminAuth.js";
+import { requireAdmin, attachAdminFlag, hasRole, refreshAdminSession } from "./middlewares/adminAuth.js";
+import { hashPassword, verifyPassword, safeEqual } from "./auth/password.js";
+import { APPROVAL_ACTIONS, signApprovalToken, readApprovalToken, approvalTokenValid } from "./auth/approvalLink.js";
+import { requireContributor } from "./middlewares/contributorAuth.js";
 // add import
 import TANACH_FALLBACK from "./data/tanachFallback.js";
+import { getShabbatReading, getUpcomingReading, getSedraYear, getSedraRange } from "./calendar/sedra.js";
+import { specialHaftarahOccasion, specialOccasionsByParasha } from "./calendar/haftarah.js";
+import { holidaysBetween } from "./calendar/holidays.js";
+import { parseVerseRef, parseVerseRefList, wholeChapter } from "./tanach/verseRef.js";
+import { chaptersOf, torahRange, parshiotForRange } from "./tanach/torahMap.js";
+import { haftarahRanges, chaptersByBook, haftarotCoveringChapter } from "./tanach/haftarahMap.js";
+import { detectPlatform, platformName, canonicalSongUrl } from "./songs/platforms.js";
+import { titleSimilarity } from "./songs/searchText.js";
+import { sendEmail, hasMailTransport } from "./mail/sendEmail.js";
+import { encodeCursor } from "./songs/listing.js";
+import { checkUrl, nextCheckDelay } from "./songs/linkHealth.js";
+import { postWebhook, retryDelay } from "./notify/webhook.js";
+import {
+  fixedFromIsoDate,
+  isoDateFromFixed,
+  formatHebrewDate,
+  fixedFromGregorian,
+  hebrewFromFixed,
+  zonedDay,
+  isValidTimeZone,
+} from "./calendar/hebrewDate.js";
 const {
   findSongByTitleUrl,
   insertSong,
   insertLink,
-  getLinksByParasha,
   deleteLink,
   deleteSong,
   approveLinkByToken,
   approveLinkById,
   rejectLinkById,
   getPendingLinks,
-  searchLinksBySongTitle,
 } = dbModule;
 // try to find the DB object on common export names
 const db = dbModule.default || dbModule.db || dbModule;
@@ -81,17 +102,662 @@ app.get("/", async (req, res) => {
 
 
 // helper to load our static file
-async function loadParshiot() {
+async function readParshiotFile() {
   const txt = await fs.readFile(
     path.join(__dirname, "..", "data", "parshiot.json"),
     "utf8"
   );
-  return JSON.parse(txt).parshiot;
+  return JSON.parse(txt);
+}
+
+// each parasha also lists the special-Shabbat haftarot that can fall on it
+async function loadParshiot() {
+  const { parshiot, special_haftarot = [] } = await readParshiotFile();
+  const occasions = specialOccasionsByParasha();
+  return parshiot.map((p) => ({
+    ...p,
+    chapters: chaptersOf(p),
+    special_haftarot: special_haftarot.filter((h) => occasions.get(p.order_index - 1)?.has(h.occasion)),
+  }));
+}
+
+async function loadSpecialHaftarot() {
+  return (await readParshiotFile()).special_haftarot || [];
+}
+
+// every haftarah that may be linked under a parasha: all locations plus special Shabbatot
+function haftarotOf(parasha) {
+  const all = [...Object.values(parasha.haftarot || {}).flat(), ...(parasha.special_haftarot || [])];
+  return all.filter((h, i) => all.findIndex((o) => o.id === h.id) === i);
+}
+
+// combined readings (e.g. Vayakhel-Pekudei) as link targets of their own;
+// they sort next to their first half and offer the haftarot of both halves
+async function loadCombinedParshiot() {
+  const [{ combined = [] }, parshiot] = await Promise.all([readParshiotFile(), loadParshiot()]);
+  return combined.map((c) => {
+    const parts = c.parts.map((id) => parshiot.find((p) => p.id === id)).filter(Boolean);
+    const haftarot = {};
+    for (const part of parts) {
+      for (const [loc, list] of Object.entries(part.haftarot || {})) {
+        haftarot[loc] = [...(haftarot[loc] || []), ...list];
+      }
+    }
+    const specials = parts.flatMap((p) => p.special_haftarot);
+    return {
+      ...c,
+      combined: true,
+      order_index: parts[0]?.order_index,
+      chapters: chaptersOf(c),
+      haftarot,
+      special_haftarot: specials.filter((h, i) => specials.findIndex((o) => o.id === h.id) === i),
+    };
+  });
+}
+
+// ids whose links show up on a parasha page: a combined reading pulls in both
+// halves, and a single parasha pulls in songs linked to its combined reading
+function relatedParashaIds(parashaId, combined) {
+  const entry = combined.find((c) => c.id === parashaId);
+  if (entry) return [entry.id, ...entry.parts];
+  return [parashaId, ...combined.filter((c) => c.parts.includes(parashaId)).map((c) => c.id)];
+}
+
+// festivals and Megillot that songs can be linked to (target_kind "holiday")
+async function loadHolidays() {
+  const txt = await fs.readFile(
+    path.join(__dirname, "..", "data", "holidays.json"),
+    "utf8"
+  );
+  return JSON.parse(txt).holidays;
+}
+
+// book a bare verse_ref ("22:2") refers to, given where the song is being linked
+function verseRefContext(target_kind, { parasha, target_id, book_id, chapter }) {
+  if (target_kind === "tanach") return { book: book_id, chapter };
+  if (target_kind === "parasha") return { book: parasha?.book };
+  if (target_kind === "haftarah") {
+    // haftarah names start with their reference, e.g. "Isaiah 42:5-43:10 | Shabbat Shekalim"
+    const haftarah = parasha ? haftarotOf(parasha).find((h) => h.id === target_id) : null;
+    const { refs } = parseVerseRefList((haftarah?.name || "").split("|")[0]);
+    return { book: refs?.[0]?.book };
+  }
+  return {};
+}
+
+// normalize verse_ref of links stored before ref_book/ref_start/ref_end existed;
+// free text that does not parse is left as it is
+async function backfillVerseRanges() {
+  const rows = await dbModule.getLinksWithoutVerseRange();
+  if (!rows.length) return;
+  const [parshiot, combined] = await Promise.all([loadParshiot(), loadCombinedParshiot()]);
+  let updated = 0;
+  for (const row of rows) {
+    const parasha = [...parshiot, ...combined].find((p) => p.id === row.parasha_id);
+    const [book_id, chapter] = row.target_kind === "tanach" ? (row.target_id || "").split(":") : [];
+    const context = verseRefContext(row.target_kind, {
+      parasha,
+      target_id: row.target_id,
+      book_id,
+      chapter: Number(chapter) || null,
+    });
+    const { ref } = parseVerseRef(row.verse_ref, context);
+    if (!ref) continue;
+    await dbModule.setLinkVerseRange(row.id, ref);
+    updated++;
+  }
+  console.log(`verse ranges: normalized ${updated} of ${rows.length} legacy verse_ref values`);
+}
+
+// listing sources of the Tanach-chapter links on the chapters that `ranges`
+// touch (a parasha's Torah reading, a haftarah); a link with its own verse
+// range must overlap one of them
+function tanachSources(ranges) {
+  return Object.entries(chaptersByBook(ranges)).map(([book, chapters]) => ({ tanach: { book, chapters }, ranges }));
+}
+
+// `from_tanach` of a Tanach-chapter link listed under a parasha
+function withTanachLabel(row) {
+  if (row.target_kind !== "tanach") return row;
+  const [bookId, chapter] = row.target_id.split(":");
+  const book = TANACH_FALLBACK.find((b) => b.id === bookId);
+  return { ...row, from_tanach: { book_id: bookId, chapter: Number(chapter), name: `${book?.title_en || bookId} ${chapter}` } };
+}
+
+// haftarot (of every parasha, and the special ones) that read from a Tanach chapter
+async function haftarotForChapter(bookId, chapter) {
+  const [parshiot, specialHaftarot] = await Promise.all([loadParshiot(), loadSpecialHaftarot()]);
+  const all = [...parshiot.flatMap(haftarotOf), ...specialHaftarot];
+  return haftarotCoveringChapter(all.filter((h, i) => all.findIndex((o) => o.id === h.id) === i), bookId, chapter);
+}
+
+// attach every platform URL of each row's song as `song_links` and its tags as `song_tags`
+async function withSongDetails(rows) {
+  const songIds = [...new Set(rows.map((row) => row.song_id).filter(Boolean))];
+  const [songLinks, songTags] = await Promise.all([dbModule.getSongLinks(songIds), dbModule.getSongTags(songIds)]);
+  const linksBySong = new Map();
+  for (const link of songLinks) {
+    if (!linksBySong.has(link.song_id)) linksBySong.set(link.song_id, []);
+    linksBySong.get(link.song_id).push({
+      id: link.id,
+      url: link.url,
+      platform: link.platform,
+      platform_name: platformName(link.platform),
+      performer: link.performer,
+    });
+  }
+  const tagsBySong = new Map();
+  for (const { song_id, tag } of songTags) {
+    if (!tagsBySong.has(song_id)) tagsBySong.set(song_id, []);
+    tagsBySong.get(song_id).push(tag);
+  }
+  return rows.map((row) => ({
+    ...row,
+    song_links: linksBySong.get(row.song_id) || [],
+    song_tags: tagsBySong.get(row.song_id) || [],
+  }));
+}
+
+// Torah book of every parasha and combined reading (the `book` listing filter)
+async function parashaBooks() {
+  const [parshiot, combined] = await Promise.all([loadParshiot(), loadCombinedParshiot()]);
+  return new Map([...parshiot, ...combined].map((p) => [p.id, torahRange(p)?.book || null]));
+}
+
+// salted hash of IP and user agent: a voter who drops the session cookie is
+// still the same device
+function deviceHash(req) {
+  return crypto
+    .createHmac("sha256", process.env.SESSION_SECRET || "dev-insecure")
+    .update(`${req.ip}|${req.get("user-agent") || ""}`)
+    .digest("hex");
+}
+
+// the session's voter id (created on the first vote) plus the device hash
+function voterOf(req) {
+  if (!req.session.voterId) req.session.voterId = crypto.randomUUID();
+  return { voterId: req.session.voterId, deviceHash: deviceHash(req) };
+}
+
+// votes only count from the site's own pages; a form or script on another
+// site must not vote with its visitors' sessions
+function requireSameOrigin(req, res, next) {
+  const site = req.get("sec-fetch-site");
+  if (site && site !== "same-origin" && site !== "none") {
+    return res.status(403).json({ error: "cross-site-request" });
+  }
+  next();
+}
+
+// `votes` of every row and whether this session / device `voted` for it
+async function withVotes(req, rows) {
+  const linkIds = [...new Set(rows.map((row) => row.id))];
+  const counts = await dbModule.getLinkVotes(linkIds, req.session?.voterId, deviceHash(req));
+  const byLink = new Map(counts.map((c) => [Number(c.link_id), c]));
+  return rows.map((row) => {
+    const count = byLink.get(Number(row.id));
+    return { ...row, votes: Number(count?.votes || 0), voted: !!Number(count?.voted || 0) };
+  });
+}
+
+// `contributor_name` of rows submitted from a contributor account (the
+// verified counterpart of the free-text added_by); the account id stays private
+async function withContributors(rows) {
+  const ids = [...new Set(rows.map((row) => row.contributor_id).filter(Boolean))];
+  const names = new Map((await dbModule.getContributorNames(ids)).map((c) => [c.id, c.display_name]));
+  return rows.map(({ contributor_id, ...row }) => ({ ...row, contributor_name: names.get(contributor_id) || null }));
+}
+
+// one page of the links of `sources` (see listLinks in src/db.js), sorted,
+// filtered and paged in SQL; `search` limits it to the songs matching a search
+// text and `label` adds route-specific fields to each row. The body stays an
+// array and the cursor of the next page goes in X-Next-Cursor
+async function sendListing(req, res, sources, query, { search = null, label = (row) => row } = {}) {
+  const bookParashaIds = query.book
+    ? [...(await parashaBooks())].filter(([, book]) => book === query.book).map(([id]) => id)
+    : [];
+  const { rows, next_key } = await dbModule.listLinks(sources, { ...query, book_parasha_ids: bookParashaIds }, { search });
+  const items = await withVotes(req, await withContributors(await withSongDetails(rows.map(label))));
+  if (next_key) res.set("X-Next-Cursor", encodeCursor(query.sort, next_key));
+  res.json(items);
+}
+
+// copy songs.external_url of songs saved before song_links existed into song_links
+async function backfillSongLinks() {
+  const songs = await dbModule.getSongsWithoutSongLink();
+  for (const song of songs) {
+    await dbModule.insertSongLink(song.id, { url: song.external_url, platform: detectPlatform(song.external_url) });
+  }
+  if (songs.length) console.log(`song links: copied ${songs.length} song URLs`);
+}
+
+// index songs saved before the search index existed
+async function backfillSongSearch() {
+  const ids = await dbModule.getSongsMissingFromSearch();
+  for (let i = 0; i < ids.length; i += 100) {
+    await dbModule.refreshSongSearch(ids.slice(i, i + 100));
+  }
+  if (ids.length) console.log(`song search: indexed ${ids.length} songs`);
+}
+
+// ---- moderation log ----
+// Every approve, reject, edit, hide, report dismissal, delete and song catalog
+// change appends an entry with before/after snapshots. The moderator is the
+// account's username, "admin" for an ADMIN_TOKEN login, "approval-link" for the
+// emailed approve / decline links and "link-checker" for the link health checker.
+
+function moderatorOf(req) {
+  if (!req.session?.isAdmin) return "unknown";
+  return req.session.moderatorName || "admin";
+}
+
+/**
+ * Append a moderation log entry. `by` is a request (its moderator is used) or a
+ * moderator name; the song defaults to the one in the snapshots.
+ */
+async function logModeration(by, { action, link_id = null, song_id = null, reason = null, before = null, after = null }) {
+  await dbModule.insertModerationLog({
+    action,
+    link_id,
+    song_id: song_id || before?.song_id || after?.song_id || null,
+    moderator: typeof by === "string" ? by : moderatorOf(by),
+    reason,
+    before,
+    after,
+  });
+}
+
+// ---- link health checker ----
+// Every LINK_CHECK_INTERVAL_MINUTES (no schedule while it is unset) a batch of
+// song URLs whose check is due is tried (src/songs/linkHealth.js). A failing URL is retried with exponential
+// backoff; after LINK_CHECK_FAILURES failures in a row it counts as broken and
+// the song's approved links are reported to the admin queue, or with
+// LINK_CHECK_ACTION=hide taken off the site once none of the song's URLs work.
+
+const LINK_CHECK = {
+  intervalMinutes: Number(process.env.LINK_CHECK_INTERVAL_MINUTES) || 0, // unset or 0: no schedule
+  batchSize: Number(process.env.LINK_CHECK_BATCH) || 25,
+  timeoutMs: Number(process.env.LINK_CHECK_TIMEOUT_MS) || 10000,
+  failures: Number(process.env.LINK_CHECK_FAILURES) || 3,
+  action: process.env.LINK_CHECK_ACTION === "hide" ? "hide" : "flag",
+  retrySeconds: Number(process.env.LINK_CHECK_RETRY_MINUTES ?? 60) * 60, // first retry; doubles after each failure
+  recheckSeconds: (Number(process.env.LINK_CHECK_RECHECK_DAYS) || 7) * 24 * 60 * 60,
+  oembedUrl: process.env.LINK_CHECK_YOUTUBE_OEMBED_URL || undefined,
+};
+
+let linkCheckRunning = null; // promise of the batch in progress
+let lastLinkCheck = null;
+
+// a song URL just crossed the failure threshold
+async function handleBrokenSongLink(songLink, result) {
+  const linkIds = await dbModule.getApprovedLinkIdsBySong(songLink.song_id);
+  if (!linkIds.length) return;
+  const songLinks = await dbModule.getSongLinks([songLink.song_id]);
+  const noneWork = songLinks.every((sl) => sl.id === songLink.id || sl.health_status === "broken");
+  const hide = LINK_CHECK.action === "hide" && noneWork;
+  const note = `Link checker: ${songLink.url} failed ${LINK_CHECK.failures} checks in a row (${
+    result.http_status ? `HTTP ${result.http_status}` : result.error
+  })${hide ? "; the link was hidden" : ""}`;
+  for (const linkId of linkIds) {
+    if (hide) {
+      const before = await dbModule.getLinkSnapshot(linkId);
+      if (await dbModule.hideLinkById(linkId)) {
+        await logModeration("link-checker", {
+          action: "hide",
+          link_id: linkId,
+          reason: note,
+          before,
+          after: await dbModule.getLinkSnapshot(linkId),
+        });
+      }
+    }
+    await dbModule.insertLinkReport({
+      link_id: linkId,
+      reason: "broken",
+      note,
+      voter_id: `link-checker:${songLink.id}`,
+    });
+  }
+}
+
+async function checkSongLinkBatch(limit) {
+  const startedAt = new Date().toISOString();
+  const due = await dbModule.getSongLinksDueForCheck(limit);
+  const summary = { started_at: startedAt, finished_at: null, checked: 0, ok: 0, failed: 0, broken: 0 };
+  for (const songLink of due) {
+    const result = await checkUrl(songLink.url, { timeoutMs: LINK_CHECK.timeoutMs, oembedUrl: LINK_CHECK.oembedUrl });
+    const failureCount = result.ok ? 0 : Number(songLink.failure_count || 0) + 1;
+    const status = result.ok ? "ok" : failureCount >= LINK_CHECK.failures ? "broken" : "failing";
+    await dbModule.recordSongLinkCheck(songLink.id, {
+      health_status: status,
+      http_status: result.http_status,
+      check_error: result.error,
+      failure_count: failureCount,
+      next_check_seconds: nextCheckDelay(failureCount, LINK_CHECK),
+    });
+    summary.checked += 1;
+    if (result.ok) summary.ok += 1;
+    else summary.failed += 1;
+    if (failureCount === LINK_CHECK.failures) {
+      summary.broken += 1;
+      await handleBrokenSongLink(songLink, result);
+    }
+  }
+  summary.finished_at = new Date().toISOString();
+  return summary;
+}
+
+// one batch at a time; a call while a batch runs waits for that batch
+function runLinkHealthCheck(limit = LINK_CHECK.batchSize) {
+  if (!linkCheckRunning) {
+    linkCheckRunning = checkSongLinkBatch(limit)
+      .then((summary) => {
+        lastLinkCheck = summary;
+        if (summary.failed) console.log(`link check: ${summary.failed} of ${summary.checked} URLs failed`);
+        return summary;
+      })
+      .finally(() => {
+        linkCheckRunning = null;
+      });
+  }
+  return linkCheckRunning;
+}
+
+// ---- notification outbox ----
+// Notifications are stored in notification_outbox first, one row for each
+// target: NOTIFY_WEBHOOK, and with a mail transport NOTIFY_EMAIL plus every
+// moderator account with an email address (each choosing an email per
+// submission or the daily digest, see below), or the console when there is
+// no target. They are then delivered by a worker that runs
+// right after queueing and every NOTIFY_INTERVAL_SECONDS. A failed delivery is
+// retried with exponential backoff until NOTIFY_MAX_ATTEMPTS, then the row is
+// marked failed and waits for an admin to retry it. Webhook bodies are signed
+// with NOTIFY_WEBHOOK_SECRET (see src/notify/webhook.js).
+
+const NOTIFY = {
+  intervalSeconds: Number(process.env.NOTIFY_INTERVAL_SECONDS ?? 60), // 0 turns the schedule off
+  batchSize: Number(process.env.NOTIFY_BATCH) || 20,
+  maxAttempts: Number(process.env.NOTIFY_MAX_ATTEMPTS) || 8,
+  retrySeconds: Number(process.env.NOTIFY_RETRY_SECONDS) || 60, // first retry; doubles after each failure
+  maxRetrySeconds: 6 * 60 * 60,
+  timeoutMs: Number(process.env.NOTIFY_TIMEOUT_MS) || 10000,
+  leaseSeconds: 5 * 60,
+  emailMode: process.env.NOTIFY_EMAIL_MODE === "digest" ? "digest" : "immediate", // for NOTIFY_EMAIL
+};
+
+if (process.env.NOTIFY_WEBHOOK && !process.env.NOTIFY_WEBHOOK_SECRET) {
+  console.warn("NOTIFY_WEBHOOK is set without NOTIFY_WEBHOOK_SECRET; webhook deliveries are not signed");
+}
+
+// email subject, text and html of each notification kind
+const NOTIFICATION_FORMATS = {
+  "new-link": (payload) => {
+    const lines = [
+      `Parasha: ${payload.parasha_id}`,
+      `Target: ${payload.target_kind}${payload.target_id ? " / " + payload.target_id : ""}`,
+      `Title: ${payload.song_title || ""}`,
+      `URL: ${payload.song_url || ""}`,
+      `Verse: ${payload.verse_ref || ""}`,
+      `Added by: ${payload.added_by || ""}`,
+      `ID: ${payload.link_id}`,
+      `Time: ${payload.timestamp}`,
+      payload.approval_url ? `Approve: ${payload.approval_url}` : null,
+      payload.reject_url ? `Decline: ${payload.reject_url}` : null,
+      payload.approval_url ? `(These links open a confirmation page and work for ${APPROVAL_LINK_TTL_MS / 3600000} hours.)` : null,
+    ].filter(Boolean);
+    return {
+      subject: `New song added: ${payload.song_title || "(no title)"}`,
+      text: lines.join("\n"),
+      html: `<pre style="font-family:inherit">${escapeHtml(lines.join("\n"))}</pre>${
+        payload.approval_url
+          ? `<p><a href="${escapeHtml(payload.approval_url)}" style="font-size:16px;font-weight:bold;">Approve this song</a>${
+              payload.reject_url ? ` &nbsp; <a href="${escapeHtml(payload.reject_url)}" style="font-size:16px;">Decline</a>` : ""
+            }</p>`
+          : ""
+      }`,
+    };
+  },
+  digest: (payload) => {
+    const count = payload.groups.reduce((sum, group) => sum + group.links.length, 0);
+    const describe = (link) =>
+      `${link.song_title || "(no title)"}${link.verse_ref ? ` (${link.verse_ref})` : ""}${link.added_by ? `, added by ${link.added_by}` : ""}`;
+    const text = payload.groups.flatMap((group) => [
+      "",
+      group.label,
+      ...group.links.flatMap((link) =>
+        [
+          `- ${describe(link)}`,
+          link.song_url ? `  ${link.song_url}` : null,
+          link.approval_url ? `  Approve: ${link.approval_url}` : null,
+          link.reject_url ? `  Decline: ${link.reject_url}` : null,
+        ].filter(Boolean)
+      ),
+    ]);
+    const html = payload.groups
+      .map(
+        (group) =>
+          `<h3>${escapeHtml(group.label)}</h3><ul>${group.links
+            .map(
+              (link) =>
+                `<li>${link.song_url ? `<a href="${escapeHtml(link.song_url)}">${escapeHtml(describe(link))}</a>` : escapeHtml(describe(link))}${
+                  link.approval_url
+                    ? `<br /><a href="${escapeHtml(link.approval_url)}" style="font-weight:bold;">Approve</a> &nbsp; <a href="${escapeHtml(link.reject_url)}">Decline</a>`
+                    : ""
+                }</li>`
+            )
+            .join("")}</ul>`
+      )
+      .join("");
+    const footer = `The approve / decline links open a confirmation page and work for ${APPROVAL_LINK_TTL_MS / 3600000} hours.`;
+    return {
+      subject: `Parsha Songs: ${count} submission${count === 1 ? "" : "s"} waiting for approval`,
+      text: [`${count} submission${count === 1 ? "" : "s"} waiting for approval (${payload.date}):`, ...text, "", footer].join("\n"),
+      html: `<p>${count} submission${count === 1 ? "" : "s"} waiting for approval (${escapeHtml(payload.date)}):</p>${html}<p style="color:#555;">${footer}</p>`,
+    };
+  },
+};
+
+/**
+ * Where notifications of `mode` go: `[{ channel, recipient }]`. "immediate"
+ * (one per submission) also goes to the webhook and falls back to the
+ * console; "digest" falls back to the console only without a mail transport.
+ */
+async function notificationTargets(mode) {
+  const targets = [];
+  if (mode === "immediate" && process.env.NOTIFY_WEBHOOK) targets.push({ channel: "webhook", recipient: null });
+  if (hasMailTransport()) {
+    const emails = (await dbModule.getModeratorsToNotify(mode)).map((m) => m.email);
+    if (process.env.NOTIFY_EMAIL && NOTIFY.emailMode === mode) emails.unshift(process.env.NOTIFY_EMAIL.trim().toLowerCase());
+    for (const email of new Set(emails)) targets.push({ channel: "email", recipient: email });
+  }
+  if (!targets.length && (mode === "immediate" || !hasMailTransport())) targets.push({ channel: "console", recipient: null });
+  return targets;
+}
+
+// store a notification for every target (by default the "immediate" ones) and start delivering it; resolves to the outbox ids
+async function queueNotification(kind, payload, targets = null) {
+  const ids = [];
+  for (const { channel, recipient } of targets || (await notificationTargets("immediate"))) {
+    ids.push(await dbModule.insertNotification({ kind, channel, recipient, payload }));
+  }
+  runNotificationOutbox().catch((err) => console.error("notification delivery failed:", err));
+  return ids;
+}
+
+// one delivery attempt: `{ ok, http_status, error }`
+async function deliverNotification(row) {
+  if (row.channel === "webhook") {
+    if (!process.env.NOTIFY_WEBHOOK) return { ok: false, http_status: null, error: "webhook-not-configured" };
+    return postWebhook(process.env.NOTIFY_WEBHOOK, row.payload, {
+      id: row.id,
+      event: row.kind,
+      secret: process.env.NOTIFY_WEBHOOK_SECRET,
+      timeoutMs: NOTIFY.timeoutMs,
+    });
+  }
+  const message = NOTIFICATION_FORMATS[row.kind]?.(row.payload);
+  if (!message) return { ok: false, http_status: null, error: `unknown-kind-${row.kind}` };
+  if (row.channel === "email") {
+    const to = row.recipient || process.env.NOTIFY_EMAIL;
+    if (!to || !hasMailTransport()) return { ok: false, http_status: null, error: "email-not-configured" };
+    const sent = await sendEmail({ to, ...message });
+    return { ok: sent, http_status: null, error: sent ? null : "email-not-sent" };
+  }
+  console.log(`notification #${row.id} (${row.kind}): ${message.subject}\n${message.text}`);
+  return { ok: true, http_status: null, error: null };
+}
+
+let notifyRunning = null; // promise of the run in progress
+let notifyRunAgain = false; // something was queued during that run
+let lastNotifyRun = null;
+
+async function deliverDueNotifications() {
+  const summary = { started_at: new Date().toISOString(), finished_at: null, attempted: 0, delivered: 0, retrying: 0, failed: 0 };
+  for (;;) {
+    const due = await dbModule.claimDueNotifications(NOTIFY.batchSize, NOTIFY.leaseSeconds);
+    for (const row of due) {
+      const started = Date.now();
+      const result = await deliverNotification(row);
+      const attempts = Number(row.attempts) + 1;
+      const status = result.ok ? "delivered" : attempts >= NOTIFY.maxAttempts ? "failed" : "pending";
+      await dbModule.recordNotificationAttempt(row.id, {
+        ...result,
+        duration_ms: Date.now() - started,
+        status,
+        next_attempt_seconds: status === "pending" ? retryDelay(attempts, NOTIFY) : 0,
+      });
+      summary.attempted += 1;
+      summary[status === "pending" ? "retrying" : status] += 1;
+      if (status === "failed") console.error(`notification #${row.id} (${row.channel}) failed for good: ${result.error}`);
+    }
+    if (due.length < NOTIFY.batchSize) break;
+  }
+  summary.finished_at = new Date().toISOString();
+  return summary;
+}
+
+// one run at a time; a call during a run waits for it and schedules another
+function runNotificationOutbox() {
+  if (notifyRunning) {
+    notifyRunAgain = true;
+    return notifyRunning;
+  }
+  notifyRunning = deliverDueNotifications()
+    .then((summary) => {
+      if (summary.attempted) lastNotifyRun = summary;
+      return summary;
+    })
+    .finally(() => {
+      notifyRunning = null;
+      if (notifyRunAgain) {
+        notifyRunAgain = false;
+        runNotificationOutbox().catch((err) => console.error("notification delivery failed:", err));
+      }
+    });
+  return notifyRunning;
+}
+
+// ---- moderation digest ----
+// Once a day, from NOTIFY_DIGEST_HOUR in NOTIFY_DIGEST_TIMEZONE (no daily run
+// while it is unset), the moderators
+// who chose the digest (and NOTIFY_EMAIL with NOTIFY_EMAIL_MODE=digest) get one
+// email listing every pending submission, grouped by what it is linked to,
+// each with its approve / decline links. Nothing is sent when nothing waits.
+
+const DIGEST = {
+  hour: /^([01]?\d|2[0-3])$/.test(process.env.NOTIFY_DIGEST_HOUR || "") ? Number(process.env.NOTIFY_DIGEST_HOUR) : null,
+  timeZone: process.env.NOTIFY_DIGEST_TIMEZONE || process.env.DEFAULT_TIMEZONE || "UTC",
+};
+if (!isValidTimeZone(DIGEST.timeZone)) {
+  console.warn(`unknown NOTIFY_DIGEST_TIMEZONE ${DIGEST.timeZone}; the digest uses UTC`);
+  DIGEST.timeZone = "UTC";
+}
+
+let digestCheckedDate = null; // a day whose digest found nothing pending
+
+// the pending submissions grouped by parasha, haftarah, Tanach chapter or holiday, in reading order
+async function pendingDigestGroups(baseUrl) {
+  const [pending, parshiot, combined, holidays] = await Promise.all([
+    getPendingLinks(),
+    loadParshiot(),
+    loadCombinedParshiot(),
+    loadHolidays(),
+  ]);
+  const groups = new Map();
+  for (const link of pending) {
+    let key = `${link.target_kind}:${link.target_id || link.parasha_id}`;
+    let label = link.target_id || link.parasha_id;
+    let order = Infinity;
+    if (link.target_kind === "parasha" || link.target_kind === "haftarah") {
+      const parasha = [...parshiot, ...combined].find((p) => p.id === link.parasha_id);
+      if (parasha) {
+        order = parasha.order_index * 10 + (parasha.combined ? 1 : 0) + (link.target_kind === "haftarah" ? 5 : 0);
+        const haftarah = link.target_kind === "haftarah" ? haftarotOf(parasha).find((h) => h.id === link.target_id) : null;
+        label =
+          link.target_kind === "haftarah"
+            ? `Haftarah of ${parasha.name_en}${haftarah ? ` (${haftarah.name})` : ""}`
+            : `Parashat ${parasha.name_en}`;
+      }
+      if (link.target_kind === "parasha") key = `parasha:${link.parasha_id}`;
+    } else if (link.target_kind === "tanach") {
+      const [bookId, chapter] = String(link.target_id).split(":");
+      const bookIndex = TANACH_FALLBACK.findIndex((b) => b.id === bookId);
+      if (bookIndex >= 0) {
+        order = 10000 + bookIndex * 1000 + Number(chapter);
+        label = `${TANACH_FALLBACK[bookIndex].title_en} ${chapter}`;
+      }
+    } else if (link.target_kind === "holiday") {
+      const holiday = holidays.find((h) => h.id === link.target_id);
+      if (holiday) {
+        order = 100000 + holiday.order_index;
+        label = holiday.name_en;
+      }
+    }
+    if (!groups.has(key)) groups.set(key, { label, order, links: [] });
+    groups.get(key).links.push({
+      link_id: link.id,
+      song_title: link.song_title,
+      song_url: link.proposed_song?.url || link.song_url,
+      verse_ref: link.verse_ref,
+      added_by: link.added_by,
+      added_at: link.added_at,
+      ...(link.approval_token ? approvalLinks(baseUrl, link.id, link.approval_token) : {}),
+    });
+  }
+  return [...groups.values()]
+    .sort((a, b) => a.order - b.order || a.label.localeCompare(b.label))
+    .map(({ label, links }) => ({ label, links }));
+}
+
+/**
+ * Queue the digest of `date` for everyone who gets it. Resolves to
+ * `{ pending, ids }`; nothing is queued when no submission waits or nobody
+ * chose the digest.
+ */
+async function queueDigest(baseUrl, date) {
+  const targets = await notificationTargets("digest");
+  const groups = targets.length ? await pendingDigestGroups(baseUrl) : [];
+  const pending = groups.reduce((sum, group) => sum + group.links.length, 0);
+  if (!pending) return { pending, ids: [] };
+  return { pending, ids: await queueNotification("digest", { date, groups }, targets) };
+}
+
+// today's digest once its hour has come, unless it went out already
+async function runDigestIfDue(now = new Date()) {
+  if (DIGEST.hour === null) return;
+  const { fixed, hour } = zonedDay(now, DIGEST.timeZone);
+  const date = isoDateFromFixed(fixed);
+  if (hour < DIGEST.hour || digestCheckedDate === date || (await dbModule.hasDigestFor(date))) return;
+  const { ids } = await queueDigest(getBaseUrl(), date);
+  if (!ids.length) digestCheckedDate = date;
 }
 
-function getBaseUrl(req) {
+// origin for links in emails: the configured base URL, else the request's host;
+// without a request (scheduled jobs) the local server
+function getBaseUrl(req = null) {
   const envUrl = process.env.APPROVAL_BASE_URL || process.env.PUBLIC_BASE_URL || process.env.APP_BASE_URL;
   if (envUrl) return envUrl.replace(/\/$/, "");
+  if (!req) return `http://localhost:${process.env.PORT || 3000}`;
   const forwardedHost = req.get("x-forwarded-host");
   const host = forwardedHost || req.get("host") || "localhost";
   const proto = req.get("x-forwarded-proto") || req.protocol || "https";
@@ -158,8 +824,8 @@ async function fetchTanachBooks() {
 
 // 1) GET /api/parshiot
 app.get("/api/parshiot", async (req, res) => {
-  const parshiot = await loadParshiot();
-  res.json(parshiot);
+  const [parshiot, combined] = await Promise.all([loadParshiot(), loadCombinedParshiot()]);
+  res.json([...parshiot, ...combined]);
 });
 
 // apply a general limiter to read-only API routes
@@ -176,144 +842,332 @@ app.get("/api/tanach/books", async (req, res) => {
   }
 });
 
+// GET /api/tanach/parasha?ref=Genesis 22:2 -> the parasha(s) a Torah reference is read in
+app.get("/api/tanach/parasha", validateQuery(verseRefQuerySchema), async (req, res) => {
+  const { ref, error } = parseVerseRef(res.locals.validatedQuery.ref);
+  if (error) {
+    return res.status(400).json({ ok: false, error: "invalid-verse-ref", reason: error });
+  }
+  const matches = parshiotForRange(await loadParshiot(), ref.book, ref.start, ref.end);
+  res.json({
+    ok: true,
+    ref: ref.text,
+    parshiot: matches.map((p) => ({ id: p.id, name_en: p.name_en, name_he: p.name_he, torah: p.torah })),
+  });
+});
+
 // NEW: GET /api/links-tanach?book_id=&chapter=
 app.get("/api/links-tanach", validateQuery(tanachLinksQuerySchema), async (req, res) => {
   try {
     const { book_id, chapter } = res.locals.validatedQuery;
-    const rows = await dbModule.getLinksByTanach(book_id, chapter);
-    res.json(rows);
+    // plus songs linked to a haftarah that reads from this chapter
+    const [haftarot, parshiot, combined] = await Promise.all([
+      haftarotForChapter(book_id, chapter),
+      loadParshiot(),
+      loadCombinedParshiot(),
+    ]);
+    const sources = [
+      { tanach: { book: book_id, chapters: [chapter] } },
+      { haftarah_ids: haftarot.map((h) => h.id), ranges: [wholeChapter(book_id, chapter)] },
+    ];
+    const label = (row) => {
+      if (row.target_kind !== "haftarah") return row;
+      const haftarah = haftarot.find((h) => h.id === row.target_id);
+      const parasha = [...parshiot, ...combined].find((p) => p.id === row.parasha_id);
+      return {
+        ...row,
+        from_haftarah: {
+          id: row.target_id,
+          name: haftarah?.name || row.target_id,
+          parasha_id: row.parasha_id,
+          parasha_name: parasha?.name_en || row.parasha_id,
+        },
+      };
+    };
+    await sendListing(req, res, sources, res.locals.validatedQuery, { label });
   } catch (err) {
     console.error("links-tanach failed:", err);
     res.status(500).json({ ok: false, error: "tanach-links-failed" });
   }
 });
 
-// 2) GET /api/current-reading  --> find the next shabbat parasha in the coming 7 days
-app.get("/api/current-reading", validateQuery(currentReadingQuerySchema), async (req, res) => {
-  // CHANGE THIS LINE:
-  const loc = res.locals.validatedQuery?.loc || "diaspora";
-
-  const today = new Date();
-  const start = today.toISOString().slice(0, 10);
-  const endDate = new Date(today);
-  endDate.setDate(endDate.getDate() + 7);
-  const end = endDate.toISOString().slice(0, 10);
+// GET /api/holidays -> festivals and Megillot with their readings
+app.get("/api/holidays", async (req, res) => {
+  try {
+    res.json(await loadHolidays());
+  } catch (err) {
+    console.error("holidays failed:", err);
+    res.status(500).json({ error: "holidays-load-failed" });
+  }
+});
 
-  const url =
-    `https://www.hebcal.com/hebcal?cfg=json&s=on&leyning=on&start=${start}&end=${end}` +
-    (loc === "israel" ? "&i=on" : "");
+// GET /api/links-holiday?holiday_id=
+app.get("/api/links-holiday", validateQuery(holidayLinksQuerySchema), async (req, res) => {
+  try {
+    const { holiday_id } = res.locals.validatedQuery;
+    await sendListing(req, res, [{ holiday_id }], res.locals.validatedQuery);
+  } catch (err) {
+    console.error("links-holiday failed:", err);
+    res.status(500).json({ ok: false, error: "holiday-links-failed" });
+  }
+});
 
+// GET /api/links-verse?ref=Genesis 22:2 -> songs whose verse range includes (overlaps) ref
+app.get("/api/links-verse", validateQuery(verseRefQuerySchema), async (req, res) => {
+  const { ref: input } = res.locals.validatedQuery;
+  const { ref, error } = parseVerseRef(input);
+  if (error) {
+    return res.status(400).json({ ok: false, error: "invalid-verse-ref", reason: error });
+  }
   try {
-    const r = await fetch(url);
-    const data = await r.json();
-    const items = data.items || [];
-    const parshaItem = items.find((it) => it.category === "parashat");
+    await sendListing(req, res, [{ verse: ref }], res.locals.validatedQuery);
+  } catch (err) {
+    console.error("links-verse failed:", err);
+    res.status(500).json({ ok: false, error: "verse-links-failed" });
+  }
+});
 
-    if (!parshaItem) {
-      return res.json({ ok: false, reason: "no-parasha-in-next-7-days" });
+// 2) GET /api/current-reading  --> the coming Shabbat's parasha, computed locally
+app.get("/api/current-reading", validateQuery(currentReadingQuerySchema), async (req, res) => {
+  const { loc, tz, date } = res.locals.validatedQuery;
+  const israel = loc === "israel";
+  const timeZone = tz || (israel ? "Asia/Jerusalem" : process.env.DEFAULT_TIMEZONE || "UTC");
+
+  try {
+    const reading = date
+      ? getShabbatReading(fixedFromIsoDate(date), { israel })
+      : getUpcomingReading({ timeZone, israel });
+    const holidays = await loadHolidays();
+    const shabbat = {
+      date: isoDateFromFixed(reading.date),
+      hebrew_date: formatHebrewDate(reading.hdate),
+      // festivals during the week leading up to this Shabbat (e.g. Purim on a Thursday)
+      holidays_this_week: holidaysBetween(holidays, reading.date - 6, reading.date, { israel }).map((h) => ({
+        id: h.holiday.id,
+        name_en: h.holiday.name_en,
+        name_he: h.holiday.name_he,
+        start: isoDateFromFixed(h.start),
+        end: isoDateFromFixed(h.end),
+      })),
+    };
+
+    // a festival on Shabbat replaces the parasha with its own reading
+    if (reading.holiday) {
+      const holiday = holidays.find((h) => h.id === reading.holiday.id);
+      if (!holiday) {
+        return res.json({ ok: false, reason: "no-parasha-in-next-7-days", holiday: reading.holiday, ...shabbat });
+      }
+      const megillot = holidays.filter((h) => h.read_on === holiday.id);
+      return res.json({ ok: true, kind: "holiday", holiday: { ...holiday, megillot }, parasha: null, ...shabbat });
     }
 
-    const parshaNameEn = parshaItem.title.replace("Parashat ", "").trim();
-    const parshiot = await loadParshiot();
+    const [parshiot, combined, specialHaftarot] = await Promise.all([
+      loadParshiot(),
+      loadCombinedParshiot(),
+      loadSpecialHaftarot(),
+    ]);
+    const described = describeReading(reading, parshiot, combined, specialHaftarot, loc);
+    if (described.parshiot.length !== reading.parshiot.length) {
+      return res.json({ ok: false, reason: "parasha-not-in-static-list", ...shabbat });
+    }
 
-    let match = parshiot.find((p) => p.name_en === parshaNameEn);
+    // a combined reading is its own target; `parshiot` lists the halves
+    const parasha = described.combined
+      ? { ...described.combined, book: described.parshiot[0].book, parts: described.parshiot.map((p) => p.id) }
+      : described.parshiot[0];
 
-    if (!match && parshaNameEn.includes("-")) {
-      const firstPart = parshaNameEn.split("-")[0].trim();
-      match = parshiot.find((p) => p.name_en === firstPart);
+    const body = {
+      ok: true,
+      kind: "parasha",
+      parasha,
+      parshiot: described.parshiot,
+      haftarot: described.haftarot,
+      special_haftarah: described.special_haftarah,
+      ...shabbat,
+    };
+
+    if (process.env.HEBCAL_CROSSCHECK === "1") {
+      const names = described.parshiot.map((p) => p.name_en);
+      body.crosscheck = await crossCheckWithHebcal(shabbat.date, israel, names.join("-"));
     }
 
-    if (!match) {
-      return res.json({
-        ok: true,
-        parasha: {
-          id: parshaNameEn.toLowerCase().replace(/\s+/g, "-"),
-          name_en: parshaNameEn,
-          name_he: parshaItem.hebrew || null,
-        },
-        haftarot: parshaItem.leyning?.haftara
-          ? [{ id: "auto", name: parshaItem.leyning.haftara }]
-          : [],
-        warn: "parasha-not-in-static-list",
-      });
-    }
+    res.json(body);
+  } catch (err) {
+    console.error("current-reading failed:", err);
+    res.status(500).json({ ok: false, error: "reading-failed" });
+  }
+});
 
-    const haftarot =
-      match.haftarot?.[loc] || match.haftarot?.diaspora || [];
+// GET /api/calendar?year=&loc=  --> every Shabbat of a year with its reading and song counts
+app.get("/api/calendar", validateQuery(calendarQuerySchema), async (req, res) => {
+  const { year, loc } = res.locals.validatedQuery;
+  const israel = loc === "israel";
 
-    res.json({
-      ok: true,
-      parasha: {
-        id: match.id,
-        name_en: match.name_en,
-        name_he: match.name_he,
-        book: match.book,
-      },
-      haftarot,
+  try {
+    let entries;
+    let hebrewYear = null;
+    if (year && year < 5000) {
+      entries = getSedraRange(fixedFromGregorian(year, 1, 1), fixedFromGregorian(year, 12, 31), { israel });
+    } else {
+      hebrewYear = year || hebrewFromFixed(zonedDay(new Date(), israel ? "Asia/Jerusalem" : "UTC").fixed).year;
+      entries = getSedraYear(hebrewYear, { israel });
+    }
+
+    const [parshiot, combined, specialHaftarot, counts] = await Promise.all([
+      loadParshiot(),
+      loadCombinedParshiot(),
+      loadSpecialHaftarot(),
+      dbModule.getApprovedCountsByParasha(),
+    ]);
+    const shabbatot = entries.map((entry) => {
+      const reading = describeReading(entry, parshiot, combined, specialHaftarot, loc);
+      const ids = [...reading.parshiot.map((p) => p.id), ...(reading.combined ? [reading.combined.id] : [])];
+      const songCount = (kind) => ids.reduce((sum, id) => sum + (counts[id]?.[kind] || 0), 0);
+      return { ...reading, song_count: songCount("parasha"), haftarah_song_count: songCount("haftarah") };
     });
+
+    res.json({ ok: true, year: year || hebrewYear, loc, calendar: hebrewYear ? "hebrew" : "gregorian", shabbatot });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, error: "hebcal-failed" });
+    console.error("calendar failed:", err);
+    res.status(500).json({ ok: false, error: "calendar-failed" });
   }
 });
 
+// map a computed Shabbat to the static parshiot data
+function describeReading(entry, parshiot, combined, specialHaftarot, loc) {
+  const matches = entry.parshiot
+    .map((i) => parshiot.find((p) => p.order_index === i + 1))
+    .filter(Boolean);
+  const pair = matches.length > 1 ? combined.find((c) => c.parts.join() === matches.map((p) => p.id).join()) : null;
+  // a combined reading names the half whose haftarah is read; special Shabbatot override both
+  const regular = (pair && matches.find((p) => p.id === pair.haftarah_of)) || matches[matches.length - 1];
+  const occasion = specialHaftarahOccasion(entry);
+  const special = occasion ? specialHaftarot.find((h) => h.occasion === occasion) || null : null;
+  return {
+    date: isoDateFromFixed(entry.date),
+    hebrew_date: formatHebrewDate(entry.hdate),
+    holiday: entry.holiday,
+    parshiot: matches.map((p) => ({ id: p.id, name_en: p.name_en, name_he: p.name_he, book: p.book })),
+    combined: pair ? { id: pair.id, name_en: pair.name_en, name_he: pair.name_he } : null,
+    haftarot: special ? [special] : regular ? regular.haftarot?.[loc] || regular.haftarot?.diaspora || [] : [],
+    special_haftarah: special,
+  };
+}
+
+// optional sanity check of the local calendar against hebcal.com; never fails the request
+async function crossCheckWithHebcal(isoDate, israel, expected) {
+  const url =
+    `https://www.hebcal.com/hebcal?cfg=json&s=on&start=${isoDate}&end=${isoDate}` +
+    (israel ? "&i=on" : "");
+  try {
+    const r = await fetch(url, { signal: AbortSignal.timeout(3000) });
+    const data = await r.json();
+    const item = (data.items || []).find((it) => it.category === "parashat");
+    const hebcal = item ? item.title.replace("Parashat ", "").trim() : null;
+    const match = hebcal === expected;
+    if (!match) console.warn(`hebcal cross-check mismatch for ${isoDate}: local=${expected} hebcal=${hebcal}`);
+    return { hebcal, match };
+  } catch (err) {
+    console.error("hebcal cross-check failed:", err?.message || err);
+    return { hebcal: null, match: null, error: "hebcal-failed" };
+  }
+}
+
 // 3) POST /api/links
 app.post("/api/links", writeLimiter, validateBody(linkCreateSchema), async (req, res) => {
-  const { parasha_id, target_kind, target_id, song, verse_ref, added_by, book_id, chapter } = req.body;
+  const { parasha_id, target_kind, target_id, song, verse_ref, added_by, book_id, chapter, holiday_id, allow_duplicate } = req.body;
 
   if (!parasha_id || !target_kind || !song?.title) {
     return res.status(400).json({ error: "missing-fields" });
   }
 
-  // For parasha/haftarah we still validate parasha exists; skip for tanach
-  if (target_kind !== "tanach") {
-    const parshiot = await loadParshiot();
-    const parasha = parshiot.find((p) => p.id === parasha_id);
-    if (!parasha) {
-      return res.status(400).json({ error: "unknown-parasha" });
-    }
+  const target = await resolveLinkTarget({ parasha_id, target_kind, target_id, book_id, chapter, holiday_id });
+  if (target.error) {
+    return res.status(400).json({ error: target.error });
+  }
 
-    if (target_kind === "haftarah") {
-      const haftarot = parasha.haftarot?.diaspora || [];
-      const ok = haftarot.some((h) => h.id === target_id);
-      if (!ok) {
-        return res.status(400).json({ error: "haftarah-not-under-this-parasha" });
-      }
+  // verse_ref must name a real range; the book may be left out where the target implies it
+  let verseRange = null;
+  if (verse_ref) {
+    const { ref, error } = parseLinkVerseRef(verse_ref, target);
+    if (error) {
+      return res.status(400).json({ error: "invalid-verse-ref", reason: error });
     }
+    verseRange = ref;
   }
 
-  // values already sanitized by zod transforms
+  const finalTargetKind = target.target_kind;
+  const finalTargetId = target.target_id;
+  const finalParashaId = target.parasha_id;
+
+  // values already sanitized by zod transforms; platform URLs lose their tracking parameters
   const cleanTitle = song.title;
-  const cleanUrl = song.external_url || null;
+  const cleanUrl = song.external_url ? canonicalSongUrl(song.external_url) : null;
+
+  // a new song that looks like one already on this target is probably a duplicate: the
+  // client can pick the existing song (song.id) or insist with allow_duplicate
+  const onTarget = await dbModule.getLinksOnTarget({
+    parasha_id: finalParashaId,
+    target_kind: finalTargetKind,
+    target_id: finalTargetId,
+  });
+  if (!song.id && !allow_duplicate) {
+    const candidates = await duplicateCandidates(onTarget, { title: cleanTitle, url: cleanUrl });
+    if (candidates.length) {
+      return res.status(409).json({ error: "possible-duplicate", candidates });
+    }
+  }
+  const songMeta = { artist: song.artist || null, language: song.language || null, year: song.year || null };
 
   // find or create song
-  // Deduplicate by (title, external_url) so same title with different links are separate songs
-  let existing = await findSongByTitleUrl(cleanTitle, cleanUrl || null);
+  // Deduplicate by (title, external_url) so same title with different links are separate songs;
+  // song.id picks an existing song instead, and the URL becomes one more of its song links
+  let existing = song.id
+    ? await dbModule.getSongById(song.id)
+    : await findSongByTitleUrl(cleanTitle, cleanUrl || null);
+  if (song.id && !existing) {
+    return res.status(404).json({ error: "song-not-found" });
+  }
   let songId;
+  // an existing song is shared with published links: what this submission adds to it (URL,
+  // metadata that fills gaps, tags) waits for approval in the link's proposed_song
+  let proposedSong = null;
   if (existing) {
     songId = existing.id;
+    // the song is already on this target: keep the one link and leave the song as it is
+    const linkedHere = onTarget.find((link) => link.song_id === songId);
+    if (linkedHere) {
+      return res.json({ ok: true, link_id: linkedHere.id, status: linkedHere.status, already_linked: true });
+    }
+    proposedSong = Object.fromEntries(Object.entries(songMeta).filter(([, value]) => value));
+    if (song.tags?.length) proposedSong.tags = song.tags;
+    if (cleanUrl) Object.assign(proposedSong, { url: cleanUrl, platform: detectPlatform(cleanUrl), performer: song.performer || null });
+    if (!Object.keys(proposedSong).length) proposedSong = null;
   } else {
     songId = crypto.randomUUID();
     // version is not used anymore; store null
-    await insertSong(songId, cleanTitle, null, cleanUrl || null);
-  }
-
-  // Compute target fields
-  let finalTargetKind = target_kind;
-  let finalTargetId = null;
-  let finalParashaId = parasha_id;
-
-  if (target_kind === "tanach") {
-    // Use normalized book_id as parasha_id placeholder to satisfy schema/DB not null
-    finalParashaId = book_id;
-    finalTargetId = `${book_id}:${chapter}`;
-  } else if (target_kind === "haftarah") {
-    finalTargetId = target_id || null;
+    await insertSong(songId, cleanTitle, null, cleanUrl || null, songMeta);
+    await dbModule.addSongTags(songId, song.tags || []);
+    if (cleanUrl) {
+      await dbModule.insertSongLink(songId, {
+        url: cleanUrl,
+        platform: detectPlatform(cleanUrl),
+        performer: song.performer || null,
+      });
+    }
   }
 
   const isAdmin = !!req.session?.isAdmin;
+  // pending links get a random approval_token, which their emailed approve / decline links are signed with
   const approvalToken = isAdmin ? null : crypto.randomBytes(24).toString("hex");
   const approvedAt = isAdmin ? new Date().toISOString() : null;
+  // private receipt for following up on the submission; only its hash is stored
+  const receiptToken = crypto.randomBytes(24).toString("hex");
+  // a signed-in contributor's account name replaces the free-text added_by
+  const contributor = req.session?.contributorId
+    ? await dbModule.getContributorById(req.session.contributorId)
+    : null;
+  const addedBy = contributor ? contributor.display_name : added_by || null;
 
   const newId = await insertLink({
     parasha_id: finalParashaId,
@@ -321,169 +1175,348 @@ app.post("/api/links", writeLimiter, validateBody(linkCreateSchema), async (req,
     target_id: finalTargetId,
     song_id: songId,
     verse_ref: verse_ref || null,
-    added_by: added_by || null,
+    verse_range: verseRange,
+    added_by: addedBy,
+    contributor_id: contributor?.id || null,
     status: isAdmin ? "approved" : "pending",
     approval_token: approvalToken,
     approved_at: approvedAt,
+    receipt_hash: hashToken(receiptToken),
+    proposed_song: isAdmin ? null : proposedSong,
   });
+  // an admin's link is approved at once, and so is what it adds to the song
+  if (isAdmin && proposedSong) await dbModule.applyProposedSong(songId, proposedSong);
+  await dbModule.refreshSongSearch([songId]);
 
   // only notify if NOT admin session
   if (!isAdmin) {
-    const baseUrl = getBaseUrl(req);
-    const approvalUrl = approvalToken ? `${baseUrl}/api/links/approve/${approvalToken}` : null;
-    notifyNewLink({
+    await queueNotification("new-link", {
       link_id: newId,
       parasha_id: finalParashaId,
       target_kind: finalTargetKind,
       target_id: finalTargetId,
-      song_title: cleanTitle,
+      song_title: existing?.title || cleanTitle,
       song_url: cleanUrl,
       verse_ref: verse_ref || null,
-      added_by: added_by || null,
+      added_by: contributor ? `${contributor.display_name || "(no name)"} <${contributor.email}> (verified account)` : addedBy,
       timestamp: new Date().toISOString(),
-      approval_url: approvalUrl,
-    }).catch(() => {});
+      ...approvalLinks(getBaseUrl(req), newId, approvalToken),
+    }).catch((err) => console.error("notification queue failed:", err));
   }
 
-  res.json({ ok: true, link_id: newId, status: isAdmin ? "approved" : "pending" });
-});
-
-// create mail transporter if SMTP env provided
-let mailTransporter = null;
-if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-  mailTransporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: Number(process.env.SMTP_PORT || 587),
-    secure: process.env.SMTP_SECURE === "1" || process.env.SMTP_SECURE === "true",
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
+  res.json({
+    ok: true,
+    link_id: newId,
+    status: isAdmin ? "approved" : "pending",
+    receipt_token: receiptToken,
+    receipt_url: `${getBaseUrl(req)}/?receipt=${receiptToken}#receipt-section`,
   });
+});
 
-  // verify and log result
-  mailTransporter.verify()
-    .then(() => {
-      console.log("SMTP transporter verified");
-    })
-    .catch((err) => {
-      console.error("SMTP transporter verify failed:", err && err.message ? err.message : err);
-    });
-}
-
-// replace the notifyNewLink function with this API-based version:
-async function notifyNewLink(payload) {
-  const webhook = process.env.NOTIFY_WEBHOOK;
-  const notifyEmail = process.env.NOTIFY_EMAIL;
-  const brevoApiKey = process.env.BREVO_API_KEY; // add this env var
-  let delivered = false;
-
-  const buildLines = () =>
-    [
-      `Parasha: ${payload.parasha_id}`,
-      `Target: ${payload.target_kind}${payload.target_id ? " / " + payload.target_id : ""}`,
-      `Title: ${payload.song_title || ""}`,
-      `URL: ${payload.song_url || ""}`,
-      `Verse: ${payload.verse_ref || ""}`,
-      `Added by: ${payload.added_by || ""}`,
-      `ID: ${payload.link_id}`,
-      `Time: ${payload.timestamp}`,
-      payload.approval_url ? `Approve: ${payload.approval_url}` : null,
-    ].filter(Boolean);
+/**
+ * Check a link target (the fields of linkCreateSchema) and work out what a link
+ * stores: `{ parasha, parasha_id, target_kind, target_id }`. `{ error }` when the
+ * parasha, haftarah, Tanach chapter or holiday does not exist.
+ */
+async function resolveLinkTarget({ parasha_id, target_kind, target_id, book_id, chapter, holiday_id }) {
+  if (target_kind === "tanach") {
+    const book = TANACH_FALLBACK.find((b) => b.id === book_id);
+    if (!book || chapter > book.chapters) return { error: "unknown-tanach-chapter" };
+    // Use normalized book_id as parasha_id placeholder to satisfy schema/DB not null
+    return { parasha: null, parasha_id: book_id, target_kind, target_id: `${book_id}:${chapter}` };
+  }
 
-  // 1) webhook if configured
-  if (webhook && !brevoApiKey && !mailTransporter) {
-    try {
-      await fetch(webhook, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      delivered = true;
-    } catch (err) {
-      console.error("webhook notify failed:", err?.message || err);
-    }
+  if (target_kind === "holiday") {
+    const holidays = await loadHolidays();
+    if (!holidays.some((h) => h.id === holiday_id)) return { error: "unknown-holiday" };
+    // same placeholder approach as tanach: the holiday id fills parasha_id
+    return { parasha: null, parasha_id: holiday_id, target_kind, target_id: holiday_id };
   }
 
-  // 2) Brevo API (no SMTP port needed)
-  if (!delivered && brevoApiKey && notifyEmail) {
-    try {
-      const subject = `New song added: ${payload.song_title || "(no title)"}`;
-      const textLines = buildLines();
-
-      const response = await fetch("https://api.brevo.com/v3/smtp/email", {
-        method: "POST",
-        headers: {
-          accept: "application/json",
-          "api-key": brevoApiKey,
-          "content-type": "application/json",
-        },
-        body: JSON.stringify({
-          sender: {
-            email: process.env.NOTIFY_FROM || "noreply@example.com",
-            name: "Parsha Songs",
-          },
-          to: [{ email: notifyEmail }],
-          subject,
-          textContent: textLines.join("\n"),
-          htmlContent: `<pre style="font-family:inherit">${textLines.join("\n")}</pre>${payload.approval_url ? `<p><a href="${payload.approval_url}" style="font-size:16px;font-weight:bold;">Approve this song</a></p>` : ""}`,
-        }),
-      });
+  // parasha or combined reading
+  const [parshiot, combined] = await Promise.all([loadParshiot(), loadCombinedParshiot()]);
+  const parasha = [...parshiot, ...combined].find((p) => p.id === parasha_id);
+  if (!parasha) return { error: "unknown-parasha" };
+  if (target_kind === "haftarah" && !haftarotOf(parasha).some((h) => h.id === target_id)) {
+    return { error: "haftarah-not-under-this-parasha" };
+  }
+  return { parasha, parasha_id, target_kind, target_id: target_kind === "haftarah" ? target_id : null };
+}
 
-      if (!response.ok) {
-        const err = await response.text();
-        throw new Error(`Brevo API error: ${err}`);
-      }
-      delivered = true;
-    } catch (err) {
-      console.error("Brevo API notify failed:", err?.message || err);
-    }
+// the target fields of a stored link, as resolveLinkTarget takes them
+function linkTargetFields(link) {
+  if (link.target_kind === "tanach") {
+    const [book_id, chapter] = (link.target_id || "").split(":");
+    return { target_kind: "tanach", book_id, chapter: Number(chapter) || null };
   }
+  if (link.target_kind === "holiday") return { target_kind: "holiday", holiday_id: link.target_id };
+  return { parasha_id: link.parasha_id, target_kind: link.target_kind, target_id: link.target_id };
+}
 
-  // 3) fallback: SMTP (will timeout on Render free tier)
-  if (!delivered && mailTransporter && notifyEmail) {
-    try {
-      const subject = `New song added: ${payload.song_title || "(no title)"}`;
-      const textLines = buildLines();
-      await mailTransporter.sendMail({
-        from: process.env.NOTIFY_FROM || process.env.SMTP_USER,
-        to: notifyEmail,
-        subject,
-        text: textLines.join("\n"),
-        html: `<pre style="font-family:inherit">${textLines.join("\n")}</pre>${payload.approval_url ? `<p><a href="${payload.approval_url}" style="font-size:16px;font-weight:bold;">Approve this song</a></p>` : ""}`,
-      });
-      delivered = true;
-    } catch (err) {
-      console.error("email notify failed:", err?.message || err);
-    }
+// verse_ref of a link on `target` (from resolveLinkTarget) -> { ref } or { error }
+function parseLinkVerseRef(verse_ref, target) {
+  const [book_id, chapter] = target.target_kind === "tanach" ? target.target_id.split(":") : [];
+  return parseVerseRef(
+    verse_ref,
+    verseRefContext(target.target_kind, {
+      parasha: target.parasha,
+      target_id: target.target_id,
+      book_id,
+      chapter: Number(chapter) || null,
+    })
+  );
+}
+
+const DUPLICATE_TITLE_SIMILARITY = 0.8;
+
+/**
+ * Songs of `onTarget` (links from getLinksOnTarget) that look like the submitted
+ * one: a song link with the same canonical URL, or a similar title
+ * (see titleSimilarity). URL matches first, then by similarity. Only songs
+ * published here are offered; pending submissions stay private until moderated.
+ */
+async function duplicateCandidates(onTarget, { title, url }) {
+  const published = onTarget.filter((link) => link.status === "approved");
+  if (!published.length) return [];
+  const songIds = [...new Set(published.map((link) => link.song_id))];
+  const urlsBySong = new Map();
+  for (const songLink of await dbModule.getSongLinks(songIds)) {
+    if (!urlsBySong.has(songLink.song_id)) urlsBySong.set(songLink.song_id, new Set());
+    urlsBySong.get(songLink.song_id).add(canonicalSongUrl(songLink.url));
   }
 
-  // fallback
-  if (!delivered) {
-    console.log("New link added:", payload);
+  const candidates = new Map();
+  for (const link of published) {
+    if (candidates.has(link.song_id)) continue;
+    const songUrls = urlsBySong.get(link.song_id) || new Set();
+    if (link.song_url) songUrls.add(canonicalSongUrl(link.song_url));
+    const sameUrl = !!url && songUrls.has(url);
+    const similarity = titleSimilarity(title, link.song_title);
+    if (!sameUrl && similarity < DUPLICATE_TITLE_SIMILARITY) continue;
+    candidates.set(link.song_id, {
+      song_id: link.song_id,
+      title: link.song_title,
+      artist: link.song_artist,
+      url: link.song_url,
+      link_id: link.id,
+      match: sameUrl ? "url" : "title",
+      similarity: Math.round(similarity * 100) / 100,
+    });
   }
+  return [...candidates.values()].sort(
+    (a, b) => (a.match === "url" ? 0 : 1) - (b.match === "url" ? 0 : 1) || b.similarity - a.similarity
+  );
 }
 
 // 4) GET /api/links
 app.get("/api/links", validateQuery(linksListQuerySchema), async (req, res) => {
   // CHANGE THESE LINES:
-  const { parasha_id, target_kind } = res.locals.validatedQuery;
-  const rows = await getLinksByParasha(parasha_id, target_kind || null);
-  res.json(rows);
+  const { parasha_id, target_kind, target_id } = res.locals.validatedQuery;
+  const [parshiot, combined] = await Promise.all([loadParshiot(), loadCombinedParshiot()]);
+  const sources = [
+    { parasha_ids: relatedParashaIds(parasha_id, combined), target_kind: target_kind || null, haftarah_id: target_id || null },
+  ];
+  // songs linked through the Tanach picker to a chapter of the Torah reading or the haftarah
+  const parasha = [...parshiot, ...combined].find((p) => p.id === parasha_id);
+  if (parasha && (!target_kind || target_kind === "parasha")) {
+    sources.push(...tanachSources([torahRange(parasha)].filter(Boolean)));
+  }
+  if (parasha && (!target_kind || target_kind === "haftarah")) {
+    // a chosen haftarah, or the parasha's regular ones
+    const haftarot = target_id
+      ? haftarotOf(parasha).filter((h) => h.id === target_id)
+      : Object.values(parasha.haftarot || {}).flat();
+    sources.push(...tanachSources(haftarot.flatMap(haftarahRanges)));
+  }
+  // label songs that came from the other half / the combined reading
+  const label = (row) => {
+    if (row.target_kind === "tanach") return withTanachLabel(row);
+    if (row.parasha_id === parasha_id) return row;
+    const source = [...parshiot, ...combined].find((p) => p.id === row.parasha_id);
+    return { ...row, from_parasha: { id: row.parasha_id, name_en: source?.name_en || row.parasha_id } };
+  };
+  await sendListing(req, res, sources, res.locals.validatedQuery, { label });
 });
 
-// 5) DELETE /api/links/:id
-app.delete("/api/links/:id", sensitiveLimiter, requireAdmin, async (req, res) => {
-  const { id } = req.params;
-  const deleted = await deleteLink(id);
-  res.json({ ok: true, deleted });
+// POST /api/links/:id/vote -> upvote an approved link, once per session and device
+app.post("/api/links/:id/vote", voteLimiter, requireSameOrigin, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "link-not-found" });
+  try {
+    const link = await dbModule.getApprovedLink(req.params.id);
+    if (!link) return res.status(404).json({ error: "link-not-found" });
+    const { voterId, deviceHash } = voterOf(req);
+    const created = await dbModule.insertLinkVote(link.id, voterId, deviceHash);
+    const [count] = await dbModule.getLinkVotes([link.id], voterId, deviceHash);
+    res.status(created ? 201 : 200).json({ ok: true, created, link_id: link.id, votes: Number(count?.votes || 0), voted: true });
+  } catch (err) {
+    console.error("vote failed:", err);
+    res.status(500).json({ error: "vote-failed" });
+  }
 });
 
-// 6) DELETE /api/songs/:id  (rarely used)
-app.delete("/api/songs/:id", sensitiveLimiter, requireAdmin, async (req, res) => {
+// DELETE /api/links/:id/vote -> take the upvote back
+app.delete("/api/links/:id/vote", voteLimiter, requireSameOrigin, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "link-not-found" });
+  try {
+    const link = await dbModule.getApprovedLink(req.params.id);
+    if (!link) return res.status(404).json({ error: "link-not-found" });
+    const { voterId, deviceHash } = voterOf(req);
+    await dbModule.deleteLinkVote(link.id, voterId, deviceHash);
+    const [count] = await dbModule.getLinkVotes([link.id], voterId, deviceHash);
+    res.json({ ok: true, link_id: link.id, votes: Number(count?.votes || 0), voted: false });
+  } catch (err) {
+    console.error("unvote failed:", err);
+    res.status(500).json({ error: "vote-failed" });
+  }
+});
+
+// POST /api/links/:id/report -> flag an approved link for the moderators
+app.post("/api/links/:id/report", reportLimiter, requireSameOrigin, validateBody(linkReportSchema), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "link-not-found" });
+  try {
+    const link = await dbModule.getApprovedLink(req.params.id);
+    if (!link) return res.status(404).json({ error: "link-not-found" });
+    const { voterId, deviceHash } = voterOf(req);
+    const created = await dbModule.insertLinkReport({
+      link_id: link.id,
+      reason: req.body.reason,
+      note: req.body.note || null,
+      voter_id: voterId,
+      device_hash: deviceHash,
+    });
+    res.status(created ? 201 : 200).json({ ok: true, created, link_id: link.id });
+  } catch (err) {
+    console.error("report failed:", err);
+    res.status(500).json({ error: "report-failed" });
+  }
+});
+
+// ---- submission receipts ----
+// POST /api/links hands every submitter a private receipt token; with it they
+// can follow the submission and withdraw it while it is still pending.
+
+const RECEIPT_TOKEN = /^[a-f0-9]{48}$/;
+
+function receiptView(link) {
+  return {
+    link_id: link.id,
+    status: link.status,
+    song_title: link.song_title,
+    song_url: link.song_url,
+    parasha_id: link.parasha_id,
+    target_kind: link.target_kind,
+    target_id: link.target_id,
+    verse_ref: link.verse_ref,
+    added_at: link.added_at,
+    approved_at: link.approved_at,
+    reason: link.status === "rejected" ? link.moderation_reason || null : null,
+    can_withdraw: link.status === "pending",
+  };
+}
+
+// GET /api/receipts/:token -> where a submission stands
+app.get("/api/receipts/:token", async (req, res) => {
+  const { token } = req.params;
+  try {
+    const link = RECEIPT_TOKEN.test(token) ? await dbModule.getLinkByReceipt(hashToken(token)) : null;
+    if (!link) return res.status(404).json({ error: "receipt-not-found" });
+    res.json(receiptView(link));
+  } catch (err) {
+    console.error("receipt failed:", err);
+    res.status(500).json({ error: "receipt-failed" });
+  }
+});
+
+// POST /api/receipts/:token/withdraw -> take back a submission nobody moderated yet
+app.post("/api/receipts/:token/withdraw", writeLimiter, async (req, res) => {
+  const { token } = req.params;
+  try {
+    const receiptHash = RECEIPT_TOKEN.test(token) ? hashToken(token) : null;
+    const link = receiptHash ? await dbModule.getLinkByReceipt(receiptHash) : null;
+    if (!link) return res.status(404).json({ error: "receipt-not-found" });
+    if (!(await dbModule.withdrawLinkByReceipt(receiptHash))) {
+      return res.status(409).json({ error: "not-pending", status: link.status });
+    }
+    res.json({ ok: true, ...receiptView({ ...link, status: "withdrawn" }) });
+  } catch (err) {
+    console.error("withdraw failed:", err);
+    res.status(500).json({ error: "withdraw-failed" });
+  }
+});
+
+// 5) DELETE /api/links/:id  (optional body { reason } for the moderation log)
+app.delete("/api/links/:id", sensitiveLimiter, requireAdmin("owner"), validateBody(moderationReasonSchema), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await dbModule.getLinkSnapshot(id);
+    const deleted = await deleteLink(id);
+    if (deleted) {
+      await logModeration(req, { action: "delete-link", link_id: before.id, reason: req.body.reason, before });
+    }
+    res.json({ ok: true, deleted });
+  } catch (err) {
+    console.error("delete-link failed:", err);
+    res.status(500).json({ error: "delete-link-failed" });
+  }
+});
+
+// 6) DELETE /api/songs/:id  (rarely used)
+app.delete("/api/songs/:id", sensitiveLimiter, requireAdmin("owner"), validateBody(moderationReasonSchema), async (req, res) => {
   const { id } = req.params;
-  const deleted = await deleteSong(id);
-  res.json({ ok: true, deleted_song: deleted });
+  try {
+    const before = await dbModule.getSongWithLinks(id);
+    const deleted = await deleteSong(id);
+    if (deleted) {
+      await logModeration(req, { action: "delete-song", song_id: before.id, reason: req.body.reason, before });
+    }
+    res.json({ ok: true, deleted_song: deleted });
+  } catch (err) {
+    console.error("delete-song failed:", err);
+    res.status(500).json({ error: "delete-song-failed" });
+  }
+});
+
+// POST /api/songs/:id/links -> add another recording / platform URL to a song (published at once, so editors only)
+app.post("/api/songs/:id/links", sensitiveLimiter, requireAdmin("editor"), validateBody(songLinkCreateSchema), async (req, res) => {
+  const id = songIdParamSchema.safeParse(req.params.id);
+  if (!id.success) return res.status(404).json({ error: "song-not-found" });
+  const { performer } = req.body;
+  const url = canonicalSongUrl(req.body.url);
+  try {
+    const existing = await dbModule.getSongById(id.data);
+    if (!existing) return res.status(404).json({ error: "song-not-found" });
+    const platform = detectPlatform(url);
+    const { row, created } = await dbModule.insertSongLink(id.data, { url, platform, performer });
+    if (created) await logModeration(req, { action: "add-song-link", song_id: id.data, after: row });
+    res.status(created ? 201 : 200).json({
+      ok: true,
+      created,
+      song_link: { ...row, platform_name: platformName(row.platform) },
+    });
+  } catch (err) {
+    console.error("add-song-link failed:", err);
+    res.status(500).json({ error: "add-song-link-failed" });
+  }
+});
+
+// DELETE /api/admin/song-links/:id
+app.delete("/api/admin/song-links/:id", sensitiveLimiter, requireAdmin("editor"), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "song-link-not-found" });
+  try {
+    const row = await dbModule.deleteSongLink(req.params.id);
+    if (!row) return res.status(404).json({ error: "song-link-not-found" });
+    // the song's own URL falls back to its next link
+    const song = await dbModule.getSongById(row.song_id);
+    if (song && song.external_url === row.url) {
+      const [next] = await dbModule.getSongLinks([row.song_id]);
+      await dbModule.updateSongExternalUrl(row.song_id, next?.url || null);
+    }
+    await logModeration(req, { action: "delete-song-link", song_id: row.song_id, before: row });
+    res.json({ ok: true, deleted: row });
+  } catch (err) {
+    console.error("delete-song-link failed:", err);
+    res.status(500).json({ error: "delete-song-link-failed" });
+  }
 });
 
 // total songs endpoint (uses db.js helper that works for both backends)
@@ -497,21 +1530,200 @@ app.get("/api/total-songs", async (req, res) => {
   }
 });
 
-// admin token verification endpoint (used by the client to validate token)
-app.post("/api/admin/login", adminLimiter, (req, res) => {
-  const { token } = req.body || {};
-  const expected = process.env.ADMIN_TOKEN;
-  
-  if (!expected) {
-    return res.status(400).json({ error: "no-admin-configured" });
+// ---- contributor accounts (passwordless email login) ----
+
+const LOGIN_TOKEN_TTL_MS = 15 * 60 * 1000;
+const MAX_ACTIVE_LOGIN_TOKENS = 3; // unused links per email, against mail flooding
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function accountPage(title, body) {
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>body{font-family:system-ui,\"Segoe UI\",sans-serif;line-height:1.6;padding:2rem;background:#fdf6ec;color:#333;}a{color:#0056b3;text-decoration:none;}a:hover{text-decoration:underline;}button{font-size:1rem;padding:0.4rem 1rem;}</style></head><body><h1>${escapeHtml(title)}</h1>${body}</body></html>`;
+}
+
+// POST /api/auth/login-link -> email a one-time login link; the answer is the
+// same whether or not the address has an account
+app.post("/api/auth/login-link", sensitiveLimiter, validateBody(loginRequestSchema), async (req, res) => {
+  const { email, display_name } = req.body;
+  try {
+    if ((await dbModule.countActiveLoginTokens(email)) < MAX_ACTIVE_LOGIN_TOKENS) {
+      const token = crypto.randomBytes(32).toString("hex");
+      await dbModule.createLoginToken({
+        token_hash: hashToken(token),
+        email,
+        display_name: display_name || null,
+        expires_at: new Date(Date.now() + LOGIN_TOKEN_TTL_MS).toISOString(),
+      });
+      const loginUrl = `${getBaseUrl(req)}/api/auth/login/${token}`;
+      sendEmail({
+        to: email,
+        subject: "Your Parsha Songs login link",
+        text: `Open this link within 15 minutes to sign in to Parsha Songs:\n${loginUrl}\n\nIf you did not ask for it, ignore this email.`,
+        html: `<p>Open this link within 15 minutes to sign in to Parsha Songs:</p><p><a href="${escapeHtml(loginUrl)}" style="font-size:16px;font-weight:bold;">Sign in</a></p><p>If you did not ask for it, ignore this email.</p>`,
+      }).catch(() => {});
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("login-link failed:", err);
+    res.status(500).json({ error: "login-link-failed" });
+  }
+});
+
+// GET /api/auth/login/:token -> confirmation page; only its POST uses the token,
+// so mail scanners that open links do not sign anyone in
+app.get("/api/auth/login/:token", (req, res) => {
+  const { token } = req.params;
+  if (!/^[a-f0-9]{64}$/.test(token)) {
+    return res.status(404).type("html").send(accountPage("Invalid link", `<p>This login link is not valid.</p><p><a href="/">Back to Parsha Songs</a></p>`));
+  }
+  res
+    .type("html")
+    .send(
+      accountPage(
+        "Sign in to Parsha Songs",
+        `<form method="post" action="/api/auth/login"><input type="hidden" name="token" value="${token}" /><button type="submit">Sign in</button></form>`
+      )
+    );
+});
+
+app.post("/api/auth/login", sensitiveLimiter, express.urlencoded({ extended: false }), async (req, res) => {
+  const token = String(req.body?.token || "");
+  try {
+    const login = /^[a-f0-9]{64}$/.test(token) ? await dbModule.consumeLoginToken(hashToken(token)) : null;
+    if (!login) {
+      return res
+        .status(400)
+        .type("html")
+        .send(accountPage("Link expired", `<p>This login link has expired or was already used. Ask for a new one on the site.</p><p><a href="/">Back to Parsha Songs</a></p>`));
+    }
+    const contributor = await dbModule.upsertContributor({
+      id: crypto.randomUUID(),
+      email: login.email,
+      display_name: login.display_name,
+    });
+    // new session id on login; the admin sign-in and voter id carry over
+    const { isAdmin, adminRole, moderatorId, moderatorName, moderatorDisplayName, voterId } = req.session;
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error("login session failed:", err);
+        return res.status(500).type("html").send(`<p>Sign-in failed.</p>`);
+      }
+      Object.assign(req.session, {
+        isAdmin,
+        adminRole,
+        moderatorId,
+        moderatorName,
+        moderatorDisplayName,
+        voterId,
+        contributorId: contributor.id,
+      });
+      res.redirect(303, "/?login=ok#account-section");
+    });
+  } catch (err) {
+    console.error("login failed:", err);
+    res.status(500).type("html").send(`<p>Sign-in failed.</p>`);
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  if (req.session) delete req.session.contributorId;
+  res.json({ ok: true });
+});
+
+// GET /api/auth/me -> the signed-in contributor, or { contributor: null }
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    const contributor = req.session?.contributorId
+      ? await dbModule.getContributorById(req.session.contributorId)
+      : null;
+    res.json({
+      contributor: contributor ? { email: contributor.email, display_name: contributor.display_name } : null,
+    });
+  } catch (err) {
+    console.error("me failed:", err);
+    res.status(500).json({ error: "me-failed" });
+  }
+});
+
+app.patch("/api/auth/me", writeLimiter, requireContributor, validateBody(contributorUpdateSchema), async (req, res) => {
+  try {
+    await dbModule.updateContributorName(req.session.contributorId, req.body.display_name);
+    const contributor = await dbModule.getContributorById(req.session.contributorId);
+    res.json({ ok: true, contributor: { email: contributor.email, display_name: contributor.display_name } });
+  } catch (err) {
+    console.error("update-me failed:", err);
+    res.status(500).json({ error: "update-me-failed" });
+  }
+});
+
+// GET /api/my/submissions -> every link the contributor submitted, with its status
+app.get("/api/my/submissions", requireContributor, async (req, res) => {
+  try {
+    res.json(await dbModule.getLinksByContributor(req.session.contributorId));
+  } catch (err) {
+    console.error("my-submissions failed:", err);
+    res.status(500).json({ error: "my-submissions-failed" });
   }
-  
-  if (token && token === expected) {
-    req.session.isAdmin = true;
-    return res.json({ ok: true });
+});
+
+// ---- admin sign-in and moderator accounts ----
+
+// what the client is told about the signed-in moderator
+function moderatorView(session) {
+  return {
+    username: session.moderatorName || "admin",
+    display_name: session.moderatorDisplayName || null,
+    role: session.adminRole || "owner",
+  };
+}
+
+// POST /api/admin/login -> { username, password } of a moderator account, or
+// { token } (ADMIN_TOKEN, signs in as owner; meant for setting up the accounts)
+app.post("/api/admin/login", adminLimiter, validateBody(adminLoginSchema), async (req, res) => {
+  const { token, username, password } = req.body;
+  try {
+    let admin = null;
+    if (username) {
+      // unknown usernames are hashed too, so the answer takes as long either way
+      const moderator = await dbModule.getModeratorByUsername(username);
+      const ok = await verifyPassword(password, moderator?.password_hash);
+      if (!ok || moderator.disabled) {
+        return res.status(401).json({ error: "invalid-credentials" });
+      }
+      await dbModule.touchModeratorLogin(moderator.id);
+      admin = {
+        adminRole: moderator.role,
+        moderatorId: moderator.id,
+        moderatorName: moderator.username,
+        moderatorDisplayName: moderator.display_name,
+      };
+    } else {
+      const expected = process.env.ADMIN_TOKEN;
+      if (!expected) {
+        return res.status(400).json({ error: "no-admin-configured" });
+      }
+      if (!safeEqual(token, expected)) {
+        return res.status(401).json({ error: "invalid-token" });
+      }
+      admin = { adminRole: "owner" };
+    }
+
+    // new session id on sign-in; the voter id and contributor account carry over
+    const { voterId, contributorId } = req.session;
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error("admin login session failed:", err);
+        return res.status(500).json({ error: "login-failed" });
+      }
+      Object.assign(req.session, { voterId, contributorId, isAdmin: true, ...admin });
+      res.json({ ok: true, moderator: moderatorView(req.session) });
+    });
+  } catch (err) {
+    console.error("admin login failed:", err);
+    res.status(500).json({ error: "login-failed" });
   }
-  
-  return res.status(401).json({ error: "invalid-token" });
 });
 
 app.post("/api/admin/logout", adminLimiter, (req, res) => {
@@ -522,91 +1734,790 @@ app.post("/api/admin/logout", adminLimiter, (req, res) => {
   }
 });
 
-app.get("/api/admin/verify", adminLimiter, (req, res) => {
-  if (req.session?.isAdmin) return res.json({ ok: true });
-  return res.status(401).json({ ok: false, error: "not-admin" });
+// GET /api/admin/verify -> { ok, moderator: { username, display_name, role } }
+app.get("/api/admin/verify", adminLimiter, async (req, res) => {
+  try {
+    if (await refreshAdminSession(req.session)) {
+      return res.json({ ok: true, moderator: moderatorView(req.session) });
+    }
+    return res.status(401).json({ ok: false, error: "not-admin" });
+  } catch (err) {
+    console.error("admin verify failed:", err);
+    res.status(500).json({ ok: false, error: "verify-failed" });
+  }
+});
+
+// POST /api/admin/password -> change the signed-in moderator's own password
+app.post("/api/admin/password", sensitiveLimiter, requireAdmin("moderator"), validateBody(passwordChangeSchema), async (req, res) => {
+  if (!req.session.moderatorId) {
+    return res.status(400).json({ error: "no-moderator-account" });
+  }
+  try {
+    const moderator = await dbModule.getModeratorByUsername(req.session.moderatorName);
+    if (!(await verifyPassword(req.body.current_password, moderator?.password_hash))) {
+      return res.status(401).json({ error: "invalid-credentials" });
+    }
+    await dbModule.updateModerator(moderator.id, { password_hash: await hashPassword(req.body.new_password) });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("change-password failed:", err);
+    res.status(500).json({ error: "change-password-failed" });
+  }
 });
 
-app.get("/api/admin/links/pending", adminLimiter, requireAdmin, async (req, res) => {
+// GET /api/admin/notification-settings -> { email, notify_mode } of the signed-in moderator
+app.get("/api/admin/notification-settings", adminLimiter, requireAdmin("moderator"), async (req, res) => {
+  if (!req.session.moderatorId) {
+    return res.status(400).json({ error: "no-moderator-account" });
+  }
   try {
-    const pending = await getPendingLinks();
-    res.json(pending);
+    const { email, notify_mode } = await dbModule.getModeratorById(req.session.moderatorId);
+    res.json({ email, notify_mode });
+  } catch (err) {
+    console.error("notification-settings failed:", err);
+    res.status(500).json({ error: "notification-settings-error" });
+  }
+});
+
+// PATCH /api/admin/notification-settings -> body: { [email], [notify_mode] }
+app.patch("/api/admin/notification-settings", sensitiveLimiter, requireAdmin("moderator"), validateBody(notificationSettingsSchema), async (req, res) => {
+  if (!req.session.moderatorId) {
+    return res.status(400).json({ error: "no-moderator-account" });
+  }
+  try {
+    const { email, notify_mode } = await dbModule.updateModerator(req.session.moderatorId, {
+      email: req.body.email,
+      notify_mode: req.body.notify_mode,
+    });
+    res.json({ ok: true, email, notify_mode });
+  } catch (err) {
+    console.error("update-notification-settings failed:", err);
+    res.status(500).json({ error: "update-notification-settings-failed" });
+  }
+});
+
+app.get("/api/admin/moderators", adminLimiter, requireAdmin("owner"), async (_req, res) => {
+  try {
+    res.json(await dbModule.listModerators());
+  } catch (err) {
+    console.error("list-moderators failed:", err);
+    res.status(500).json({ error: "moderators-error" });
+  }
+});
+
+app.post("/api/admin/moderators", sensitiveLimiter, requireAdmin("owner"), validateBody(moderatorCreateSchema), async (req, res) => {
+  const { username, display_name, password, role, email, notify_mode } = req.body;
+  try {
+    const moderator = await dbModule.insertModerator({
+      username,
+      display_name: display_name || null,
+      email: email || null,
+      notify_mode,
+      password_hash: await hashPassword(password),
+      role,
+    });
+    if (!moderator) return res.status(409).json({ error: "username-taken" });
+    res.status(201).json({ ok: true, moderator });
+  } catch (err) {
+    console.error("create-moderator failed:", err);
+    res.status(500).json({ error: "create-moderator-failed" });
+  }
+});
+
+// an active owner account stays, so the accounts can always be managed
+async function wouldRemoveLastOwner(moderator, change) {
+  if (moderator.role !== "owner" || moderator.disabled) return false;
+  const stillOwner = change !== "delete" && (change.role ?? "owner") === "owner" && !change.disabled;
+  return !stillOwner && (await dbModule.countActiveOwners(moderator.id)) === 0;
+}
+
+app.patch("/api/admin/moderators/:id", sensitiveLimiter, requireAdmin("owner"), validateBody(moderatorUpdateSchema), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "moderator-not-found" });
+  const { display_name, role, password, disabled, email, notify_mode } = req.body;
+  try {
+    const existing = await dbModule.getModeratorById(req.params.id);
+    if (!existing) return res.status(404).json({ error: "moderator-not-found" });
+    if (await wouldRemoveLastOwner(existing, { role, disabled })) {
+      return res.status(409).json({ error: "last-owner" });
+    }
+    const moderator = await dbModule.updateModerator(existing.id, {
+      display_name,
+      email,
+      notify_mode,
+      role,
+      disabled,
+      password_hash: password ? await hashPassword(password) : undefined,
+    });
+    res.json({ ok: true, moderator });
+  } catch (err) {
+    console.error("update-moderator failed:", err);
+    res.status(500).json({ error: "update-moderator-failed" });
+  }
+});
+
+app.delete("/api/admin/moderators/:id", sensitiveLimiter, requireAdmin("owner"), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "moderator-not-found" });
+  try {
+    const existing = await dbModule.getModeratorById(req.params.id);
+    if (!existing) return res.status(404).json({ error: "moderator-not-found" });
+    if (await wouldRemoveLastOwner(existing, "delete")) {
+      return res.status(409).json({ error: "last-owner" });
+    }
+    res.json({ ok: true, deleted: await dbModule.deleteModerator(existing.id) });
+  } catch (err) {
+    console.error("delete-moderator failed:", err);
+    res.status(500).json({ error: "delete-moderator-failed" });
+  }
+});
+
+app.get("/api/admin/links/pending", adminLimiter, requireAdmin("moderator"), async (req, res) => {
+  try {
+    // the approval tokens sign the emailed approve / decline links; they stay on the server
+    const pending = (await getPendingLinks()).map(({ approval_token, ...link }) => link);
+    res.json(await withContributors(pending));
   } catch (err) {
     console.error("pending-links failed:", err);
     res.status(500).json({ error: "pending-links-error" });
   }
 });
 
-app.post("/api/admin/links/:id/approve", sensitiveLimiter, requireAdmin, async (req, res) => {
+app.post("/api/admin/links/:id/approve", sensitiveLimiter, requireAdmin("moderator"), validateBody(moderationReasonSchema), async (req, res) => {
   const { id } = req.params;
   try {
+    const before = await dbModule.getLinkSnapshot(id);
     const row = await approveLinkById(id);
     if (!row) {
-      return res.status(404).json({ error: "link-not-found" });
+      // only pending submissions are approved; a hidden link is restored instead
+      return before && before.status !== "withdrawn"
+        ? res.status(409).json({ error: "link-not-pending", status: before.status })
+        : res.status(404).json({ error: "link-not-found" });
     }
-    res.json({ ok: true, link: row });
+    // the row as the moderation log keeps it, without the link's secrets
+    const after = await dbModule.getLinkSnapshot(row.id);
+    await logModeration(req, { action: "approve", link_id: row.id, reason: req.body.reason, before, after });
+    res.json({ ok: true, link: after });
   } catch (err) {
     console.error("approve-link failed:", err);
     res.status(500).json({ error: "approve-failed" });
   }
 });
 
-app.post("/api/admin/links/:id/reject", sensitiveLimiter, requireAdmin, async (req, res) => {
+app.post("/api/admin/links/:id/reject", sensitiveLimiter, requireAdmin("moderator"), validateBody(moderationReasonSchema), async (req, res) => {
   const { id } = req.params;
   try {
-    const row = await rejectLinkById(id);
+    const before = await dbModule.getLinkSnapshot(id);
+    const row = await rejectLinkById(id, req.body.reason || null);
     if (!row) {
       return res.status(404).json({ error: "link-not-found" });
     }
-    res.json({ ok: true, link: row });
+    const after = await dbModule.getLinkSnapshot(row.id);
+    await logModeration(req, { action: "reject", link_id: row.id, reason: req.body.reason, before, after });
+    res.json({ ok: true, link: after });
   } catch (err) {
     console.error("reject-link failed:", err);
     res.status(500).json({ error: "reject-failed" });
   }
 });
 
-app.get("/api/links/approve/:token", async (req, res) => {
-  const { token } = req.params;
-  if (!token || token.length < 10) {
-    return res.status(400).type("html").send(`<p>Invalid approval token.</p>`);
+// POST /api/admin/links/bulk -> approve, reject or delete several links in one
+// transaction; nothing changes when one of them is missing, or when rejecting one
+// the submitter withdrew. Approve leaves links that are not pending as they are and
+// lists them in `skipped`
+app.post("/api/admin/links/bulk", sensitiveLimiter, requireAdmin("moderator"), validateBody(linkBulkSchema), async (req, res) => {
+  const { action, ids, reason } = req.body;
+  if (action === "delete" && !hasRole(req.session, "owner")) {
+    return res.status(403).json({ error: "admin-forbidden", required_role: "owner" });
   }
   try {
-    const result = await approveLinkByToken(token);
-    if (!result) {
-      return res
-        .status(404)
-        .type("html")
-        .send(`<p>This approval link is not valid or was already used.</p>`);
+    const before = new Map();
+    for (const id of ids) before.set(id, await dbModule.getLinkSnapshot(id));
+    const result = await dbModule.moderateLinks(ids, action, { reason });
+    if (result.missing.length) {
+      return res.status(404).json({ error: "links-not-found", ids: result.missing });
+    }
+    if (result.withdrawn?.length) {
+      return res.status(409).json({ error: "not-pending", ids: result.withdrawn });
     }
-    const configuredBase = process.env.PUBLIC_BASE_URL || "/";
-    const baseUrl = configuredBase === "/" ? "/" : configuredBase.replace(/\/$/, "");
-    const safeTitle = escapeHtml(result.song_title || "the song");
-    const safeHref = escapeHtml(baseUrl);
-    res
-      .status(200)
-      .type("html")
-      .send(
-        `<!doctype html><html><head><meta charset="utf-8"><title>Song approved</title><style>body{font-family:system-ui,\"Segoe UI\",sans-serif;line-height:1.6;padding:2rem;background:#fdf6ec;color:#333;}a{color:#0056b3;text-decoration:none;}a:hover{text-decoration:underline;}</style></head><body><h1>Song approved</h1><p>Thank you! We have approved <strong>${safeTitle}</strong>.</p><p><a href="${safeHref}">Back to Parsha Songs</a></p></body></html>`
-      );
+    for (const id of ids.filter((id) => !result.skipped.includes(id))) {
+      await logModeration(req, {
+        action: action === "delete" ? "delete-link" : action,
+        link_id: id,
+        reason,
+        before: before.get(id),
+        after: action === "delete" ? null : await dbModule.getLinkSnapshot(id),
+      });
+    }
+    res.json({ ok: true, action, changed: result.changed, skipped: result.skipped });
   } catch (err) {
-    console.error("approve-token failed:", err);
-    res.status(500).type("html").send(`<p>Failed to approve this song.</p>`);
+    console.error("bulk-moderation failed:", err);
+    res.status(500).json({ error: "bulk-failed" });
   }
 });
 
+// PATCH /api/admin/links/:id -> correct a pending submission (song title and URL,
+// verse, target) before approving it
+app.patch("/api/admin/links/:id", sensitiveLimiter, requireAdmin("moderator"), validateBody(pendingLinkUpdateSchema), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "link-not-found" });
+  const { title, external_url, verse_ref, reason } = req.body;
+  try {
+    const before = await dbModule.getLinkSnapshot(req.params.id);
+    if (!before) return res.status(404).json({ error: "link-not-found" });
+    if (before.status !== "pending") {
+      return res.status(409).json({ error: "not-pending", status: before.status });
+    }
+
+    const target = await resolveLinkTarget(req.body.target || linkTargetFields(before));
+    if (target.error) return res.status(400).json({ error: target.error });
+
+    // a new verse, or the old one on a new target, is parsed again
+    const verseText = verse_ref !== undefined ? verse_ref : before.verse_ref;
+    let verseRange = before.ref_book
+      ? { book: before.ref_book, start: before.ref_start, end: before.ref_end }
+      : null;
+    if (verse_ref !== undefined || req.body.target) {
+      verseRange = null;
+      if (verseText) {
+        const { ref, error } = parseLinkVerseRef(verseText, target);
+        if (error) return res.status(400).json({ error: "invalid-verse-ref", reason: error });
+        verseRange = ref;
+      }
+    }
+
+    // the song is corrected in the same transaction that checks the link is still pending
+    let songCorrection = null;
+    if (title !== undefined || external_url !== undefined) {
+      const song = await dbModule.getSongWithLinks(before.song_id);
+      const newTitle = title ?? song.title;
+      const newUrl = external_url === undefined ? song.external_url : external_url && canonicalSongUrl(external_url);
+      if (newTitle !== song.title || newUrl !== song.external_url) {
+        // a song other links share is only split (an editor's catalog change), never rewritten
+        if (song.links.length > 1 && !hasRole(req.session, "editor")) {
+          return res.status(403).json({ error: "admin-forbidden", required_role: "editor" });
+        }
+        songCorrection = {
+          title: newTitle,
+          external_url: newUrl || null,
+          platform: newUrl ? detectPlatform(newUrl) : null,
+          newId: crypto.randomUUID(),
+        };
+      }
+    }
+
+    const updated = await dbModule.updatePendingLink(before.id, {
+      parasha_id: target.parasha_id,
+      target_kind: target.target_kind,
+      target_id: target.target_id,
+      verse_ref: verseText,
+      verse_range: verseRange,
+      approval_token: crypto.randomBytes(24).toString("hex"),
+      song: songCorrection,
+    });
+    if (!updated) return res.status(409).json({ error: "not-pending" });
+    const songId = updated.song_id;
+    await dbModule.refreshSongSearch([...new Set([before.song_id, songId])]);
+
+    const after = await dbModule.getLinkSnapshot(before.id);
+    await logModeration(req, { action: "edit", link_id: before.id, song_id: songId, reason, before, after });
+    res.json({ ok: true, link: after });
+  } catch (err) {
+    console.error("update-pending-link failed:", err);
+    res.status(500).json({ error: "update-link-failed" });
+  }
+});
+
+// ---- reported links (admin) ----
+
+// GET /api/admin/links/reported -> open reports grouped by link, longest-waiting first
+app.get("/api/admin/links/reported", adminLimiter, requireAdmin("moderator"), async (_req, res) => {
+  try {
+    const reports = await dbModule.getOpenLinkReports();
+    const byLink = new Map();
+    for (const report of reports) {
+      let entry = byLink.get(report.link_id);
+      if (!entry) {
+        entry = {
+          link_id: report.link_id,
+          link_status: report.link_status,
+          song_title: report.song_title,
+          song_url: report.song_url,
+          parasha_id: report.parasha_id,
+          target_kind: report.target_kind,
+          target_id: report.target_id,
+          verse_ref: report.verse_ref,
+          report_count: 0,
+          reasons: {},
+          notes: [],
+          first_reported_at: report.created_at,
+          last_reported_at: report.created_at,
+        };
+        byLink.set(report.link_id, entry);
+      }
+      entry.report_count += 1;
+      entry.reasons[report.reason] = (entry.reasons[report.reason] || 0) + 1;
+      if (report.note) entry.notes.push(report.note);
+      entry.last_reported_at = report.created_at;
+    }
+    res.json([...byLink.values()]);
+  } catch (err) {
+    console.error("reported-links failed:", err);
+    res.status(500).json({ error: "reported-links-error" });
+  }
+});
+
+// POST /api/admin/links/:id/reports/dismiss -> the link is fine, close its reports
+app.post("/api/admin/links/:id/reports/dismiss", sensitiveLimiter, requireAdmin("moderator"), validateBody(moderationReasonSchema), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "no-open-reports" });
+  try {
+    const dismissed = await dbModule.closeLinkReports(req.params.id, "dismissed");
+    if (!dismissed) return res.status(404).json({ error: "no-open-reports" });
+    const link = await dbModule.getLinkSnapshot(req.params.id);
+    await logModeration(req, {
+      action: "dismiss-reports",
+      link_id: Number(req.params.id),
+      song_id: link?.song_id,
+      reason: req.body.reason,
+      after: { dismissed_reports: dismissed },
+    });
+    res.json({ ok: true, dismissed });
+  } catch (err) {
+    console.error("dismiss-reports failed:", err);
+    res.status(500).json({ error: "dismiss-failed" });
+  }
+});
+
+// POST /api/admin/links/:id/hide -> take an approved link off the listings and close its reports
+app.post("/api/admin/links/:id/hide", sensitiveLimiter, requireAdmin("moderator"), validateBody(moderationReasonSchema), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "link-not-found" });
+  try {
+    const before = await dbModule.getLinkSnapshot(req.params.id);
+    if (!(await dbModule.hideLinkById(req.params.id))) {
+      return res.status(404).json({ error: "link-not-found" });
+    }
+    const resolved = await dbModule.closeLinkReports(req.params.id, "resolved");
+    await logModeration(req, {
+      action: "hide",
+      link_id: before.id,
+      reason: req.body.reason,
+      before,
+      after: await dbModule.getLinkSnapshot(before.id),
+    });
+    res.json({ ok: true, link_id: Number(req.params.id), resolved });
+  } catch (err) {
+    console.error("hide-link failed:", err);
+    res.status(500).json({ error: "hide-failed" });
+  }
+});
+
+// POST /api/admin/links/:id/restore -> publish a hidden link again
+app.post("/api/admin/links/:id/restore", sensitiveLimiter, requireAdmin("moderator"), validateBody(moderationReasonSchema), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "link-not-found" });
+  try {
+    const before = await dbModule.getLinkSnapshot(req.params.id);
+    if (!(await dbModule.restoreLinkById(req.params.id))) {
+      return res.status(404).json({ error: "link-not-found" });
+    }
+    await logModeration(req, {
+      action: "restore",
+      link_id: before.id,
+      reason: req.body.reason,
+      before,
+      after: await dbModule.getLinkSnapshot(before.id),
+    });
+    res.json({ ok: true, link_id: Number(req.params.id) });
+  } catch (err) {
+    console.error("restore-link failed:", err);
+    res.status(500).json({ error: "restore-failed" });
+  }
+});
+
+// ---- moderation log (admin) ----
+
+// GET /api/admin/moderation-log -> entries newest first; pass next_before_id as before_id for older ones
+app.get("/api/admin/moderation-log", adminLimiter, requireAdmin("moderator"), validateQuery(moderationLogQuerySchema), async (_req, res) => {
+  const query = res.locals.validatedQuery;
+  try {
+    const entries = await dbModule.getModerationLog(query);
+    res.json({
+      entries,
+      next_before_id: entries.length === query.limit ? entries[entries.length - 1].id : null,
+    });
+  } catch (err) {
+    console.error("moderation-log failed:", err);
+    res.status(500).json({ error: "moderation-log-error" });
+  }
+});
+
+// ---- link health (admin) ----
+
+// GET /api/admin/link-health -> counts per health status, the last run and the failing URLs
+app.get("/api/admin/link-health", adminLimiter, requireAdmin("moderator"), async (_req, res) => {
+  try {
+    const [counts, failing] = await Promise.all([dbModule.getSongLinkHealthCounts(), dbModule.getFailingSongLinks()]);
+    const totals = { ok: 0, failing: 0, broken: 0, unchecked: 0 };
+    for (const { health_status, count } of counts) totals[health_status] = Number(count);
+    res.json({
+      counts: totals,
+      running: !!linkCheckRunning,
+      last_run: lastLinkCheck,
+      settings: {
+        interval_minutes: LINK_CHECK.intervalMinutes,
+        batch_size: LINK_CHECK.batchSize,
+        failures: LINK_CHECK.failures,
+        action: LINK_CHECK.action,
+      },
+      failing,
+    });
+  } catch (err) {
+    console.error("link-health failed:", err);
+    res.status(500).json({ error: "link-health-error" });
+  }
+});
+
+// POST /api/admin/link-health/run -> check the next batch of due URLs now
+app.post("/api/admin/link-health/run", sensitiveLimiter, requireAdmin("moderator"), async (_req, res) => {
+  try {
+    res.json({ ok: true, run: await runLinkHealthCheck() });
+  } catch (err) {
+    console.error("link-check failed:", err);
+    res.status(500).json({ error: "link-check-failed" });
+  }
+});
+
+// ---- notifications (admin) ----
+
+// a payload without its approve / decline links (also those of each digest entry)
+function withoutApprovalLinks(value) {
+  if (Array.isArray(value)) return value.map(withoutApprovalLinks);
+  if (!value || typeof value !== "object") return value;
+  const { approval_url, reject_url, ...rest } = value;
+  return Object.fromEntries(Object.entries(rest).map(([key, v]) => [key, withoutApprovalLinks(v)]));
+}
+
+// a notification as the admin endpoints show it; the approve / decline links stay out
+function notificationView(row) {
+  const { payload, ...rest } = row;
+  return { ...rest, data: withoutApprovalLinks(payload) };
+}
+
+// GET /api/admin/notifications -> counts per status, the last run and the newest notifications
+app.get("/api/admin/notifications", adminLimiter, requireAdmin("moderator"), validateQuery(notificationsQuerySchema), async (_req, res) => {
+  const query = res.locals.validatedQuery;
+  try {
+    const [counts, rows, immediate, digest] = await Promise.all([
+      dbModule.getNotificationCounts(),
+      dbModule.listNotifications(query),
+      notificationTargets("immediate"),
+      notificationTargets("digest"),
+    ]);
+    const totals = { pending: 0, delivered: 0, failed: 0 };
+    for (const { status, count } of counts) totals[status] = Number(count);
+    res.json({
+      counts: totals,
+      running: !!notifyRunning,
+      last_run: lastNotifyRun,
+      settings: {
+        channels: [...new Set(immediate.map((t) => t.channel))],
+        immediate_recipients: immediate.filter((t) => t.channel === "email").length,
+        digest_recipients: digest.filter((t) => t.channel === "email").length,
+        digest_hour: DIGEST.hour,
+        digest_time_zone: DIGEST.timeZone,
+        webhook_signed: !!(process.env.NOTIFY_WEBHOOK && process.env.NOTIFY_WEBHOOK_SECRET),
+        interval_seconds: NOTIFY.intervalSeconds,
+        max_attempts: NOTIFY.maxAttempts,
+      },
+      notifications: rows.map(notificationView),
+      next_before_id: rows.length === query.limit ? rows[rows.length - 1].id : null,
+    });
+  } catch (err) {
+    console.error("notifications failed:", err);
+    res.status(500).json({ error: "notifications-error" });
+  }
+});
+
+// GET /api/admin/notifications/:id -> one notification with every delivery attempt
+app.get("/api/admin/notifications/:id", adminLimiter, requireAdmin("moderator"), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "notification-not-found" });
+  try {
+    const row = await dbModule.getNotification(Number(req.params.id));
+    if (!row) return res.status(404).json({ error: "notification-not-found" });
+    res.json(notificationView(row));
+  } catch (err) {
+    console.error("notification failed:", err);
+    res.status(500).json({ error: "notification-error" });
+  }
+});
+
+// POST /api/admin/notifications/:id/retry -> queue a failed notification again
+app.post("/api/admin/notifications/:id/retry", sensitiveLimiter, requireAdmin("moderator"), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "notification-not-found" });
+  const id = Number(req.params.id);
+  try {
+    if (!(await dbModule.retryNotification(id))) {
+      const row = await dbModule.getNotification(id);
+      return res.status(row ? 409 : 404).json({ error: row ? "not-failed" : "notification-not-found" });
+    }
+    await runNotificationOutbox();
+    res.json({ ok: true, notification: notificationView(await dbModule.getNotification(id)) });
+  } catch (err) {
+    console.error("notification-retry failed:", err);
+    res.status(500).json({ error: "notification-retry-failed" });
+  }
+});
+
+// POST /api/admin/notifications/digest -> queue a digest of what is pending now, whatever the hour
+app.post("/api/admin/notifications/digest", sensitiveLimiter, requireAdmin("moderator"), async (req, res) => {
+  try {
+    const { fixed } = zonedDay(new Date(), DIGEST.timeZone);
+    const { pending, ids } = await queueDigest(getBaseUrl(req), isoDateFromFixed(fixed));
+    res.json({ ok: true, pending, notifications: ids });
+  } catch (err) {
+    console.error("digest failed:", err);
+    res.status(500).json({ error: "digest-failed" });
+  }
+});
+
+// POST /api/admin/notifications/run -> deliver what is due now
+app.post("/api/admin/notifications/run", sensitiveLimiter, requireAdmin("moderator"), async (_req, res) => {
+  try {
+    res.json({ ok: true, run: await runNotificationOutbox() });
+  } catch (err) {
+    console.error("notification-run failed:", err);
+    res.status(500).json({ error: "notification-run-failed" });
+  }
+});
+
+// ---- song catalog (admin) ----
+
+app.get("/api/admin/songs", adminLimiter, requireAdmin("editor"), validateQuery(adminSongsQuerySchema), async (_req, res) => {
+  const { q, limit, offset } = res.locals.validatedQuery;
+  try {
+    const songs = await dbModule.listSongs({ q, limit, offset });
+    res.json({ songs, limit, offset });
+  } catch (err) {
+    console.error("list-songs failed:", err);
+    res.status(500).json({ error: "list-songs-failed" });
+  }
+});
+
+app.get("/api/admin/songs/:id", adminLimiter, requireAdmin("editor"), async (req, res) => {
+  const id = songIdParamSchema.safeParse(req.params.id);
+  if (!id.success) return res.status(404).json({ error: "song-not-found" });
+  try {
+    const song = await dbModule.getSongWithLinks(id.data);
+    if (!song) return res.status(404).json({ error: "song-not-found" });
+    res.json(song);
+  } catch (err) {
+    console.error("get-song failed:", err);
+    res.status(500).json({ error: "get-song-failed" });
+  }
+});
+
+app.patch("/api/admin/songs/:id", sensitiveLimiter, requireAdmin("editor"), validateBody(songUpdateSchema), async (req, res) => {
+  const id = songIdParamSchema.safeParse(req.params.id);
+  if (!id.success) return res.status(404).json({ error: "song-not-found" });
+  const { title, external_url, artist, language, year, tags } = req.body;
+  try {
+    const existing = await dbModule.getSongWithLinks(id.data);
+    if (!existing) return res.status(404).json({ error: "song-not-found" });
+    if (title !== undefined) await dbModule.updateSongTitle(id.data, title);
+    await dbModule.updateSongMeta(id.data, { artist, language, year });
+    if (tags !== undefined) await dbModule.setSongTags(id.data, tags);
+    if (external_url !== undefined && external_url !== existing.external_url) {
+      await dbModule.updateSongExternalUrl(id.data, external_url);
+      // the edited URL replaces its song link (a typo fix should not leave the old one behind)
+      await dbModule.replaceSongLinkUrl(id.data, existing.external_url, {
+        url: external_url,
+        platform: external_url ? detectPlatform(external_url) : null,
+      });
+    }
+    await dbModule.refreshSongSearch([id.data]);
+    const song = await dbModule.getSongWithLinks(id.data);
+    await logModeration(req, { action: "edit-song", song_id: id.data, before: existing, after: song });
+    res.json({ ok: true, song });
+  } catch (err) {
+    console.error("update-song failed:", err);
+    res.status(500).json({ error: "update-song-failed" });
+  }
+});
+
+// fold duplicate songs into one; their links move over and the duplicates are deleted
+app.post("/api/admin/songs/merge", sensitiveLimiter, requireAdmin("editor"), validateBody(songMergeSchema), async (req, res) => {
+  const { target_id, source_ids } = req.body;
+  try {
+    const before = [];
+    for (const id of [target_id, ...source_ids]) before.push(await dbModule.getSongWithLinks(id));
+    const result = await dbModule.mergeSongs(target_id, source_ids);
+    if (!result) return res.status(404).json({ error: "song-not-found" });
+    await dbModule.refreshSongSearch([target_id]);
+    const song = await dbModule.getSongWithLinks(target_id);
+    await logModeration(req, { action: "merge-songs", song_id: target_id, before: before.filter(Boolean), after: song });
+    res.json({ ok: true, ...result, song });
+  } catch (err) {
+    console.error("merge-songs failed:", err);
+    res.status(500).json({ error: "merge-failed" });
+  }
+});
+
+// move some of a song's links onto a new song (undoes a wrong merge)
+app.post("/api/admin/songs/:id/split", sensitiveLimiter, requireAdmin("editor"), validateBody(songSplitSchema), async (req, res) => {
+  const id = songIdParamSchema.safeParse(req.params.id);
+  if (!id.success) return res.status(404).json({ error: "song-not-found" });
+  const { link_ids, title, external_url } = req.body;
+  try {
+    const before = await dbModule.getSongWithLinks(id.data);
+    const result = await dbModule.splitSong(id.data, link_ids, {
+      newId: crypto.randomUUID(),
+      title,
+      external_url,
+    });
+    if (!result) return res.status(404).json({ error: "song-not-found" });
+    if (result.moved_links === 0) return res.status(400).json({ error: "no-links-to-split" });
+    if (external_url) {
+      await dbModule.insertSongLink(result.song_id, { url: external_url, platform: detectPlatform(external_url) });
+    }
+    await dbModule.refreshSongSearch([id.data, result.song_id]);
+    const song = await dbModule.getSongWithLinks(id.data);
+    const newSong = await dbModule.getSongWithLinks(result.song_id);
+    await logModeration(req, { action: "split-song", song_id: id.data, before, after: { song, new_song: newSong } });
+    res.status(201).json({
+      ok: true,
+      moved_links: result.moved_links,
+      song,
+      new_song: newSong,
+    });
+  } catch (err) {
+    console.error("split-song failed:", err);
+    res.status(500).json({ error: "split-failed" });
+  }
+});
+
+// ---- emailed approve / decline links ----
+// The links in a new-submission email only open a confirmation page; the
+// page's form POSTs the token, so mail scanners and link prefetchers that
+// open every URL change nothing. Tokens are signed and expire (see
+// src/auth/approvalLink.js) and stop working once the submission is moderated.
+
+const APPROVAL_LINK_TTL_MS = (Number(process.env.APPROVAL_LINK_TTL_HOURS) || 72) * 60 * 60 * 1000;
+
+// the approve and decline URLs for a pending link with approval_token `nonce`
+function approvalLinks(baseUrl, linkId, nonce) {
+  const [approveUrl, rejectUrl] = APPROVAL_ACTIONS.map(
+    (action) => `${baseUrl}/api/links/${action}/${signApprovalToken({ linkId, action, nonce, ttlMs: APPROVAL_LINK_TTL_MS })}`
+  );
+  return { approval_url: approveUrl, reject_url: rejectUrl };
+}
+
+function siteHref() {
+  const configuredBase = process.env.PUBLIC_BASE_URL || "/";
+  return escapeHtml(configuredBase === "/" ? "/" : configuredBase.replace(/\/$/, ""));
+}
+
+/**
+ * Check an emailed token for `action`: `{ link, nonce }` of its pending link,
+ * or `{ status, message }` for the page to show instead.
+ */
+async function checkApprovalToken(token, action) {
+  const fields = readApprovalToken(token);
+  const nonce = fields?.action === action ? await dbModule.getLinkApprovalToken(fields.linkId) : null;
+  if (!nonce) {
+    return { status: 404, message: "This link is not valid, or the song was already approved, declined or withdrawn." };
+  }
+  if (fields.expiresAt <= new Date()) {
+    return { status: 410, message: "This link has expired. The song is still waiting in the admin panel." };
+  }
+  if (!approvalTokenValid(token, nonce)) {
+    return { status: 404, message: "This link is not valid, or the song was changed since it was sent." };
+  }
+  return { link: await dbModule.getLinkSnapshot(fields.linkId), nonce };
+}
+
+function approvalSummary(link) {
+  const target = `${link.target_kind}${link.target_id && link.target_id !== link.parasha_id ? ` / ${link.target_id}` : ""}`;
+  return `<p><strong>${escapeHtml(link.song_title || "(no title)")}</strong>${
+    link.song_url ? `<br /><a href="${escapeHtml(link.song_url)}" rel="noopener noreferrer">${escapeHtml(link.song_url)}</a>` : ""
+  }</p><p>${escapeHtml(link.parasha_id)} (${escapeHtml(target)})${link.verse_ref ? ` — ${escapeHtml(link.verse_ref)}` : ""}${
+    link.added_by ? `<br />Added by ${escapeHtml(link.added_by)}` : ""
+  }</p>`;
+}
+
+// GET /api/links/approve/:token, /api/links/reject/:token -> confirmation page
+for (const action of APPROVAL_ACTIONS) {
+  app.get(`/api/links/${action}/:token`, async (req, res) => {
+    const { token } = req.params;
+    try {
+      const checked = await checkApprovalToken(token, action);
+      if (!checked.link) {
+        return res.status(checked.status).type("html").send(accountPage("Link not usable", `<p>${checked.message}</p><p><a href="${siteHref()}">Back to Parsha Songs</a></p>`));
+      }
+      const form =
+        action === "approve"
+          ? `<form method="post" action="/api/links/approve"><input type="hidden" name="token" value="${escapeHtml(token)}" /><button type="submit">Approve this song</button></form>`
+          : `<form method="post" action="/api/links/reject"><input type="hidden" name="token" value="${escapeHtml(token)}" /><p><label>Reason (optional, shown to the submitter)<br /><textarea name="reason" rows="3" cols="50" maxlength="500"></textarea></label></p><button type="submit">Decline this song</button></form>`;
+      res
+        .type("html")
+        .send(accountPage(action === "approve" ? "Approve this song?" : "Decline this song?", approvalSummary(checked.link) + form));
+    } catch (err) {
+      console.error("approval-page failed:", err);
+      res.status(500).type("html").send(`<p>Failed to load this song.</p>`);
+    }
+  });
+}
+
+// POST /api/links/approve, /api/links/reject -> the confirmation form; body: token, [reason]
+for (const action of APPROVAL_ACTIONS) {
+  app.post(`/api/links/${action}`, sensitiveLimiter, express.urlencoded({ extended: false }), async (req, res) => {
+    const parsed = approvalFormSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).type("html").send(accountPage("Link not usable", `<p>The form was not filled in correctly (a reason has at most 500 characters).</p>`));
+    }
+    const { token, reason } = parsed.data;
+    try {
+      const checked = await checkApprovalToken(token, action);
+      if (!checked.link) {
+        return res.status(checked.status).type("html").send(accountPage("Link not usable", `<p>${checked.message}</p><p><a href="${siteHref()}">Back to Parsha Songs</a></p>`));
+      }
+      const result =
+        action === "approve"
+          ? await approveLinkByToken(checked.nonce)
+          : await dbModule.rejectLinkByToken(checked.nonce, reason || null);
+      if (!result) {
+        return res.status(404).type("html").send(accountPage("Link not usable", `<p>The song was moderated in the meantime.</p><p><a href="${siteHref()}">Back to Parsha Songs</a></p>`));
+      }
+      await logModeration("approval-link", {
+        action,
+        link_id: result.id,
+        reason: reason || null,
+        before: checked.link,
+        after: await dbModule.getLinkSnapshot(result.id),
+      });
+      const safeTitle = escapeHtml(result.song_title || "the song");
+      const body =
+        action === "approve"
+          ? `<p>Thank you! We have approved <strong>${safeTitle}</strong>.</p>`
+          : `<p><strong>${safeTitle}</strong> was declined.</p>`;
+      res
+        .type("html")
+        .send(accountPage(action === "approve" ? "Song approved" : "Song declined", `${body}<p><a href="${siteHref()}">Back to Parsha Songs</a></p>`));
+    } catch (err) {
+      console.error(`${action}-token failed:`, err);
+      res.status(500).type("html").send(`<p>Failed to ${action === "approve" ? "approve" : "decline"} this song.</p>`);
+    }
+  });
+}
+
 app.get("/api/search/songs", validateQuery(searchSongsQuerySchema), async (req, res) => {
-  const { q } = res.locals.validatedQuery;
+  const query = res.locals.validatedQuery;
   try {
-    const rows = await searchLinksBySongTitle(q, 30);
-    res.json(rows);
+    // 30 results unless the client asks for another page size
+    await sendListing(req, res, [], { ...query, limit: query.limit ?? 30 }, { search: query.q });
   } catch (err) {
     console.error("search-songs failed:", err);
     res.status(500).json({ error: "search-failed" });
   }
 });
 
-// test notification endpoint
-app.post("/api/test-notify", sensitiveLimiter, async (req, res) => {
+// test notification endpoint (owner-only: it sends to every configured channel)
+app.post("/api/test-notify", sensitiveLimiter, requireAdmin("owner"), async (req, res) => {
   const sample = {
     link_id: "TEST-123",
     parasha_id: "bereshit",
@@ -618,10 +2529,16 @@ app.post("/api/test-notify", sensitiveLimiter, async (req, res) => {
     added_by: "tester",
     timestamp: new Date().toISOString(),
     approval_url: "https://example.com/approve",
+    reject_url: "https://example.com/reject",
   };
   try {
-    await notifyNewLink(sample);
-    res.json({ ok: true });
+    const ids = await queueNotification("new-link", sample);
+    await runNotificationOutbox();
+    const notifications = await Promise.all(ids.map((id) => dbModule.getNotification(id)));
+    res.json({
+      ok: true,
+      notifications: notifications.map(({ id, channel, status, last_error }) => ({ id, channel, status, last_error })),
+    });
   } catch (err) {
     console.error("test-notify failed:", err);
     res.status(500).json({ ok: false, error: err.message || String(err) });
@@ -629,7 +2546,7 @@ app.post("/api/test-notify", sensitiveLimiter, async (req, res) => {
 });
 
 // stats endpoint (admin-only)
-app.get("/api/stats", adminLimiter, requireAdmin, async (req, res) => {
+app.get("/api/stats", adminLimiter, requireAdmin("owner"), async (req, res) => {
   try {
     const stats = await dbModule.getVisitStats();
     res.json(stats);
@@ -639,6 +2556,35 @@ app.get("/api/stats", adminLimiter, requireAdmin, async (req, res) => {
   }
 });
 
+// the search index holds canonical verse references, so it is built after they are normalized
+backfillVerseRanges()
+  .catch((err) => console.error("verse range backfill failed:", err))
+  .then(backfillSongSearch)
+  .catch((err) => console.error("song search backfill failed:", err));
+backfillSongLinks().catch((err) => console.error("song links backfill failed:", err));
+
+if (LINK_CHECK.intervalMinutes > 0) {
+  setInterval(() => {
+    runLinkHealthCheck().catch((err) => console.error("link check failed:", err));
+  }, LINK_CHECK.intervalMinutes * 60 * 1000).unref();
+}
+
+// also picks up what was queued before a restart
+if (NOTIFY.intervalSeconds > 0) {
+  runNotificationOutbox().catch((err) => console.error("notification delivery failed:", err));
+  setInterval(() => {
+    runNotificationOutbox().catch((err) => console.error("notification delivery failed:", err));
+  }, NOTIFY.intervalSeconds * 1000).unref();
+}
+
+// a digest missed while the server was down goes out on startup
+if (DIGEST.hour !== null && !Number.isNaN(DIGEST.hour)) {
+  runDigestIfDue().catch((err) => console.error("digest failed:", err));
+  setInterval(() => {
+    runDigestIfDue().catch((err) => console.error("digest failed:", err));
+  }, 5 * 60 * 1000).unref();
+}
+
 const PORT = process.env.PORT || 3000;
 const HOST = "0.0.0.0";
 
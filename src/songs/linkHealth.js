@@ -0,0 +1,84 @@
+// src/songs/linkHealth.js
+// Checks whether a song URL still works. A URL is tried with HEAD and, when
+// the server does not answer HEAD properly, with GET. YouTube answers 200 even
+// for removed videos, so YouTube URLs are asked through its oEmbed endpoint,
+// which returns 401/404 once a video is gone or private.
+
+import { detectPlatform } from "./platforms.js";
+
+const USER_AGENT = "ParshaSongsLinkChecker/1.0 (+song link health check)";
+const YOUTUBE_OEMBED_URL = "https://www.youtube.com/oembed";
+
+// statuses that often mean "HEAD not supported" rather than "gone"
+const RETRY_WITH_GET = new Set([403, 405, 406, 429, 501]);
+
+async function request(url, method, { timeoutMs, fetchImpl }) {
+  const res = await fetchImpl(url, {
+    method,
+    redirect: "follow",
+    headers: { "user-agent": USER_AGENT, accept: "*/*" },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  // only the status is needed; do not download the page
+  await res.body?.cancel().catch(() => {});
+  return res.status;
+}
+
+function errorText(err) {
+  if (err?.name === "TimeoutError" || err?.name === "AbortError") return "timeout";
+  return String(err?.cause?.code || err?.message || err).slice(0, 200);
+}
+
+/**
+ * Check one URL. Options: `timeoutMs` per request, `fetchImpl`, and
+ * `oembedUrl` (the YouTube oEmbed endpoint, replaceable for local testing).
+ * Resolves to `{ ok, http_status, error }`; `http_status` is null when no
+ * answer came back (timeout, DNS, refused connection).
+ */
+export async function checkUrl(url, options = {}) {
+  const opts = {
+    timeoutMs: options.timeoutMs || 10000,
+    fetchImpl: options.fetchImpl || fetch,
+  };
+  const oembedUrl = options.oembedUrl || YOUTUBE_OEMBED_URL;
+
+  if (detectPlatform(url) === "youtube") {
+    try {
+      const status = await request(`${oembedUrl}?format=json&url=${encodeURIComponent(url)}`, "GET", opts);
+      if (status < 400) return { ok: true, http_status: status, error: null };
+      if ([400, 401, 403, 404].includes(status)) {
+        return { ok: false, http_status: status, error: "video-unavailable" };
+      }
+      // 429 / 5xx: oEmbed itself is struggling, check the page instead
+    } catch {
+      // fall through to the page itself
+    }
+  }
+
+  let status = null;
+  let error = null;
+  try {
+    status = await request(url, "HEAD", opts);
+  } catch (err) {
+    error = errorText(err);
+  }
+  if (status === null || RETRY_WITH_GET.has(status)) {
+    try {
+      status = await request(url, "GET", opts);
+      error = null;
+    } catch (err) {
+      error = errorText(err);
+    }
+  }
+  if (status !== null && status < 400) return { ok: true, http_status: status, error: null };
+  return { ok: false, http_status: status, error: error || `http-${status}` };
+}
+
+/**
+ * Seconds until a URL is checked again: `recheckSeconds` after a success;
+ * after the n-th failure in a row `retrySeconds * 2^(n-1)`, at most `recheckSeconds`.
+ */
+export function nextCheckDelay(failureCount, { retrySeconds, recheckSeconds }) {
+  if (!failureCount) return recheckSeconds;
+  return Math.min(retrySeconds * 2 ** Math.min(failureCount - 1, 20), recheckSeconds);
+}
@@ -0,0 +1,29 @@
+// src/songs/listing.js
+// Cursors of the song link listings (/api/links, /api/links-tanach,
+// /api/links-holiday, /api/links-verse and /api/search/songs). The listings are
+// sorted, filtered and paged in SQL (listLinks in src/db.js); a cursor is the
+// sort plus the sort key of the last row of a page, and the next page starts
+// after it. Keys end in the link id, so they never tie.
+
+export const LISTING_SORTS = ["score", "newest", "popular", "alphabetical", "verse"];
+
+// values in the sort key of each order (its sort columns plus added_at and id)
+const KEY_LENGTHS = { newest: 2, score: 3, relevance: 3, popular: 3, alphabetical: 3, verse: 4 };
+
+export function encodeCursor(sort, key) {
+  return Buffer.from(JSON.stringify({ s: sort, k: key })).toString("base64url");
+}
+
+/**
+ * `{ sort, key }` of a cursor made by `encodeCursor`, or null when it is not one.
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { s, k } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    const validKey =
+      Array.isArray(k) && k.length === KEY_LENGTHS[s] && k.every((v) => typeof v === "string" || Number.isFinite(v));
+    return validKey ? { sort: s, key: k } : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,111 @@
+// src/songs/platforms.js
+// Which platform a song URL points at, detected from its host name
+// ("music.youtube.com" -> youtube, "open.spotify.com" -> spotify, ...), and
+// the canonical form of a platform URL, so the same recording shared from
+// different apps is stored once.
+
+const PLATFORMS = [
+  { id: "youtube", name: "YouTube", hosts: ["youtube.com", "youtu.be"] },
+  { id: "spotify", name: "Spotify", hosts: ["spotify.com", "spotify.link"] },
+  { id: "apple-music", name: "Apple Music", hosts: ["music.apple.com", "itunes.apple.com"] },
+  { id: "soundcloud", name: "SoundCloud", hosts: ["soundcloud.com", "on.soundcloud.com"] },
+  { id: "deezer", name: "Deezer", hosts: ["deezer.com", "deezer.page.link"] },
+  { id: "bandcamp", name: "Bandcamp", hosts: ["bandcamp.com"] },
+  {
+    id: "lyrics",
+    name: "Lyrics",
+    hosts: ["shironet.mako.co.il", "zemereshet.co.il", "genius.com", "azlyrics.com", "lyrics.com", "musixmatch.com"],
+  },
+];
+
+const OTHER = { id: "other", name: "Link" };
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Platform id for a URL ("youtube", "spotify", "apple-music", "lyrics", ...),
+ * or "other" for hosts we do not know.
+ */
+export function detectPlatform(url) {
+  const host = hostOf(url);
+  const match = PLATFORMS.find((p) => p.hosts.some((h) => host === h || host.endsWith(`.${h}`)));
+  return (match || OTHER).id;
+}
+
+export function platformName(id) {
+  return (PLATFORMS.find((p) => p.id === id) || OTHER).name;
+}
+
+// tracking parameters dropped from every URL, plus the share parameters of the platforms
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|igshid|mc_cid|mc_eid|ref_src)$/i;
+const SHARE_PARAMS = /^(si|feature|pp)$/i;
+const YOUTUBE_ID = /^[\w-]{11}$/;
+
+function youtubeId(url) {
+  const host = url.hostname.replace(/^(www|m|music)\./, "");
+  if (host === "youtu.be") return url.pathname.split("/")[1];
+  if (url.searchParams.get("v")) return url.searchParams.get("v");
+  const [, kind, id] = url.pathname.split("/");
+  return ["shorts", "embed", "live", "v"].includes(kind) ? id : null;
+}
+
+/**
+ * Canonical form of a song URL: https, no tracking parameters or fragment, and
+ * for the known platforms one spelling per recording
+ * ("youtu.be/ID?t=42&si=x" -> "https://www.youtube.com/watch?v=ID",
+ * "open.spotify.com/intl-de/track/ID?si=x" -> "https://open.spotify.com/track/ID").
+ * Anything that does not parse is returned unchanged.
+ */
+export function canonicalSongUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw).trim());
+  } catch {
+    return raw;
+  }
+  const platform = detectPlatform(url.href);
+  for (const key of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+  }
+  url.hash = "";
+  if (platform === "other" || platform === "lyrics") return url.href;
+
+  for (const key of [...url.searchParams.keys()]) {
+    if (SHARE_PARAMS.test(key)) url.searchParams.delete(key);
+  }
+  url.protocol = "https:";
+  switch (platform) {
+    case "youtube": {
+      const id = youtubeId(url);
+      return id && YOUTUBE_ID.test(id) ? `https://www.youtube.com/watch?v=${id}` : url.href;
+    }
+    case "spotify":
+      // "/intl-de/track/ID" -> "/track/ID"; share parameters are not needed
+      if (url.hostname === "open.spotify.com") {
+        return `https://open.spotify.com${url.pathname.replace(/^\/intl-[a-z-]+\//i, "/")}`;
+      }
+      return url.href;
+    case "apple-music": {
+      // only "i" (the track within an album) matters
+      const track = url.searchParams.get("i");
+      return `https://${url.hostname}${url.pathname}${track ? `?i=${track}` : ""}`;
+    }
+    case "deezer":
+      // "/en/track/ID" -> "/track/ID"; short links (deezer.page.link, link.deezer.com) keep their host
+      if (url.hostname === "deezer.com" || url.hostname === "www.deezer.com") {
+        return `https://www.deezer.com${url.pathname.replace(/^\/[a-z]{2}(?=\/)/i, "")}`;
+      }
+      return url.href;
+    case "soundcloud":
+      return `https://${url.hostname.replace(/^m\./, "")}${url.pathname}`;
+    default:
+      url.search = "";
+      return url.href;
+  }
+}
@@ -0,0 +1,135 @@
+// src/songs/searchText.js
+// Text normalization for the song search index. Hebrew loses its niqqud,
+// cantillation and final-letter forms; Latin text loses case and accents.
+// Every word also gets a "skeleton" so spelling variants meet:
+//   - transliterations keep their consonants ("Lecha" / "Lekha" -> "lh",
+//     "Shalom Aleichem" / "Sholom Aleikhem" -> "slm alhm")
+//   - Hebrew drops inner vav/yod, so full and defective spelling match
+//     ("חלום" / "חלם" -> "חלמ")
+
+import { formatVerseRange } from "../tanach/verseRef.js";
+
+const FINAL_LETTERS = { ך: "כ", ם: "מ", ן: "נ", ף: "פ", ץ: "צ" };
+const HEBREW_MARKS = /[֑-ֽֿ-ׇ]/g; // niqqud + cantillation, not maqaf (U+05BE)
+const HEBREW_WORD = /[א-ת]/;
+
+/**
+ * Lowercase, accent-free, niqqud-free text with final letters replaced and
+ * punctuation turned into spaces.
+ */
+export function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(HEBREW_MARKS, "")
+    .replace(/[̀-ͯ]/g, "")
+    .toLowerCase()
+    .replace(/[ךםןףץ]/g, (c) => FINAL_LETTERS[c])
+    .replace(/['"׳״`’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+export function tokenize(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(" ") : [];
+}
+
+function latinSkeleton(word) {
+  const folded = word
+    .replace(/[kc]h/g, "h")
+    .replace(/sh/g, "s")
+    .replace(/ph/g, "f")
+    .replace(/t[zs]/g, "z")
+    .replace(/ck|[cq]/g, "k")
+    .replace(/w/g, "v")
+    .replace(/b/g, "v")
+    .replace(/x/g, "ks")
+    .replace(/j/g, "y");
+  // a leading vowel stays as "a" so "Aleichem" and "Lechem" stay apart
+  const lead = /^[aeiouy]/.test(folded) && !/^y[aeiou]/.test(folded) ? "a" : "";
+  const consonants = folded
+    .replace(/([aeiou])h$/, "$1") // silent final h: "Torah" / "Tora"
+    .replace(/(.)\1+/g, "$1") // "Shabbat" / "Shabat"
+    .replace(/([aeiou])y/g, "$1") // "Ayn" / "Ein", "Chayil" / "Chail"
+    .replace(/[aeiou]/g, "");
+  return lead + consonants;
+}
+
+function hebrewSkeleton(word) {
+  return word.length > 2 ? word[0] + word.slice(1).replace(/[וי]/g, "") : word;
+}
+
+/**
+ * Spelling-insensitive form of one normalized word ("" when too short to be useful).
+ */
+export function skeleton(word) {
+  const skel = HEBREW_WORD.test(word) ? hebrewSkeleton(word) : /^\d+$/.test(word) ? "" : latinSkeleton(word);
+  return skel.length >= 2 ? skel : "";
+}
+
+/**
+ * Index columns of one song: `{ title, artist, tags, verses, skeleton }`.
+ * `verses` holds the verse references as typed plus their canonical form.
+ */
+export function songSearchDocument({ title, artist, tags = [], verseRefs = [] }) {
+  const verses = verseRefs.map((ref) =>
+    [ref.verse_ref, ref.ref_book ? formatVerseRange(ref.ref_book, ref.ref_start, ref.ref_end) : null]
+      .filter(Boolean)
+      .join(" ")
+  );
+  const doc = {
+    title: normalizeText(title),
+    artist: normalizeText(artist),
+    tags: normalizeText(tags.join(" ")),
+    verses: normalizeText(verses.join(" ")),
+  };
+  const words = new Set(`${doc.title} ${doc.artist} ${doc.tags}`.split(" ").map(skeleton).filter(Boolean));
+  return { ...doc, skeleton: [...words].join(" ") };
+}
+
+/**
+ * Query words as `[{ word, skeleton }]`; at most 8 words are used.
+ */
+export function searchTerms(query) {
+  return tokenize(query)
+    .slice(0, 8)
+    .map((word) => ({ word, skeleton: skeleton(word) }));
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * How alike two song titles are, from 0 to 1: 1 for the same normalized
+ * title, 0.95 when every word has the same skeleton ("Lecha Dodi" /
+ * "Lekha Dodi"), 0.85 when a title of two or more words is part of the other
+ * ("Lecha Dodi (Carlebach)"), otherwise the Dice coefficient of their letter pairs.
+ */
+export function titleSimilarity(a, b) {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const skeletons = (text) => text.split(" ").map((word) => skeleton(word) || word).join(" ");
+  const [wordsX, wordsY] = [skeletons(x), skeletons(y)];
+  if (wordsX === wordsY) return 0.95;
+  const [shorter, longer] = wordsX.length <= wordsY.length ? [wordsX, wordsY] : [wordsY, wordsX];
+  if (shorter.includes(" ") && ` ${longer} `.includes(` ${shorter} `)) return 0.85;
+
+  const gramsX = bigrams(x.replace(/ /g, ""));
+  const gramsY = bigrams(y.replace(/ /g, ""));
+  let shared = 0;
+  let total = 0;
+  for (const [gram, count] of gramsX) {
+    shared += Math.min(count, gramsY.get(gram) || 0);
+    total += count;
+  }
+  for (const count of gramsY.values()) total += count;
+  return total ? (2 * shared) / total : 0;
+}
@@ -0,0 +1,47 @@
+// src/tanach/haftarahMap.js
+// Haftarah names double as references ("Isaiah 42:5-43:10",
+// "Hosea 14:2-10, Micah 7:18-20 | Shabbat Shuva"); resolve them to verse
+// ranges and Tanach chapters so haftarah and Tanach-chapter songs can be shown
+// on each other's pages.
+
+import { parseVerseRefList, chapterOfKey } from "./verseRef.js";
+
+const rangeCache = new Map();
+
+/**
+ * Verse ranges `[{ book, start, end }]` of a haftarah, or [] if its name does
+ * not parse.
+ */
+export function haftarahRanges(haftarah) {
+  const name = haftarah?.name || "";
+  if (!rangeCache.has(name)) {
+    const { refs } = parseVerseRefList(name.split("|")[0]);
+    rangeCache.set(name, refs || []);
+  }
+  return rangeCache.get(name);
+}
+
+/**
+ * Chapters a set of ranges touches, grouped by book: `{ isaiah: [42, 43] }`.
+ */
+export function chaptersByBook(ranges) {
+  const byBook = {};
+  for (const range of ranges) {
+    const chapters = (byBook[range.book] ??= []);
+    for (let c = chapterOfKey(range.start); c <= chapterOfKey(range.end); c++) {
+      if (!chapters.includes(c)) chapters.push(c);
+    }
+  }
+  return byBook;
+}
+
+/**
+ * Haftarot that read from the given chapter.
+ */
+export function haftarotCoveringChapter(haftarot, book, chapter) {
+  return haftarot.filter((h) =>
+    haftarahRanges(h).some(
+      (r) => r.book === book && chapterOfKey(r.start) <= chapter && chapterOfKey(r.end) >= chapter
+    )
+  );
+}
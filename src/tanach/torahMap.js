@@ -0,0 +1,36 @@
+// src/tanach/torahMap.js
+// Torah chapter/verse <-> parasha mapping, from the `torah` range of each
+// parasha in data/parshiot.json (e.g. "Genesis 18:1-22:24").
+
+import { parseVerseRef, chapterOfKey } from "./verseRef.js";
+
+/**
+ * Parsed `torah` range of a parasha as `{ book, start, end }`, or null.
+ */
+export function torahRange(parasha) {
+  return parseVerseRef(parasha?.torah).ref || null;
+}
+
+/**
+ * Chapters a parasha touches, as `[{ book_id, chapter }]`; a chapter that is
+ * split between two parshiot (Genesis 6) is listed under both.
+ */
+export function chaptersOf(parasha) {
+  const range = torahRange(parasha);
+  if (!range) return [];
+  const chapters = [];
+  for (let c = chapterOfKey(range.start); c <= chapterOfKey(range.end); c++) {
+    chapters.push({ book_id: range.book, chapter: c });
+  }
+  return chapters;
+}
+
+/**
+ * Parshiot whose reading overlaps `start..end` (verse keys) in `book`.
+ */
+export function parshiotForRange(parshiot, book, start, end) {
+  return parshiot.filter((p) => {
+    const range = torahRange(p);
+    return range && range.book === book && range.start <= end && range.end >= start;
+  });
+}
@@ -0,0 +1,245 @@
+// src/tanach/verseRef.js
+// Parse verse references such as "Isaiah 42:5-43:10", "1 Sam 3" or "בראשית כב:ב"
+// into a book id plus a start/end key (chapter * 1000 + verse) that can be
+// stored, sorted and range-queried.
+
+import TANACH_BOOKS from "../data/tanachFallback.js";
+import VERSE_COUNTS from "../data/tanachVerseCounts.js";
+
+export const CHAPTER_SPAN = 1000;
+const LAST_VERSE = 999; // end key of a whole-chapter reference
+const MAX_VERSE = 176; // Psalms 119, for a book without verse counts
+
+// alternate names per book id; the first entry doubles as the display title
+// for a book that is missing from tanachFallback.js
+const BOOK_NAMES = {
+  genesis: ["Genesis", "Gen", "Bereshit", "Bereishit", "בראשית"],
+  exodus: ["Exodus", "Ex", "Exod", "Shemot", "Shmot", "שמות"],
+  leviticus: ["Leviticus", "Lev", "Vayikra", "ויקרא"],
+  numbers: ["Numbers", "Num", "Bamidbar", "Bemidbar", "במדבר"],
+  deuteronomy: ["Deuteronomy", "Deut", "Dt", "Devarim", "דברים"],
+  joshua: ["Josh", "Yehoshua"],
+  judges: ["Judg", "Shoftim", "שופטים"],
+  isaiah: ["Isa", "Yeshayahu", "ישעיהו"],
+  jeremiah: ["Jer", "Yirmiyahu", "ירמיהו"],
+  ezekiel: ["Ezek", "Yechezkel"],
+  hosea: ["Hos", "Hoshea"],
+  joel: ["Yoel"],
+  amos: ["Am"],
+  obadiah: ["Obad", "Ovadiah", "Ovadia"],
+  jonah: ["Jon", "Yonah", "Yona"],
+  micah: ["Mic", "Michah", "Micha"],
+  nahum: ["Nah", "Nachum"],
+  habakkuk: ["Hab", "Chavakuk"],
+  zephaniah: ["Zeph", "Tzefaniah", "Tzefania"],
+  haggai: ["Hag", "Chaggai"],
+  zechariah: ["Zech", "Zecharia", "Zecharyah"],
+  malachi: ["Mal", "Malachai"],
+  psalms: ["Psalm", "Ps", "Psa", "Tehillim", "Tehilim"],
+  proverbs: ["Prov", "Mishlei", "Mishle"],
+  job: ["Iyov"],
+  "song-of-songs": ["Song of Solomon", "Song", "Shir HaShirim", "Shir Hashirim", "Canticles"],
+  ruth: ["Rut"],
+  lamentations: ["Lam", "Eicha", "Eichah", "Echa"],
+  ecclesiastes: ["Eccl", "Eccles", "Kohelet", "Koheles", "Qohelet"],
+  esther: ["Est", "Esth", "Ester"],
+  daniel: ["Dan", "Daniyel"],
+  ezra: [],
+  nehemiah: ["Neh", "Nechemiah"],
+};
+
+// two-part books: every "I Samuel" / "1 Sam" / "Samuel 1" / "שמואל א" variant
+const NUMBERED_BOOKS = {
+  samuel: ["Samuel", "Sam", "Sa", "Shmuel", "שמואל"],
+  kings: ["Kings", "Kgs", "Ki", "Melachim", "מלכים"],
+  chronicles: ["Chronicles", "Chron", "Chr", "Divrei Hayamim", "Divrei HaYamim", "דברי הימים"],
+};
+const PART_NAMES = [
+  ["i", "1", "first", "א"],
+  ["ii", "2", "second", "ב"],
+];
+
+function aliasKey(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[.'"׳״]/g, "")
+    .replace(/[\s_-]+/g, " ")
+    .trim();
+}
+
+const BOOKS = new Map(); // id -> { id, title, chapters }
+const ALIASES = new Map(); // alias key -> id
+
+function addAlias(name, id) {
+  const key = aliasKey(name);
+  if (key && !ALIASES.has(key)) ALIASES.set(key, id);
+}
+
+for (const book of TANACH_BOOKS) {
+  BOOKS.set(book.id, { id: book.id, title: book.title_en, chapters: book.chapters });
+  [book.id, book.title_en, book.title_he].forEach((name) => addAlias(name, book.id));
+}
+for (const [id, names] of Object.entries(BOOK_NAMES)) {
+  if (!BOOKS.has(id)) BOOKS.set(id, { id, title: names[0], chapters: null });
+  addAlias(id, id);
+  names.forEach((name) => addAlias(name, id));
+}
+for (const [base, names] of Object.entries(NUMBERED_BOOKS)) {
+  PART_NAMES.forEach((parts, i) => {
+    const id = `${"i".repeat(i + 1)}-${base}`;
+    if (!BOOKS.has(id)) BOOKS.set(id, { id, title: `${"I".repeat(i + 1)} ${names[0]}`, chapters: null });
+    for (const name of names) {
+      for (const part of parts) {
+        addAlias(`${part} ${name}`, id);
+        addAlias(`${name} ${part}`, id);
+      }
+    }
+  });
+}
+
+const HEBREW_NUMERALS = {
+  א: 1, ב: 2, ג: 3, ד: 4, ה: 5, ו: 6, ז: 7, ח: 8, ט: 9,
+  י: 10, כ: 20, ך: 20, ל: 30, מ: 40, ם: 40, נ: 50, ן: 50, ס: 60, ע: 70, פ: 80, ף: 80, צ: 90, ץ: 90,
+  ק: 100, ר: 200, ש: 300, ת: 400,
+};
+
+// "22" or a Hebrew numeral such as "כב" / "ט״ו"
+function parseNumber(token) {
+  if (/^\d+$/.test(token)) return parseInt(token, 10);
+  const letters = token.replace(/['"׳״]/g, "");
+  if (!letters || ![...letters].every((c) => c in HEBREW_NUMERALS)) return null;
+  return [...letters].reduce((sum, c) => sum + HEBREW_NUMERALS[c], 0);
+}
+
+function parsePoint(text) {
+  const [c, v, extra] = text.split(/[:.]/);
+  if (extra !== undefined) return null;
+  const chapter = parseNumber(c);
+  const verse = v === undefined ? null : parseNumber(v);
+  if (!chapter || (v !== undefined && !verse)) return null;
+  return { chapter, verse };
+}
+
+// "22", "22:2", "22:2-8", "22:2-23:4", "22-23"; with `chapter` given, bare numbers are verses
+function parseLocation(text, chapter) {
+  const [from, to, extra] = text.replace(/\s+/g, "").split(/[-–—]/);
+  if (!from || extra !== undefined || to === "") return null;
+  let start = parsePoint(from);
+  if (!start) return null;
+  if (chapter && start.verse === null) start = { chapter, verse: start.chapter };
+
+  let end = { ...start };
+  if (to !== undefined) {
+    end = parsePoint(to);
+    if (!end) return null;
+    // "22:2-8" continues in the same chapter
+    if (end.verse === null && start.verse !== null) end = { chapter: start.chapter, verse: end.chapter };
+  }
+  return { start, end };
+}
+
+export function findBook(name) {
+  const id = ALIASES.get(aliasKey(name));
+  return id ? BOOKS.get(id) : null;
+}
+
+// split "I Samuel 3:1-10" into the longest leading book name and the rest
+function splitBook(text) {
+  const tokens = text.trim().split(/\s+/);
+  for (let n = Math.min(tokens.length, 4); n >= 1; n--) {
+    const book = findBook(tokens.slice(0, n).join(" "));
+    if (book) return { book, rest: tokens.slice(n).join(" ") };
+  }
+  return { book: null, rest: text.trim() };
+}
+
+// number of verses in a chapter (per book only where the counts are not per chapter)
+function lastVerse(bookId, chapter) {
+  const counts = VERSE_COUNTS[bookId];
+  if (Array.isArray(counts)) return counts[chapter - 1] ?? MAX_VERSE;
+  return counts ?? MAX_VERSE;
+}
+
+export function verseKey(chapter, verse) {
+  return chapter * CHAPTER_SPAN + verse;
+}
+
+// range covering all of one chapter
+export function wholeChapter(book, chapter) {
+  return { book, start: verseKey(chapter, 1), end: verseKey(chapter, LAST_VERSE) };
+}
+
+export function chapterOfKey(key) {
+  return Math.floor(key / CHAPTER_SPAN);
+}
+
+function verseOfKey(key) {
+  return key % CHAPTER_SPAN;
+}
+
+/**
+ * Canonical text for a stored range, e.g. "Isaiah 42:5-43:10" or "Genesis 22".
+ */
+export function formatVerseRange(bookId, start, end) {
+  const title = BOOKS.get(bookId)?.title || bookId;
+  const [sc, sv, ec, ev] = [chapterOfKey(start), verseOfKey(start), chapterOfKey(end), verseOfKey(end)];
+  const wholeChapters = sv === 1 && ev === LAST_VERSE;
+  if (wholeChapters) return sc === ec ? `${title} ${sc}` : `${title} ${sc}-${ec}`;
+  const endVerse = ev === LAST_VERSE ? "" : `:${ev}`;
+  if (sc === ec) return sv === ev ? `${title} ${sc}:${sv}` : `${title} ${sc}:${sv}-${ev}`;
+  return `${title} ${sc}:${sv}-${ec}${endVerse}`;
+}
+
+/**
+ * Parse one reference. `context.book` (any book name or id, e.g. a parasha's
+ * "bereshit") is used when the text has no book; `context.chapter` makes bare
+ * numbers verses of that chapter ("5-8" on a Tanach chapter page).
+ * Returns `{ ref: { book, start, end, text } }` or `{ error }`.
+ */
+export function parseVerseRef(input, context = {}) {
+  const text = String(input || "").trim();
+  if (!text) return { error: "empty" };
+
+  let { book, rest } = splitBook(text);
+  let chapter = null;
+  if (!book) {
+    book = context.book ? findBook(context.book) : null;
+    if (!book) return { error: "unknown-book" };
+    rest = text;
+    chapter = context.chapter || null;
+  }
+  if (!rest) return { error: "missing-chapter" };
+
+  const loc = parseLocation(rest, chapter);
+  if (!loc) return { error: "invalid-format" };
+  const { start, end } = loc;
+
+  for (const point of [start, end]) {
+    if (book.chapters && point.chapter > book.chapters) return { error: "chapter-out-of-range" };
+    if (point.verse !== null && (point.verse < 1 || point.verse > lastVerse(book.id, point.chapter))) {
+      return { error: "verse-out-of-range" };
+    }
+  }
+  const startKey = verseKey(start.chapter, start.verse ?? 1);
+  const endKey = verseKey(end.chapter, end.verse ?? LAST_VERSE);
+  if (startKey > endKey) return { error: "reversed-range" };
+
+  return { ref: { book: book.id, start: startKey, end: endKey, text: formatVerseRange(book.id, startKey, endKey) } };
+}
+
+/**
+ * Parse a list such as "Joshua 5:2-6:1, 6:27" or "Hosea 14:2-10; Micah 7:18-20";
+ * each part inherits the book of the one before. Returns `{ refs }` or `{ error }`.
+ */
+export function parseVerseRefList(input, context = {}) {
+  const refs = [];
+  let book = context.book || null;
+  for (const part of String(input || "").split(/[,;]/)) {
+    if (!part.trim()) continue;
+    const { ref, error } = parseVerseRef(part, { book });
+    if (error) return { error };
+    refs.push(ref);
+    book = ref.book;
+  }
+  return refs.length ? { refs } : { error: "empty" };
+}
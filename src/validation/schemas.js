@@ -1,75 +1,486 @@
 import { z } from "zod";
+import { isValidTimeZone } from "../calendar/hebrewDate.js";
+import { LISTING_SORTS, decodeCursor } from "../songs/listing.js";
 
 const idPattern = /^[a-z0-9-]{2,50}$/;
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+const songTitle = z
+  .string()
+  .trim()
+  .min(1, "title required")
+  .max(200, "title too long")
+  .transform((s) => s.replace(/[<>]/g, ""));
+
+const songUrl = z
+  .string()
+  .trim()
+  .url("invalid url")
+  .refine((u) => /^https?:\/\//i.test(u), "must be http(s)")
+  .max(2048);
+
+// artist of a song / performer of one recording
+const personName = z
+  .string()
+  .trim()
+  .max(120, "name too long")
+  .transform((s) => s.replace(/[<>]/g, ""));
+
+export const SONG_LANGUAGES = ["he", "en", "yi", "lad"];
+
+const songLanguage = z.enum(SONG_LANGUAGES);
+
+const songYear = z.preprocess(
+  (v) => (typeof v === "string" && v !== "" ? parseInt(v, 10) : v),
+  z.number().int().min(1800, "year too early").max(2100, "year too late")
+);
+
+// "Niggun, Shabbat  table" or ["niggun", "shabbat table"] -> ["niggun", "shabbat table"]
+const songTags = z.preprocess(
+  (v) => (typeof v === "string" ? v.split(",") : v),
+  z
+    .array(
+      z
+        .string()
+        .max(30, "tag too long")
+        .transform((t) => t.replace(/[<>#,]/g, "").replace(/\s+/g, " ").trim().toLowerCase())
+    )
+    .max(10, "too many tags")
+    .transform((tags) => [...new Set(tags.filter(Boolean))])
+);
+
+// optional filters shared by the song listings and the search
+const songFilterShape = {
+  language: songLanguage.optional(),
+  // one tag or a comma-separated list; a song must carry all of them
+  tag: songTags.optional(),
+  artist: z.string().trim().min(1).max(120).optional(),
+};
+
+// sort order, narrowing and cursor pagination of the listings (src/songs/listing.js)
+function listingShape(sorts, defaultSort) {
+  return {
+    sort: z.enum(sorts).optional().default(defaultSort),
+    // one target kind or a comma-separated list
+    kind: z.preprocess(
+      (v) => (typeof v === "string" ? v.split(",").map((k) => k.trim()) : v),
+      z.array(z.enum(["parasha", "haftarah", "tanach", "holiday"])).max(4)
+    ).optional(),
+    book: z.string().trim().regex(idPattern, "invalid book").optional(),
+    added_from: z.string().trim().regex(isoDatePattern, "invalid date").optional(),
+    added_to: z.string().trim().regex(isoDatePattern, "invalid date").optional(),
+    limit: z.preprocess(
+      (v) => (typeof v === "string" && v !== "" ? parseInt(v, 10) : v),
+      z.number().int().min(1).max(200).optional()
+    ),
+    cursor: z
+      .string()
+      .max(500)
+      .transform((c, ctx) => {
+        const decoded = decodeCursor(c);
+        if (!decoded) {
+          ctx.addIssue({ code: "custom", message: "invalid cursor" });
+          return z.NEVER;
+        }
+        return decoded;
+      })
+      .optional(),
+  };
+}
+
+// a cursor only continues the sort order it was made for
+const cursorMatchesSort = [
+  (q) => !q.cursor || q.cursor.sort === q.sort,
+  { message: "cursor belongs to another sort order", path: ["cursor"] },
+];
 
 export const currentReadingQuerySchema = z.object({
   loc: z.enum(["israel", "diaspora"]).optional().default("diaspora"),
+  // IANA zone of the visitor, so Saturday night rolls over in their local time
+  tz: z.string().trim().max(64).refine(isValidTimeZone, "invalid tz").optional(),
+  // optional reference day (YYYY-MM-DD); defaults to "now" in `tz`
+  date: z.string().trim().regex(isoDatePattern, "invalid date").optional(),
 });
 
-export const linksListQuerySchema = z.object({
-  parasha_id: z.string().trim().regex(idPattern, "invalid parasha_id"),
-  target_kind: z.enum(["parasha", "haftarah"]).optional(),
+// year >= 5000 is a Hebrew year (Tishrei..Elul), otherwise a Gregorian year (Jan..Dec)
+export const calendarQuerySchema = z.object({
+  year: z.preprocess(
+    (v) => (typeof v === "string" && v !== "" ? parseInt(v, 10) : v),
+    z
+      .number()
+      .int()
+      .min(1900)
+      .max(6999)
+      .refine((y) => y < 3000 || y >= 5000, "year must be Gregorian (1900-2999) or Hebrew (5000-6999)")
+      .optional()
+  ),
+  loc: z.enum(["israel", "diaspora"]).optional().default("diaspora"),
 });
 
+export const linksListQuerySchema = z
+  .object({
+    ...songFilterShape,
+    ...listingShape(LISTING_SORTS, "score"),
+    parasha_id: z.string().trim().regex(idPattern, "invalid parasha_id"),
+    target_kind: z.enum(["parasha", "haftarah"]).optional(),
+    // narrow haftarah links to one haftarah of the parasha
+    target_id: z.string().trim().regex(idPattern, "invalid target_id").optional(),
+  })
+  .refine(...cursorMatchesSort);
+
 // NEW: schema for tanach links listing
-export const tanachLinksQuerySchema = z.object({
-  book_id: z.string().trim().regex(idPattern, "invalid book_id"),
-  chapter: z.preprocess(
-    (v) => (typeof v === "string" ? parseInt(v, 10) : v),
-    z.number().int().min(1).max(300)
-  ),
-});
+export const tanachLinksQuerySchema = z
+  .object({
+    ...songFilterShape,
+    ...listingShape(LISTING_SORTS, "score"),
+    book_id: z.string().trim().regex(idPattern, "invalid book_id"),
+    chapter: z.preprocess(
+      (v) => (typeof v === "string" ? parseInt(v, 10) : v),
+      z.number().int().min(1).max(300)
+    ),
+  })
+  .refine(...cursorMatchesSort);
 
-export const searchSongsQuerySchema = z.object({
-  q: z.string().trim().min(2, "query too short").max(100, "query too long"),
-});
+// holiday links listing (festivals and Megillot from data/holidays.json)
+export const holidayLinksQuerySchema = z
+  .object({
+    ...songFilterShape,
+    ...listingShape(LISTING_SORTS, "score"),
+    holiday_id: z.string().trim().regex(idPattern, "invalid holiday_id"),
+  })
+  .refine(...cursorMatchesSort);
 
-export const linkCreateSchema = z
+// a single verse reference, e.g. ?ref=Genesis 22:2
+export const verseRefQuerySchema = z
   .object({
-    parasha_id: z.string().trim().regex(idPattern, "invalid parasha_id"),
-    target_kind: z.enum(["parasha", "haftarah", "tanach"]),
-    target_id: z.string().trim().regex(idPattern).nullable().optional(),
+    ...songFilterShape,
+    ...listingShape(LISTING_SORTS, "score"),
+    ref: z.string().trim().min(2, "ref too short").max(60, "ref too long"),
+  })
+  .refine(...cursorMatchesSort);
 
-    // NEW: fields for tanach links
-    book_id: z.string().trim().regex(idPattern).optional(),
-    chapter: z
-      .preprocess(
-        (v) => (v === null || v === undefined ? undefined : typeof v === "string" ? parseInt(v, 10) : v),
-        z.number().int().min(1).max(300).optional()
-      ),
+export const searchSongsQuerySchema = z
+  .object({
+    ...songFilterShape,
+    ...listingShape(["relevance", ...LISTING_SORTS], "relevance"),
+    q: z.string().trim().min(2, "query too short").max(100, "query too long"),
+  })
+  .refine(...cursorMatchesSort);
+
+// where a link points, as the submission form sends it
+const linkTargetShape = {
+  parasha_id: z.string().trim().regex(idPattern, "invalid parasha_id"),
+  target_kind: z.enum(["parasha", "haftarah", "tanach", "holiday"]),
+  target_id: z.string().trim().regex(idPattern).nullable().optional(),
+
+  // NEW: fields for tanach links
+  book_id: z.string().trim().regex(idPattern).optional(),
+  chapter: z
+    .preprocess(
+      (v) => (v === null || v === undefined ? undefined : typeof v === "string" ? parseInt(v, 10) : v),
+      z.number().int().min(1).max(300).optional()
+    ),
+
+  // holiday links
+  holiday_id: z.string().trim().regex(idPattern).optional(),
+};
+
+function requireTargetFields(val, ctx) {
+  // parasha and haftarah targets name their parasha (tanach and holiday fill it in themselves)
+  if ((val.target_kind === "parasha" || val.target_kind === "haftarah") && !val.parasha_id) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["parasha_id"], message: "parasha_id required" });
+  }
+  // haftarah requires target_id
+  if (val.target_kind === "haftarah" && !val.target_id) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["target_id"], message: "target_id required for haftarah" });
+  }
+  // tanach requires book_id + chapter
+  if (val.target_kind === "tanach") {
+    if (!val.book_id) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["book_id"], message: "book_id required for tanach" });
+    }
+    if (!val.chapter) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["chapter"], message: "chapter required for tanach" });
+    }
+  }
+  // holiday requires holiday_id
+  if (val.target_kind === "holiday" && !val.holiday_id) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["holiday_id"], message: "holiday_id required for holiday" });
+  }
+}
+
+const verseRefText = z.string().trim().max(60);
+
+export const linkCreateSchema = z
+  .object({
+    ...linkTargetShape,
 
     song: z.object({
-      title: z
-        .string()
-        .trim()
-        .min(1, "title required")
-        .max(200, "title too long")
-        .transform((s) => s.replace(/[<>]/g, "")),
+      // link an existing song (its title is kept); external_url is added to its song links
+      id: z.string().trim().uuid("invalid song id").optional(),
+      title: songTitle,
       version: z.string().trim().max(60).optional().nullable(),
-      external_url: z
-        .string()
-        .trim()
-        .url("invalid url")
-        .refine((u) => /^https?:\/\//i.test(u), "must be http(s)")
-        .max(2048)
-        .optional()
-        .nullable(),
+      external_url: songUrl.optional().nullable(),
+      performer: personName.optional().nullable(),
+      artist: personName.optional().nullable(),
+      language: songLanguage.optional().nullable(),
+      year: songYear.optional().nullable(),
+      tags: songTags.optional(),
     }),
-    verse_ref: z.string().trim().max(60).optional().nullable(),
+    verse_ref: verseRefText.optional().nullable(),
     added_by: z.string().trim().max(80).optional().nullable(),
+    // add the song even though a similar one is already on the target (see "possible-duplicate")
+    allow_duplicate: z.boolean().optional(),
   })
-  .superRefine((val, ctx) => {
-    // haftarah requires target_id
-    if (val.target_kind === "haftarah" && !val.target_id) {
-      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["target_id"], message: "target_id required for haftarah" });
-    }
-    // tanach requires book_id + chapter
-    if (val.target_kind === "tanach") {
-      if (!val.book_id) {
-        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["book_id"], message: "book_id required for tanach" });
-      }
-      if (!val.chapter) {
-        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["chapter"], message: "chapter required for tanach" });
-      }
-    }
-  });
\ No newline at end of file
+  .superRefine(requireTargetFields);
+
+// ---- admin song catalog ----
+
+const songId = z.string().trim().uuid("invalid song id");
+const linkId = z.preprocess(
+  (v) => (typeof v === "string" ? parseInt(v, 10) : v),
+  z.number().int().positive()
+);
+
+export const songIdParamSchema = songId;
+
+export const adminSongsQuerySchema = z.object({
+  q: z.string().trim().max(100, "query too long").optional().default(""),
+  limit: z.preprocess(
+    (v) => (typeof v === "string" && v !== "" ? parseInt(v, 10) : v),
+    z.number().int().min(1).max(200).optional().default(50)
+  ),
+  offset: z.preprocess(
+    (v) => (typeof v === "string" && v !== "" ? parseInt(v, 10) : v),
+    z.number().int().min(0).optional().default(0)
+  ),
+});
+
+// at least one field; null clears external_url / artist / language / year
+export const songUpdateSchema = z
+  .object({
+    title: songTitle.optional(),
+    external_url: songUrl.nullable().optional(),
+    artist: personName.nullable().optional(),
+    language: songLanguage.nullable().optional(),
+    year: songYear.nullable().optional(),
+    // replaces all tags
+    tags: songTags.optional(),
+  })
+  .refine((val) => Object.values(val).some((v) => v !== undefined), "nothing to update");
+
+export const songMergeSchema = z
+  .object({
+    target_id: songId,
+    source_ids: z.array(songId).min(1, "source_ids required").max(50),
+  })
+  .refine((val) => val.source_ids.some((id) => id !== val.target_id), {
+    path: ["source_ids"],
+    message: "source_ids must differ from target_id",
+  });
+
+// move `link_ids` of a song onto a new song
+export const songSplitSchema = z.object({
+  link_ids: z.array(linkId).min(1, "link_ids required").max(500),
+  title: songTitle,
+  external_url: songUrl.nullable().optional(),
+});
+
+// another recording / platform URL for an existing song
+export const songLinkCreateSchema = z.object({
+  url: songUrl,
+  performer: personName.optional().nullable(),
+});
+
+// contributor accounts: request a login link / rename
+const contributorName = personName.pipe(z.string().min(1, "name required").max(60, "name too long"));
+
+export const loginRequestSchema = z.object({
+  email: z.string().trim().toLowerCase().email("invalid email").max(254),
+  display_name: contributorName.optional(),
+});
+
+export const contributorUpdateSchema = z.object({
+  display_name: contributorName,
+});
+
+// optional reason of a moderation action, kept in the moderation log; a declined
+// submission's reason is also shown on the submitter's receipt
+// (the body may be missing altogether)
+const moderationReason = z
+  .string()
+  .trim()
+  .max(500, "reason too long")
+  .transform((s) => s.replace(/[<>]/g, ""));
+
+export const moderationReasonSchema = z.preprocess(
+  (v) => v ?? {},
+  z.object({
+    reason: moderationReason.optional(),
+  })
+);
+
+// the confirmation form behind an emailed approve / decline link (src/auth/approvalLink.js)
+export const approvalFormSchema = z.object({
+  token: z.string().max(200),
+  reason: moderationReason.optional(),
+});
+
+// ---- pending submissions (admin) ----
+
+export const BULK_LINK_ACTIONS = ["approve", "reject", "delete"];
+
+// one action on several links at once; the reason applies to every one of them
+export const linkBulkSchema = z.object({
+  action: z.enum(BULK_LINK_ACTIONS),
+  ids: z
+    .array(linkId)
+    .min(1, "ids required")
+    .max(100, "too many ids")
+    .transform((ids) => [...new Set(ids)]),
+  reason: moderationReason.optional(),
+});
+
+// corrections to a pending submission before it is approved; `target` moves it
+// elsewhere (same fields as a new submission), a null verse_ref clears the verse
+export const pendingLinkUpdateSchema = z
+  .object({
+    title: songTitle.optional(),
+    external_url: songUrl.nullable().optional(),
+    verse_ref: verseRefText.nullable().optional(),
+    target: z
+      .object({ ...linkTargetShape, parasha_id: linkTargetShape.parasha_id.optional() })
+      .superRefine(requireTargetFields)
+      .optional(),
+    reason: moderationReason.optional(),
+  })
+  .refine(
+    (val) => ["title", "external_url", "verse_ref", "target"].some((field) => val[field] !== undefined),
+    "nothing to update"
+  );
+
+// a visitor's report of an approved link
+export const LINK_REPORT_REASONS = ["broken", "wrong-verse", "inappropriate", "duplicate"];
+
+export const linkReportSchema = z.object({
+  reason: z.enum(LINK_REPORT_REASONS),
+  note: z
+    .string()
+    .trim()
+    .max(500, "note too long")
+    .transform((s) => s.replace(/[<>]/g, ""))
+    .optional(),
+});
+
+// ---- moderator accounts ----
+
+// each role may also do what the ones before it may
+export const MODERATOR_ROLES = ["moderator", "editor", "owner"];
+
+const moderatorUsername = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[a-z0-9._-]{3,40}$/, "3-40 letters, digits, dots, dashes or underscores")
+  // names the moderation log already uses for other moderators
+  .refine((u) => !["admin", "approval-link", "link-checker", "unknown"].includes(u), "reserved username");
+
+const moderatorPassword = z.string().min(12, "password too short (at least 12 characters)").max(200, "password too long");
+
+// how a moderator hears about new submissions: an email each, one daily digest, or nothing
+export const NOTIFY_MODES = ["immediate", "digest", "none"];
+
+const moderatorEmail = z.string().trim().toLowerCase().email("invalid email").max(254);
+
+// a moderator account, or { token } for ADMIN_TOKEN
+export const adminLoginSchema = z
+  .object({
+    token: z.string().max(500).optional(),
+    username: z.string().trim().toLowerCase().max(40).optional(),
+    password: z.string().max(200).optional(),
+  })
+  .refine((val) => val.token || (val.username && val.password), "token, or username and password, required");
+
+export const moderatorCreateSchema = z.object({
+  username: moderatorUsername,
+  display_name: personName.pipe(z.string().max(60, "name too long")).optional(),
+  password: moderatorPassword,
+  role: z.enum(MODERATOR_ROLES).optional().default("moderator"),
+  email: moderatorEmail.optional(),
+  notify_mode: z.enum(NOTIFY_MODES).optional().default("immediate"),
+});
+
+export const moderatorUpdateSchema = z
+  .object({
+    display_name: personName.pipe(z.string().max(60, "name too long")).nullable().optional(),
+    role: z.enum(MODERATOR_ROLES).optional(),
+    password: moderatorPassword.optional(),
+    disabled: z.boolean().optional(),
+    email: moderatorEmail.nullable().optional(),
+    notify_mode: z.enum(NOTIFY_MODES).optional(),
+  })
+  .refine((val) => Object.values(val).some((v) => v !== undefined), "nothing to update");
+
+// a moderator's own notification settings; a null email stops all email to them
+export const notificationSettingsSchema = z
+  .object({
+    email: moderatorEmail.nullable().optional(),
+    notify_mode: z.enum(NOTIFY_MODES).optional(),
+  })
+  .refine((val) => val.email !== undefined || val.notify_mode !== undefined, "nothing to update");
+
+export const passwordChangeSchema = z.object({
+  current_password: z.string().max(200),
+  new_password: moderatorPassword,
+});
+
+export const MODERATION_ACTIONS = [
+  "approve",
+  "reject",
+  "edit",
+  "hide",
+  "restore",
+  "dismiss-reports",
+  "delete-link",
+  "delete-song",
+  // song catalog
+  "edit-song",
+  "merge-songs",
+  "split-song",
+  "add-song-link",
+  "delete-song-link",
+];
+
+const positiveInt = z.preprocess(
+  (v) => (typeof v === "string" && v !== "" ? parseInt(v, 10) : v),
+  z.number().int().min(1)
+);
+
+export const moderationLogQuerySchema = z.object({
+  action: z.enum(MODERATION_ACTIONS).optional(),
+  link_id: positiveInt.optional(),
+  song_id: z.string().trim().uuid("invalid song id").optional(),
+  moderator: z.string().trim().max(120).optional(),
+  from: z.string().trim().regex(isoDatePattern, "invalid date").optional(),
+  to: z.string().trim().regex(isoDatePattern, "invalid date").optional(),
+  before_id: positiveInt.optional(),
+  limit: z.preprocess(
+    (v) => (typeof v === "string" && v !== "" ? parseInt(v, 10) : v),
+    z.number().int().min(1).max(200).optional().default(50)
+  ),
+});
+
+// ---- notification outbox (admin) ----
+
+export const NOTIFICATION_STATUSES = ["pending", "delivered", "failed"];
+
+export const notificationsQuerySchema = z.object({
+  status: z.enum(NOTIFICATION_STATUSES).optional(),
+  kind: z.string().trim().max(40).optional(),
+  channel: z.enum(["webhook", "email", "console"]).optional(),
+  before_id: positiveInt.optional(),
+  limit: z.preprocess(
+    (v) => (typeof v === "string" && v !== "" ? parseInt(v, 10) : v),
+    z.number().int().min(1).max(200).optional().default(50)
+  ),
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  APPROVAL_ACTIONS,
+  signApprovalToken,
+  readApprovalToken,
+  approvalTokenValid,
+} from "../../src/auth/approvalLink.js";
+
+const HOUR = 60 * 60 * 1000;
+const nonce = "a1b2c3";
+
+test("a signed token reads back its link, action and expiry", () => {
+  const before = Date.now();
+  const token = signApprovalToken({ linkId: 42, action: "approve", nonce, ttlMs: HOUR });
+  const fields = readApprovalToken(token);
+  assert.equal(fields.linkId, 42);
+  assert.equal(fields.action, "approve");
+  assert.ok(Math.abs(fields.expiresAt.getTime() - (before + HOUR)) < 2000);
+  assert.deepEqual(APPROVAL_ACTIONS, ["approve", "reject"]);
+});
+
+test("a token is valid for the approval_token it was signed with", () => {
+  const token = signApprovalToken({ linkId: 42, action: "reject", nonce, ttlMs: HOUR });
+  assert.equal(approvalTokenValid(token, nonce), true);
+  assert.equal(approvalTokenValid(token, "replaced"), false);
+  assert.equal(approvalTokenValid(token, null), false);
+});
+
+test("expired and altered tokens are refused", () => {
+  const expired = signApprovalToken({ linkId: 42, action: "approve", nonce, ttlMs: -1000 });
+  assert.equal(approvalTokenValid(expired, nonce), false);
+
+  const token = signApprovalToken({ linkId: 42, action: "approve", nonce, ttlMs: HOUR });
+  const [, , expires, sig] = token.split(".");
+  assert.equal(approvalTokenValid(`42.reject.${expires}.${sig}`, nonce), false);
+  assert.equal(approvalTokenValid(`43.approve.${expires}.${sig}`, nonce), false);
+  assert.equal(approvalTokenValid(`42.approve.${Number(expires) + 3600}.${sig}`, nonce), false);
+});
+
+test("a token stops working when SESSION_SECRET changes", () => {
+  const saved = process.env.SESSION_SECRET;
+  try {
+    process.env.SESSION_SECRET = "first";
+    const token = signApprovalToken({ linkId: 7, action: "approve", nonce, ttlMs: HOUR });
+    process.env.SESSION_SECRET = "second";
+    assert.equal(approvalTokenValid(token, nonce), false);
+  } finally {
+    if (saved === undefined) delete process.env.SESSION_SECRET;
+    else process.env.SESSION_SECRET = saved;
+  }
+});
+
+test("malformed tokens", () => {
+  for (const token of [null, "", "42.approve.123", "42.delete.123.x", `x.approve.1.${"a".repeat(43)}`]) {
+    assert.equal(readApprovalToken(token), null);
+    assert.equal(approvalTokenValid(token, nonce), false);
+  }
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixedFromIsoDate } from "../../src/calendar/hebrewDate.js";
+import { getShabbatReading } from "../../src/calendar/sedra.js";
+import { specialHaftarahOccasion, specialOccasionsByParasha } from "../../src/calendar/haftarah.js";
+
+const occasion = (iso) => specialHaftarahOccasion(getShabbatReading(fixedFromIsoDate(iso)));
+
+test("special Shabbatot of 5785", () => {
+  assert.equal(occasion("2024-10-05"), "shuva");
+  assert.equal(occasion("2024-11-02"), "rosh-chodesh");
+  assert.equal(occasion("2024-12-28"), "chanukah");
+  assert.equal(occasion("2025-03-22"), "parah");
+  assert.equal(occasion("2025-03-29"), "hachodesh");
+  assert.equal(occasion("2025-04-12"), "hagadol");
+  assert.equal(occasion("2025-07-19"), "pinchas-after-tammuz-17");
+});
+
+test("the four parshiyot follow Adar II in a leap year", () => {
+  assert.equal(occasion("2024-03-09"), "shekalim");
+  assert.equal(occasion("2024-03-23"), "zachor");
+});
+
+test("regular Shabbatot, and Rosh Chodesh Av, keep the parasha's haftarah", () => {
+  assert.equal(occasion("2024-10-26"), null);
+  assert.equal(occasion("2025-01-04"), null);
+  assert.equal(occasion("2025-07-26"), null);
+});
+
+test("a festival has no special haftarah of its own here", () => {
+  assert.equal(specialHaftarahOccasion({ holiday: { id: "pesach" }, parshiot: [] }), null);
+});
+
+test("occasions by parasha", () => {
+  const byParasha = specialOccasionsByParasha();
+  assert.deepEqual([...byParasha.get(40)], ["pinchas-after-tammuz-17"]); // Pinchas
+  assert.ok(byParasha.get(0).has("machar-chodesh")); // Bereshit
+  assert.equal(byParasha.has(53), false); // Vezot Haberachah is never read on Shabbat
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  NISAN,
+  TISHREI,
+  CHESHVAN,
+  KISLEV,
+  ADAR,
+  ADAR_II,
+  SATURDAY,
+  isLeapYear,
+  lastMonthOfYear,
+  daysInYear,
+  daysInMonth,
+  fixedFromHebrew,
+  hebrewFromFixed,
+  dayOfWeek,
+  onOrAfter,
+  fixedFromIsoDate,
+  isoDateFromFixed,
+  monthName,
+  formatHebrewDate,
+  zonedDay,
+  isValidTimeZone,
+} from "../../src/calendar/hebrewDate.js";
+
+test("leap years follow the 19-year cycle", () => {
+  assert.equal(isLeapYear(5784), true);
+  assert.equal(isLeapYear(5785), false);
+  assert.equal(lastMonthOfYear(5784), ADAR_II);
+  assert.equal(lastMonthOfYear(5785), ADAR);
+});
+
+test("Rosh Hashana and Pesach fall on their Gregorian dates", () => {
+  assert.equal(isoDateFromFixed(fixedFromHebrew(5785, TISHREI, 1)), "2024-10-03");
+  assert.equal(isoDateFromFixed(fixedFromHebrew(5785, NISAN, 15)), "2025-04-13");
+  assert.equal(isoDateFromFixed(fixedFromHebrew(5786, TISHREI, 1)), "2025-09-23");
+});
+
+test("hebrewFromFixed inverts fixedFromHebrew", () => {
+  assert.deepEqual(hebrewFromFixed(fixedFromIsoDate("2024-03-09")), { year: 5784, month: ADAR, day: 29 });
+  const start = fixedFromHebrew(5784, TISHREI, 1);
+  for (let fixed = start; fixed < start + daysInYear(5784); fixed++) {
+    const { year, month, day } = hebrewFromFixed(fixed);
+    assert.equal(fixedFromHebrew(year, month, day), fixed);
+  }
+});
+
+test("year and month lengths", () => {
+  assert.equal(daysInYear(5784), 383);
+  assert.equal(daysInYear(5785), 355);
+  assert.equal(daysInMonth(5785, CHESHVAN), 30);
+  assert.equal(daysInMonth(5785, KISLEV), 30);
+  assert.equal(daysInMonth(5784, ADAR), 30);
+  assert.equal(daysInMonth(5785, ADAR), 29);
+});
+
+test("weekdays", () => {
+  const fixed = fixedFromIsoDate("2024-10-26");
+  assert.equal(dayOfWeek(fixed), SATURDAY);
+  assert.equal(onOrAfter(SATURDAY, fixed), fixed);
+  assert.equal(isoDateFromFixed(onOrAfter(SATURDAY, fixed + 1)), "2024-11-02");
+});
+
+test("ISO dates", () => {
+  assert.equal(fixedFromIsoDate("2024-1-3"), null);
+  assert.equal(fixedFromIsoDate(undefined), null);
+  assert.equal(isoDateFromFixed(fixedFromIsoDate("2000-02-29")), "2000-02-29");
+});
+
+test("month names and formatting", () => {
+  assert.equal(monthName(5784, ADAR), "Adar I");
+  assert.equal(monthName(5785, ADAR), "Adar");
+  assert.equal(formatHebrewDate({ year: 5785, month: TISHREI, day: 24 }), "24 Tishrei 5785");
+});
+
+test("zonedDay takes the date and hour in the time zone", () => {
+  const instant = new Date("2024-10-26T22:30:00Z");
+  assert.deepEqual(zonedDay(instant, "UTC"), { fixed: fixedFromIsoDate("2024-10-26"), hour: 22 });
+  assert.deepEqual(zonedDay(instant, "Asia/Jerusalem"), { fixed: fixedFromIsoDate("2024-10-27"), hour: 1 });
+  assert.equal(isValidTimeZone("America/New_York"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus"), false);
+});
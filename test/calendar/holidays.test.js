@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fixedFromIsoDate, isoDateFromFixed } from "../../src/calendar/hebrewDate.js";
+import { holidayDays, holidaysBetween } from "../../src/calendar/holidays.js";
+
+const { holidays } = JSON.parse(readFileSync(new URL("../../data/holidays.json", import.meta.url), "utf8"));
+const byId = (id) => holidays.find((holiday) => holiday.id === id);
+
+function days(id, year, options) {
+  const span = holidayDays(byId(id), year, options);
+  return span && [isoDateFromFixed(span.start), isoDateFromFixed(span.end)];
+}
+
+test("festival dates, outside Israel and in Israel", () => {
+  assert.deepEqual(days("pesach", 5785), ["2025-04-13", "2025-04-20"]);
+  assert.deepEqual(days("pesach", 5785, { israel: true }), ["2025-04-13", "2025-04-19"]);
+  assert.deepEqual(days("simchat-torah", 5785), ["2024-10-25", "2024-10-25"]);
+  assert.deepEqual(days("simchat-torah", 5785, { israel: true }), ["2024-10-24", "2024-10-24"]);
+  assert.deepEqual(days("chanukah", 5785), ["2024-12-26", "2025-01-02"]);
+});
+
+test("Purim is in Adar II in a leap year", () => {
+  assert.deepEqual(days("purim", 5784), ["2024-03-24", "2024-03-24"]);
+  assert.deepEqual(days("purim", 5785), ["2025-03-14", "2025-03-14"]);
+});
+
+test("a fast on Shabbat moves to Sunday", () => {
+  assert.deepEqual(days("tisha-bav", 5785), ["2025-08-03", "2025-08-03"]);
+  assert.deepEqual(days("tisha-bav", 5784), ["2024-08-13", "2024-08-13"]);
+});
+
+test("the Megillot have no dates of their own", () => {
+  assert.equal(holidayDays(byId("megillat-ruth"), 5785), null);
+});
+
+test("holidaysBetween lists overlapping holidays in date order, across Hebrew years", () => {
+  const found = holidaysBetween(holidays, fixedFromIsoDate("2024-09-01"), fixedFromIsoDate("2024-10-10"));
+  assert.deepEqual(found.map(({ holiday }) => holiday.id), ["rosh-hashana"]);
+  const december = holidaysBetween(holidays, fixedFromIsoDate("2024-12-31"), fixedFromIsoDate("2025-01-31"));
+  assert.deepEqual(december.map(({ holiday }) => holiday.id), ["chanukah"]);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixedFromIsoDate, isoDateFromFixed } from "../../src/calendar/hebrewDate.js";
+import {
+  PARSHA_COUNT,
+  getSedraYear,
+  getShabbatReading,
+  getSedraRange,
+  getUpcomingReading,
+} from "../../src/calendar/sedra.js";
+
+const reading = (iso, options) => getShabbatReading(fixedFromIsoDate(iso), options);
+
+test("weekly readings match the published calendar", () => {
+  assert.deepEqual(reading("2024-10-26").parshiot, [0]); // Bereshit
+  assert.deepEqual(reading("2024-12-28").parshiot, [9]); // Miketz
+  assert.deepEqual(reading("2024-03-09").parshiot, [21]); // Vayakhel, leap year
+  assert.deepEqual(reading("2025-07-26").parshiot, [41, 42]); // Matot-Masei
+  assert.deepEqual(reading("2025-09-20").parshiot, [50]); // Nitzavim
+});
+
+test("a weekday looks ahead to the coming Shabbat", () => {
+  const entry = reading("2024-10-22");
+  assert.equal(isoDateFromFixed(entry.date), "2024-10-26");
+});
+
+test("a festival on Shabbat replaces the reading outside Israel only on the extra day", () => {
+  const diaspora = reading("2019-04-27");
+  assert.deepEqual(diaspora.parshiot, []);
+  assert.equal(diaspora.holiday.id, "pesach");
+  const israel = reading("2019-04-27", { israel: true });
+  assert.equal(israel.holiday, null);
+  assert.deepEqual(israel.parshiot, [28]); // Acharei Mot
+});
+
+test("from Bereshit every parasha is read in order up to Nitzavim or Vayelech", () => {
+  for (const year of [5784, 5785, 5786]) {
+    for (const israel of [false, true]) {
+      const read = getSedraYear(year, { israel }).flatMap((entry) => entry.parshiot);
+      const fromBereshit = read.slice(read.indexOf(0));
+      // Vayelech and Haazinu left over are read after the next Rosh Hashana
+      assert.ok([PARSHA_COUNT - 3, PARSHA_COUNT - 2].includes(fromBereshit.length), `${year} ${israel}`);
+      assert.deepEqual(fromBereshit, [...Array(fromBereshit.length).keys()]);
+    }
+  }
+});
+
+test("getSedraRange spans Hebrew years", () => {
+  const entries = getSedraRange(fixedFromIsoDate("2025-09-01"), fixedFromIsoDate("2025-10-31"));
+  assert.deepEqual(
+    entries.map((entry) => isoDateFromFixed(entry.date)),
+    ["2025-09-06", "2025-09-13", "2025-09-20", "2025-09-27", "2025-10-04", "2025-10-11", "2025-10-18", "2025-10-25"]
+  );
+});
+
+test("Saturday night moves on to the next week", () => {
+  const afternoon = getUpcomingReading({ now: new Date("2024-10-26T15:00:00Z") });
+  const night = getUpcomingReading({ now: new Date("2024-10-26T21:00:00Z") });
+  assert.equal(isoDateFromFixed(afternoon.date), "2024-10-26");
+  assert.equal(isoDateFromFixed(night.date), "2024-11-02");
+});
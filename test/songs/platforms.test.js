@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectPlatform, platformName, canonicalSongUrl } from "../../src/songs/platforms.js";
+
+test("detectPlatform reads the host", () => {
+  assert.equal(detectPlatform("https://music.youtube.com/watch?v=dQw4w9WgXcQ"), "youtube");
+  assert.equal(detectPlatform("https://youtu.be/dQw4w9WgXcQ"), "youtube");
+  assert.equal(detectPlatform("https://open.spotify.com/track/ABC"), "spotify");
+  assert.equal(detectPlatform("https://deezer.page.link/AbC"), "deezer");
+  assert.equal(detectPlatform("https://artist.bandcamp.com/track/x"), "bandcamp");
+  assert.equal(detectPlatform("https://www.shironet.mako.co.il/artist"), "lyrics");
+  assert.equal(detectPlatform("https://notyoutube.com/watch"), "other");
+  assert.equal(detectPlatform("not a url"), "other");
+  assert.equal(platformName("apple-music"), "Apple Music");
+  assert.equal(platformName("nope"), "Link");
+});
+
+test("YouTube URLs become one watch URL", () => {
+  const canonical = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+  assert.equal(canonicalSongUrl("https://youtu.be/dQw4w9WgXcQ?t=42&si=x"), canonical);
+  assert.equal(canonicalSongUrl("https://m.youtube.com/shorts/dQw4w9WgXcQ"), canonical);
+  assert.equal(canonicalSongUrl("https://music.youtube.com/watch?v=dQw4w9WgXcQ&feature=share"), canonical);
+});
+
+test("Spotify, Apple Music and SoundCloud drop what does not identify the recording", () => {
+  assert.equal(canonicalSongUrl("https://open.spotify.com/intl-de/track/ABC?si=x"), "https://open.spotify.com/track/ABC");
+  assert.equal(canonicalSongUrl("https://spotify.link/xyz?si=1"), "https://spotify.link/xyz");
+  assert.equal(
+    canonicalSongUrl("https://music.apple.com/us/album/x/123?i=456&ls=1"),
+    "https://music.apple.com/us/album/x/123?i=456"
+  );
+  assert.equal(canonicalSongUrl("https://m.soundcloud.com/a/b?utm_source=x"), "https://soundcloud.com/a/b");
+});
+
+test("Deezer drops the language but keeps the host of short links", () => {
+  assert.equal(canonicalSongUrl("http://deezer.com/en/track/1?x=1"), "https://www.deezer.com/track/1");
+  assert.equal(canonicalSongUrl("https://www.deezer.com/fr/album/2"), "https://www.deezer.com/album/2");
+  assert.equal(canonicalSongUrl("https://deezer.page.link/AbC"), "https://deezer.page.link/AbC");
+  assert.equal(canonicalSongUrl("https://link.deezer.com/s/X?utm_source=a"), "https://link.deezer.com/s/X");
+});
+
+test("other URLs only lose tracking parameters and the fragment", () => {
+  assert.equal(canonicalSongUrl("https://example.com/a?utm_source=x&q=1#frag"), "https://example.com/a?q=1");
+  assert.equal(
+    canonicalSongUrl("https://www.shironet.mako.co.il/artist?type=lyrics&lang=1"),
+    "https://www.shironet.mako.co.il/artist?type=lyrics&lang=1"
+  );
+  assert.equal(canonicalSongUrl("not a url"), "not a url");
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeText,
+  tokenize,
+  skeleton,
+  songSearchDocument,
+  searchTerms,
+  titleSimilarity,
+} from "../../src/songs/searchText.js";
+
+test("normalizeText drops case, accents, niqqud, final letters and punctuation", () => {
+  assert.equal(normalizeText("  Shalóm, עֲלֵיכֶם! ’Lecha’ "), "shalom עליכמ lecha");
+  assert.deepEqual(tokenize("מֶלֶךְ  David"), ["מלכ", "david"]);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test("transliteration variants share a skeleton", () => {
+  const same = [
+    ["lecha", "lekha"],
+    ["shabbat", "shabat"],
+    ["torah", "tora"],
+    ["ayn", "ein"],
+    ["eishet", "eshet"],
+    ["chayil", "chail"],
+    ["chayil", "hayil"],
+  ];
+  for (const [a, b] of same) assert.equal(skeleton(a), skeleton(b), `${a} / ${b}`);
+  // a leading vowel keeps words apart that only differ there
+  assert.notEqual(skeleton("aleichem"), skeleton("lechem"));
+});
+
+test("Hebrew skeletons ignore full and defective spelling", () => {
+  assert.equal(skeleton(normalizeText("חלום")), skeleton(normalizeText("חלם")));
+  assert.equal(skeleton(normalizeText("חלום")), "חלמ");
+});
+
+test("numbers and very short words have no skeleton", () => {
+  assert.equal(skeleton("12"), "");
+  assert.equal(skeleton("a"), "");
+});
+
+test("songSearchDocument builds the index columns", () => {
+  const doc = songSearchDocument({
+    title: "Lecha Dodi",
+    artist: "Shlomo Carlebach",
+    tags: ["Shabbat"],
+    verseRefs: [{ verse_ref: "Gen 1:1", ref_book: "genesis", ref_start: 1001, ref_end: 1001 }, { verse_ref: "intro" }],
+  });
+  assert.deepEqual(doc, {
+    title: "lecha dodi",
+    artist: "shlomo carlebach",
+    tags: "shabbat",
+    verses: "gen 1 1 genesis 1 1 intro",
+    skeleton: "lh dd slm krlv svt",
+  });
+});
+
+test("searchTerms pairs each word with its skeleton, at most 8 words", () => {
+  assert.deepEqual(searchTerms("Eshet Chail"), [
+    { word: "eshet", skeleton: "ast" },
+    { word: "chail", skeleton: "hl" },
+  ]);
+  assert.equal(searchTerms("a b c d e f g h i j").length, 8);
+});
+
+test("titleSimilarity", () => {
+  assert.equal(titleSimilarity("Lecha Dodi", "lecha dodi!"), 1);
+  assert.equal(titleSimilarity("Lecha Dodi", "Lekha Dodi"), 0.95);
+  assert.equal(titleSimilarity("Lecha Dodi (Carlebach)", "Lecha Dodi"), 0.85);
+  assert.equal(titleSimilarity("Abc", "Xyz"), 0);
+  assert.equal(titleSimilarity("", "Lecha Dodi"), 0);
+  const close = titleSimilarity("Eishet Chayil", "Eishes Chayil");
+  assert.ok(close > 0.7 && close < 0.95, String(close));
+});
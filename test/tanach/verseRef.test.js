@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findBook,
+  verseKey,
+  wholeChapter,
+  chapterOfKey,
+  formatVerseRange,
+  parseVerseRef,
+  parseVerseRefList,
+} from "../../src/tanach/verseRef.js";
+
+const ref = (text, context) => parseVerseRef(text, context).ref;
+const error = (text, context) => parseVerseRef(text, context).error;
+
+test("book names in English, transliteration and Hebrew", () => {
+  assert.equal(findBook("Tehillim").id, "psalms");
+  assert.equal(findBook("Gen.").id, "genesis");
+  assert.equal(findBook("ירמיהו").id, "jeremiah");
+  assert.equal(findBook("Second Kings").id, "ii-kings");
+  assert.equal(findBook("Narnia"), null);
+});
+
+test("verse keys", () => {
+  assert.equal(verseKey(22, 8), 22008);
+  assert.equal(chapterOfKey(22008), 22);
+  assert.deepEqual(wholeChapter("genesis", 3), { book: "genesis", start: 3001, end: 3999 });
+});
+
+test("references parse into canonical ranges", () => {
+  assert.deepEqual(ref("Isaiah 42:5-43:10"), { book: "isaiah", start: 42005, end: 43010, text: "Isaiah 42:5-43:10" });
+  assert.deepEqual(ref("1 Sam 3"), { book: "i-samuel", start: 3001, end: 3999, text: "I Samuel 3" });
+  assert.deepEqual(ref("Shmuel 2 5:1"), { book: "ii-samuel", start: 5001, end: 5001, text: "II Samuel 5:1" });
+  assert.deepEqual(ref("Gen 1-2"), { book: "genesis", start: 1001, end: 2999, text: "Genesis 1-2" });
+  assert.equal(ref("Psalms 119:176").text, "Psalms 119:176");
+});
+
+test("Hebrew numerals", () => {
+  assert.deepEqual(ref("בראשית כב:ב"), { book: "genesis", start: 22002, end: 22002, text: "Genesis 22:2" });
+  assert.equal(ref("דברים ט״ו").text, "Deuteronomy 15");
+});
+
+test("a reference without a book takes the context's book and chapter", () => {
+  assert.equal(ref("22:2-8", { book: "bereshit" }).text, "Genesis 22:2-8");
+  assert.equal(ref("5-8", { book: "genesis", chapter: 7 }).text, "Genesis 7:5-8");
+  assert.equal(error("22:2"), "unknown-book");
+});
+
+test("invalid references", () => {
+  assert.equal(error(""), "empty");
+  assert.equal(error("Foo 1:1"), "unknown-book");
+  assert.equal(error("Genesis"), "missing-chapter");
+  assert.equal(error("Genesis 1:1:1"), "invalid-format");
+  assert.equal(error("Genesis 51"), "chapter-out-of-range");
+  assert.equal(error("Genesis 50:27"), "verse-out-of-range");
+  assert.equal(error("Genesis 22:8-2"), "reversed-range");
+});
+
+test("formatVerseRange", () => {
+  assert.equal(formatVerseRange("isaiah", 42005, 43999), "Isaiah 42:5-43");
+  assert.equal(formatVerseRange("genesis", 22001, 23999), "Genesis 22-23");
+  assert.equal(formatVerseRange("genesis", 22002, 22002), "Genesis 22:2");
+});
+
+test("lists inherit the book of the part before", () => {
+  assert.deepEqual(
+    parseVerseRefList("Joshua 5:2-6:1, 6:27").refs.map((r) => r.text),
+    ["Joshua 5:2-6:1", "Joshua 6:27"]
+  );
+  assert.deepEqual(
+    parseVerseRefList("Hosea 14:2-10; Micah 7:18-20").refs.map((r) => r.text),
+    ["Hosea 14:2-10", "Micah 7:18-20"]
+  );
+  assert.deepEqual(parseVerseRefList(" , "), { error: "empty" });
+  assert.deepEqual(parseVerseRefList("Hosea 14:2, 99:1"), { error: "chapter-out-of-range" });
+});